@@ -9,9 +9,21 @@ const SENTRY_DSN = process.env.SENTRY_DSN || "";
 const S3_ENDPOINT = process.env.S3_ENDPOINT || "";
 const S3_ACCESSKEYID = process.env.S3_ACCESSKEYID || "";
 const S3_SECRETACCESSKEY = process.env.S3_SECRETACCESSKEY || "";
+const S3_BUCKET = process.env.S3_BUCKET || "technical-test";
+const S3_ACL = process.env.S3_ACL || "public-read";
+
+// "s3" or "local". Without S3 credentials, uploads are stored on disk and served by the API.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (S3_ENDPOINT ? "s3" : "local");
+const LOCAL_STORAGE_PATH = process.env.LOCAL_STORAGE_PATH || "uploads";
+const API_URL = process.env.API_URL || `http://localhost:${PORT}`;
 
 const BREVO_KEY = process.env.BREVO_KEY || "";
 
+// Deleted projects and expenses can be restored from the trash during this many days
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PROJECT_INVITATION_DAYS = parseInt(process.env.PROJECT_INVITATION_DAYS) || 7;
+const ORGANIZATION_INVITATION_DAYS = parseInt(process.env.ORGANIZATION_INVITATION_DAYS) || 7;
+
 const CONFIG = {
   ENVIRONMENT,
   PORT,
@@ -22,7 +34,15 @@ const CONFIG = {
   S3_ENDPOINT,
   S3_ACCESSKEYID,
   S3_SECRETACCESSKEY,
+  S3_BUCKET,
+  S3_ACL,
+  STORAGE_DRIVER,
+  LOCAL_STORAGE_PATH,
+  API_URL,
   BREVO_KEY,
+  TRASH_RETENTION_DAYS,
+  PROJECT_INVITATION_DAYS,
+  ORGANIZATION_INVITATION_DAYS,
 };
 
 if (ENVIRONMENT === "development") console.log(CONFIG);
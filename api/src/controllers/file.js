@@ -1,16 +1,26 @@
 const express = require("express");
+const passport = require("passport");
 const router = express.Router();
 const crypto = require("crypto");
+const path = require("path");
 const { Buffer } = require("buffer");
-const { uploadToS3FromBuffer } = require("../utils");
+const storage = require("../services/storage");
+const { withOrganization } = require("../utils/organizations");
+const { canReadFile } = require("../utils/receipts");
 
-router.post("/", async (req, res) => {
-  console.log("req.body");
-  console.log(req.body);
+// The file name goes into the storage key: keep its last part, without separators or "..", so it stays in its folder
+function toSafeFileName(name) {
+  const base = path.basename(String(name || "")).replace(/[/\\]|\.\./g, "");
+  return /^\.*$/.test(base) ? "file" : base;
+}
+
+router.post("/", passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
   const { files, folder } = req.body;
 
   if (!folder) return res.status(400).send({ ok: false, message: "No folder specified" });
 
+  if (!/^(\/[\w-]+)+$/.test(folder)) return res.status(400).send({ ok: false, message: "Invalid folder" });
+
   if (!files) return res.status(400).send({ ok: false, message: "No files uploaded" });
 
   // Ensure 'files' is always an array
@@ -20,18 +30,17 @@ router.post("/", async (req, res) => {
     .map((file) => {
       const base64ContentArray = file.rawBody.split(",");
       const contentType = base64ContentArray[0].match(/[^:\s*]\w+\/[\w-+\d.]+(?=[;| ])/)[0];
-      const extension = file.name.split(".").pop();
+      const name = toSafeFileName(file.name);
+      const extension = name.split(".").pop();
       const buffer = Buffer.from(base64ContentArray[1], "base64");
       const uuid = crypto.randomBytes(16).toString("hex");
-      console.log("uuid");
-      return uploadToS3FromBuffer(`file${folder}/${uuid}/${file.name}.${extension}`, buffer, contentType);
+      // The key records who uploaded the file, only they can attach it to an expense
+      return storage.upload(`file${folder}/${req.user._id}/${uuid}/${name}.${extension}`, buffer, contentType);
     })
     .filter((promise) => promise !== null); // Filter out the nulls
 
   try {
-    console.log("uploadPromises");
     const urls = await Promise.all(uploadPromises);
-    console.log("urls");
     return res.status(200).send({ ok: true, data: urls });
   } catch (error) {
     console.error(error);
@@ -39,4 +48,23 @@ router.post("/", async (req, res) => {
   }
 });
 
+// Files stored on disk by the local driver are only served to their uploader and to the users who can see
+// an expense they are a receipt of. Other files are not found, rather than forbidden, so their names do not leak.
+router.get("/*", passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  const key = req.params[0];
+  const filePath = storage.getLocalPath(key);
+  if (!filePath) return res.status(404).send({ ok: false, message: "File not found" });
+
+  try {
+    if (!(await canReadFile(req, key))) return res.status(404).send({ ok: false, message: "File not found" });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).send({ ok: false, message: "Error reading file" });
+  }
+
+  return res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) res.status(404).send({ ok: false, message: "File not found" });
+  });
+});
+
 module.exports = router;
@@ -1,10 +1,26 @@
 const express = require("express");
 const projectRoutes = require("../routes/project.routes");
 const expenseRoutes = require("../routes/expense.routes");
+const exchangeRateRoutes = require("../routes/exchangeRate.routes");
+const recurringExpenseRoutes = require("../routes/recurringExpense.routes");
+const auditLogRoutes = require("../routes/auditLog.routes");
+const trashRoutes = require("../routes/trash.routes");
+const organizationRoutes = require("../routes/organization.routes");
+const notificationRoutes = require("../routes/notification.routes");
+const searchRoutes = require("../routes/search.routes");
+const dashboardRoutes = require("../routes/dashboard.routes");
 
 const router = express.Router();
 
 router.use("/projects", projectRoutes);
 router.use("/expenses", expenseRoutes);
+router.use("/exchange-rates", exchangeRateRoutes);
+router.use("/recurring-expenses", recurringExpenseRoutes);
+router.use("/audit-logs", auditLogRoutes);
+router.use("/trash", trashRoutes);
+router.use("/organizations", organizationRoutes);
+router.use("/notifications", notificationRoutes);
+router.use("/search", searchRoutes);
+router.use("/dashboard", dashboardRoutes);
 
 module.exports = router;
@@ -8,6 +8,9 @@ const UserObject = require("../models/user");
 
 const config = require("../config");
 const { validatePassword } = require("../utils");
+const { snapshot, recordAudit } = require("../utils/audit");
+const { createOrganization, getActiveOrganization } = require("../utils/organizations");
+const { acceptInvitation, acceptOrganizationInvitation } = require("../utils/invitations");
 const { BREVO_TEMPLATES } = require("../utils/constants");
 const ERROR_CODES = require("../utils/errorCodes");
 
@@ -47,6 +50,7 @@ router.post("/signin", async (req, res) => {
 
     user.set({ last_login_at: Date.now() });
     await user.save();
+    await recordAudit(req, { action: "user.signin", targetType: "user", target: user, actor: user._id });
 
     const token = jwt.sign({ _id: user.id }, config.SECRET, { expiresIn: JWT_MAX_AGE });
     res.cookie("jwt", token, cookieOptions());
@@ -60,12 +64,39 @@ router.post("/signin", async (req, res) => {
 
 router.post("/signup", async (req, res) => {
   try {
-    const { password, email, name, organisation_name } = req.body;
+    const { password, email, name, organisation_name, invitation } = req.body;
 
     if (password && !validatePassword(password))
       return res.status(400).send({ ok: false, user: null, code: ERROR_CODES.PASSWORD_NOT_VALIDATE });
 
     const user = await UserObject.create({ name, password, email, organisation_name });
+    // People invited by email start in the project or the organization that invited them. The signed token
+    // of the invitation proves they received it at the address they sign up with.
+    const project = invitation ? await acceptInvitation(invitation, user) : null;
+    const invitedTo = invitation && !project ? await acceptOrganizationInvitation(invitation, user) : null;
+    const organization = project?.organization || invitedTo?._id || (await createOrganization(user, organisation_name))._id;
+    user.set({ organization });
+    await user.save();
+    await recordAudit(req, { action: "user.signup", targetType: "user", after: user, actor: user._id });
+    if (project) {
+      await recordAudit(req, {
+        action: "project.accept_invitation",
+        targetType: "project",
+        target: project,
+        project,
+        after: { email: user.email },
+        actor: user._id,
+      });
+    }
+    if (invitedTo) {
+      await recordAudit(req, {
+        action: "organization.accept_invitation",
+        targetType: "organization",
+        target: invitedTo,
+        after: { email: user.email },
+        actor: user._id,
+      });
+    }
     const token = jwt.sign({ _id: user._id }, config.SECRET, { expiresIn: JWT_MAX_AGE });
     res.cookie("jwt", token, cookieOptions());
 
@@ -113,6 +144,7 @@ router.post("/forgot_password", async (req, res) => {
     const token = await crypto.randomBytes(20).toString("hex");
     obj.set({ forgot_password_reset_token: token, forgot_password_reset_expires: Date.now() + 7200000 }); //2h
     await obj.save();
+    await recordAudit(req, { action: "user.forgot_password", targetType: "user", target: obj, actor: obj._id });
 
     await brevo.sendTemplate(BREVO_TEMPLATES.FORGOT_PASSWORD, {
       emailTo: [{ email: obj.email }],
@@ -142,6 +174,7 @@ router.post("/forgot_password_reset", async (req, res) => {
     obj.forgot_password_reset_token = "";
     obj.forgot_password_reset_expires = "";
     await obj.save();
+    await recordAudit(req, { action: "user.password_reset", targetType: "user", target: obj, actor: obj._id });
     return res.status(200).send({ ok: true });
   } catch (error) {
     capture(error);
@@ -165,6 +198,7 @@ router.post("/reset_password", passport.authenticate("user", { session: false })
 
     obj.set({ password: req.body.newPassword });
     await obj.save();
+    await recordAudit(req, { action: "user.password_change", targetType: "user", target: obj });
     return res.status(200).send({ ok: true, user: obj });
   } catch (error) {
     capture(error);
@@ -196,6 +230,14 @@ router.post("/search", passport.authenticate(["admin", "user"], { session: false
   try {
     const { search, sort, per_page, page } = req.body;
     let query = {};
+    let fields = null;
+
+    // Users only find the people of the organization they work in, and only see who they are
+    if (req.user.role !== "admin") {
+      fields = "name email avatar";
+      const organization = await getActiveOrganization(req.user);
+      query._id = { $in: organization.members.map((member) => member.user) };
+    }
 
     const searchValue = search?.replace(/[#-.]|[[-^]|[?|{}]/g, "\\$&");
     if (search) {
@@ -211,6 +253,7 @@ router.post("/search", passport.authenticate(["admin", "user"], { session: false
     const users = await UserObject.find(query)
       .skip(no_of_docs_each_page * current_page_number)
       .limit(no_of_docs_each_page)
+      .select(fields)
       .sort(sort);
 
     const total = await UserObject.countDocuments(query);
@@ -230,6 +273,7 @@ router.post("/", passport.authenticate(["admin"], { session: false }), async (re
       return res.status(400).send({ ok: false, user: null, code: ERROR_CODES.PASSWORD_NOT_VALIDATED });
 
     const user = await UserObject.create(req.body);
+    await recordAudit(req, { action: "user.create", targetType: "user", after: user });
 
     return res.status(200).send({ data: user, ok: true });
   } catch (error) {
@@ -245,8 +289,10 @@ router.put("/:id", passport.authenticate(["admin", "user"], { session: false }),
     const user = await UserObject.findById(req.params.id);
     const obj = req.body;
 
+    const previous = snapshot(user);
     user.set(obj);
     await user.save();
+    await recordAudit(req, { action: "user.update", targetType: "user", target: user, before: previous, after: user });
 
     res.status(200).send({ ok: true, data: user });
   } catch (error) {
@@ -259,6 +305,7 @@ router.put("/", passport.authenticate(["admin", "user", "applicant"], { session:
   try {
     const obj = req.body;
     const data = await UserObject.findByIdAndUpdate(req.user._id, obj, { new: true });
+    await recordAudit(req, { action: "user.update", targetType: "user", before: req.user, after: data });
     res.status(200).send({ ok: true, data });
   } catch (error) {
     capture(error);
@@ -268,7 +315,8 @@ router.put("/", passport.authenticate(["admin", "user", "applicant"], { session:
 
 router.delete("/:id", passport.authenticate("admin", { session: false }), async (req, res) => {
   try {
-    await UserObject.findOneAndRemove({ _id: req.params.id });
+    const user = await UserObject.findOneAndRemove({ _id: req.params.id });
+    if (user) await recordAudit(req, { action: "user.delete", targetType: "user", before: user });
     res.status(200).send({ ok: true });
   } catch (error) {
     capture(error);
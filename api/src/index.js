@@ -7,6 +7,9 @@ const cookieParser = require("cookie-parser");
 const passport = require("passport");
 const { initSentry, setupErrorHandler } = require("./services/sentry");
 const { PORT, ENVIRONMENT, APP_URL } = require("./config");
+const { schedule } = require("./services/scheduler");
+const { materializeRecurringExpenses } = require("./utils/recurringExpenses");
+const { purgeTrash } = require("./utils/trash");
 
 const app = express();
 initSentry(app);
@@ -17,7 +20,14 @@ if (ENVIRONMENT === "development") {
 
 require("./services/mongo");
 
-app.use(cors({ credentials: true, origin: [APP_URL, "your production url because sometimes theres a cors issue"] }));
+app.use(
+  cors({
+    credentials: true,
+    origin: [APP_URL, "your production url because sometimes theres a cors issue"],
+    // Lets the app read the file name of exports
+    exposedHeaders: ["Content-Disposition"],
+  }),
+);
 app.use(cookieParser());
 app.use(bodyParser.json({ limit: "50mb" }));
 app.use(bodyParser.urlencoded({ limit: "50mb", extended: true }));
@@ -39,6 +49,11 @@ app.use("/api", require("./controllers/projectController"));
 setupErrorHandler(app);
 require("./services/passport")(app);
 
+// Creates the expenses of recurring expenses when they are due
+schedule("recurring-expenses", 60 * 60 * 1000, () => materializeRecurringExpenses());
+// Deletes for good what has been in the trash for longer than the retention window
+schedule("purge-trash", 24 * 60 * 60 * 1000, () => purgeTrash());
+
 app.listen(PORT, () => {
   console.log(`App listening on port ${PORT}`);
 });
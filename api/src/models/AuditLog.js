@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// One document per write made through the API. Entries are append-only:
+// they are created by utils/audit.js and never updated or deleted.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+    },
+    action: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    targetType: {
+      type: String,
+      required: true,
+      enum: ["project", "expense", "user", "organization"],
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Set on project and expense entries so that owners can read the history of their project
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    // Only the fields that changed, with their value before and after the write
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ project: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+function rejectChange(next) {
+  next(new Error("Audit log entries cannot be changed"));
+}
+
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete", "findOneAndRemove"].forEach(
+  (operation) => AuditLogSchema.pre(operation, rejectChange)
+);
+
+AuditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
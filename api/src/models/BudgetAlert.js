@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// One document per alert sent, kept as the history of a project's budget alerts
+const BudgetAlertSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    threshold: {
+      type: Number,
+      required: true,
+    },
+    // Null when the project has no budget
+    percentage: {
+      type: Number,
+    },
+    totalSpent: {
+      type: Number,
+      required: true,
+    },
+    budget: {
+      type: Number,
+      required: true,
+    },
+    recipients: [
+      {
+        type: String,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+BudgetAlertSchema.index({ project: 1, createdAt: -1 });
+
+module.exports = mongoose.model("BudgetAlert", BudgetAlertSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// One document per change of a project's budget, kept as the history of its scope
+const BudgetRevisionSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    previousBudget: {
+      type: Number,
+      required: true,
+    },
+    newBudget: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+BudgetRevisionSchema.index({ project: 1, createdAt: -1 });
+
+module.exports = mongoose.model("BudgetRevision", BudgetRevisionSchema);
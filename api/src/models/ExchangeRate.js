@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+const { CURRENCIES } = require("../utils/constants");
+
+// 1 unit of `from` is worth `rate` units of `to`, starting from `date`
+const ExchangeRateSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      required: true,
+      enum: CURRENCIES,
+    },
+    to: {
+      type: String,
+      required: true,
+      enum: CURRENCIES,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+    },
+  },
+  { timestamps: true }
+);
+
+ExchangeRateSchema.index({ from: 1, to: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model("ExchangeRate", ExchangeRateSchema);
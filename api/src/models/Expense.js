@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { EXPENSE_CATEGORIES, CURRENCIES, EXPENSE_STATUSES } = require("../utils/constants");
+const { softDelete } = require("../utils/softDelete");
 
 const ExpenseSchema = new mongoose.Schema(
   {
@@ -7,15 +9,29 @@ const ExpenseSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Amount in the project currency, used for every budget computation
     amount: {
       type: Number,
       required: true,
       min: 0.01,
     },
+    // Amount and currency as paid, before conversion
+    originalAmount: {
+      type: Number,
+      min: 0.01,
+    },
+    originalCurrency: {
+      type: String,
+      enum: CURRENCIES,
+    },
+    exchangeRate: {
+      type: Number,
+      default: 1,
+    },
     category: {
       type: String,
       required: true,
-      enum: ["marketing", "development", "design", "operations", "hr", "other"],
+      enum: EXPENSE_CATEGORIES,
       default: "other",
     },
     date: {
@@ -32,11 +48,58 @@ const ExpenseSchema = new mongoose.Schema(
       ref: "user",
       required: true,
     },
+    // Receipt files uploaded through /file
+    receipts: [
+      {
+        url: { type: String, required: true },
+        // Storage key of the file, recorded from the url when the receipt is attached
+        key: { type: String },
+        name: { type: String },
+      },
+    ],
+    // Only approved expenses count toward the budget. No default: expenses created before the workflow are approved.
+    status: {
+      type: String,
+      enum: EXPENSE_STATUSES,
+    },
+    submittedAt: {
+      type: Date,
+    },
+    // Who approved or rejected the expense, and why
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewComment: {
+      type: String,
+      trim: true,
+    },
+    // Set when the expense is an occurrence of a recurring expense
+    recurringExpense: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecurringExpense",
+    },
+    // Trashed along with its project, and restored with it
+    deletedWithProject: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true }
 );
 
+ExpenseSchema.plugin(softDelete);
+
 ExpenseSchema.index({ project: 1, createdAt: -1 });
+ExpenseSchema.index({ project: 1, status: 1 });
+// An occurrence is created only once, even if the scheduler runs twice
+ExpenseSchema.index(
+  { recurringExpense: 1, date: 1 },
+  { unique: true, partialFilterExpression: { recurringExpense: { $exists: true } } }
+);
 
 ExpenseSchema.pre("save", async function (next) {
   try {
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// In-app notification, listed in the top bar of its recipient until read
+const NotificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // Path of the app the notification leads to, inside this organization when it is set
+    link: {
+      type: String,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Notification", NotificationSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Workspace holding projects and their expenses. Users only see the projects
+// and the users of the organization they are working in.
+const OrganizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    members: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "user",
+          required: true,
+        },
+        // Owners rename the organization and invite people into it
+        role: {
+          type: String,
+          enum: ["owner", "member"],
+          default: "member",
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+OrganizationSchema.index({ "members.user": 1 });
+
+module.exports = mongoose.model("Organization", OrganizationSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Invitation of an email address to an organization, accepted with the signed token sent to that address,
+// at signup or by a signed in user. Pending until accepted, revoked or expired.
+const OrganizationInvitationSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+OrganizationInvitationSchema.index({ organization: 1, email: 1 });
+
+module.exports = mongoose.model("OrganizationInvitation", OrganizationInvitationSchema);
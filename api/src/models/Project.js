@@ -1,4 +1,10 @@
 const mongoose = require("mongoose");
+const { getCategoryStatus } = require("../utils/budget");
+const { projectSpend } = require("../utils/forecast");
+const { isApproved } = require("../utils/approvals");
+const { CURRENCIES, PROJECT_STATES, PROJECT_ROLES } = require("../utils/constants");
+const { isOverdue } = require("../utils/lifecycle");
+const { softDelete } = require("../utils/softDelete");
 
 const ProjectSchema = new mongoose.Schema(
   {
@@ -16,6 +22,26 @@ const ProjectSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Budget when the project was created. Changes are recorded as BudgetRevision documents.
+    originalBudget: {
+      type: Number,
+      min: 0,
+    },
+    // Currency of the budget, expenses are converted into it
+    currency: {
+      type: String,
+      enum: CURRENCIES,
+      default: "EUR",
+    },
+    // Optional budget line per expense category, on top of the overall budget
+    categoryBudgets: {
+      marketing: { type: Number, min: 0 },
+      development: { type: Number, min: 0 },
+      design: { type: Number, min: 0 },
+      operations: { type: Number, min: 0 },
+      hr: { type: Number, min: 0 },
+      other: { type: Number, min: 0 },
+    },
     startDate: {
       type: Date,
       default: Date.now,
@@ -23,6 +49,20 @@ const ProjectSchema = new mongoose.Schema(
     endDate: {
       type: Date,
     },
+    // Lifecycle of the project, changed through the transitions of utils/lifecycle.js
+    state: {
+      type: String,
+      enum: PROJECT_STATES,
+      default: "active",
+    },
+    stateChangedAt: {
+      type: Date,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "user",
@@ -34,20 +74,65 @@ const ProjectSchema = new mongoose.Schema(
         ref: "user",
       },
     ],
-    overBudgetNotified: {
-      type: Boolean,
-      default: false,
+    // Role of the members other than the owner, see utils/permissions.js. Members without one are contributors.
+    roles: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "user",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: PROJECT_ROLES.filter((role) => role !== "owner"),
+          default: "contributor",
+        },
+      },
+    ],
+    // Ownership offered by the owner to another member, until that member accepts it
+    ownershipTransfer: {
+      to: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+      },
+      requestedAt: {
+        type: Date,
+      },
+    },
+    // Members who review submitted expenses, on top of the owner and the managers
+    approvers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "user",
+      },
+    ],
+    // Percentages of the budget that trigger an alert email
+    alertThresholds: {
+      type: [Number],
+      default: [100],
+    },
+    // Thresholds currently crossed, re-armed when spend drops back below them
+    triggeredThresholds: {
+      type: [Number],
+      default: [],
     },
   },
   { timestamps: true }
 );
 
+ProjectSchema.plugin(softDelete);
+
 ProjectSchema.virtual("totalExpenses", {
   ref: "Expense",
   localField: "_id",
   foreignField: "project",
   justOne: false,
-  options: { select: "amount" },
+  options: { select: "amount category date status createdBy" },
+});
+
+ProjectSchema.virtual("isOverdue").get(function () {
+  return isOverdue(this);
 });
 
 ProjectSchema.virtual("budgetStatus").get(function () {
@@ -55,14 +140,43 @@ ProjectSchema.virtual("budgetStatus").get(function () {
     return null;
   }
 
-  const total = this.totalExpenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
+  // Only approved spend counts toward the budget, submitted spend is reported as pending
+  const approvedExpenses = this.totalExpenses.filter(isApproved);
+  const pendingExpenses = this.totalExpenses.filter((exp) => exp.status === "submitted");
+
+  const total = approvedExpenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
+  const pendingSpent = pendingExpenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
   const percentage = this.budget ? Math.min(100, Math.round((total / this.budget) * 100)) : 0;
 
+  const spentByCategory = {};
+  approvedExpenses.forEach((exp) => {
+    spentByCategory[exp.category] = (spentByCategory[exp.category] || 0) + (exp.amount || 0);
+  });
+  const categories = getCategoryStatus(this.categoryBudgets, spentByCategory);
+
+  // Share of the approved spend brought by each member, keyed by user id
+  const spentByMember = {};
+  approvedExpenses.forEach((exp) => {
+    const member = String(exp.createdBy?._id || exp.createdBy);
+    spentByMember[member] = (spentByMember[member] || 0) + (exp.amount || 0);
+  });
+
+  // Projects created before revisions were recorded have no original budget
+  const originalBudget = this.originalBudget ?? this.budget;
+
   return {
+    originalBudget,
+    budgetChange: this.budget - originalBudget,
     totalSpent: total,
+    pendingSpent,
+    pendingCount: pendingExpenses.length,
     percentage,
     remaining: this.budget ? Math.max(0, this.budget - total) : 0,
     isOverBudget: this.budget ? total > this.budget : false,
+    categories,
+    overBudgetCategories: categories.filter((line) => line.isOverBudget).map((line) => line.category),
+    spentByMember,
+    projectedAtEnd: projectSpend(this, approvedExpenses).projectedAtEnd,
   };
 });
 
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { PROJECT_ROLES } = require("../utils/constants");
+
+// Invitation of an email address from outside the project's organization to a project, accepted with the
+// signed token of the invitation at signup or once signed in. Pending until accepted, revoked or expired.
+const ProjectInvitationSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    role: {
+      type: String,
+      enum: PROJECT_ROLES.filter((role) => role !== "owner"),
+      default: "contributor",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+ProjectInvitationSchema.index({ project: 1, email: 1 });
+
+module.exports = mongoose.model("ProjectInvitation", ProjectInvitationSchema);
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const { EXPENSE_CATEGORIES, CURRENCIES } = require("../utils/constants");
+
+// A series of expenses created automatically on each occurrence (subscriptions, retainers...)
+const RecurringExpenseSchema = new mongoose.Schema(
+  {
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Amount of each occurrence in `currency`, converted when the expense is created
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    currency: {
+      type: String,
+      enum: CURRENCIES,
+      required: true,
+    },
+    category: {
+      type: String,
+      required: true,
+      enum: EXPENSE_CATEGORIES,
+      default: "other",
+    },
+    frequency: {
+      type: String,
+      required: true,
+      enum: ["weekly", "monthly", "quarterly", "yearly"],
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+    },
+    // Number of occurrences already created since startDate
+    occurrences: {
+      type: Number,
+      default: 0,
+    },
+    // Date of the next occurrence to create, null once the series is over
+    nextOccurrence: {
+      type: Date,
+    },
+    paused: {
+      type: Boolean,
+      default: false,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+RecurringExpenseSchema.index({ paused: 1, nextOccurrence: 1 });
+RecurringExpenseSchema.index({ project: 1 });
+
+module.exports = mongoose.model("RecurringExpense", RecurringExpenseSchema);
@@ -6,6 +6,8 @@ const MODELNAME = "user";
 const Schema = new mongoose.Schema({
   name: { type: String, trim: true },
   organisation_name: { type: String, trim: true },
+  // Organization the user is working in, switched from the app
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: "Organization" },
 
   email: { type: String, required: true, unique: true, trim: true },
 
@@ -0,0 +1,24 @@
+const express = require("express");
+const passport = require("passport");
+const { parseAuditFilters, findAuditLogs } = require("../utils/audit");
+
+const router = express.Router();
+
+// Search the audit log across all projects and users. Project owners read theirs through GET /projects/:id/activity.
+router.post('/search', passport.authenticate(["admin"], { session: false }), async (req, res) => {
+  try {
+    const query = parseAuditFilters(req.body);
+    if (!query) {
+      return res.status(400).json({ ok: false, error: 'Invalid activity filters' });
+    }
+
+    const data = await findAuditLogs(query, req.body);
+
+    return res.status(200).json({ ok: true, data });
+  } catch (error) {
+    console.error('Error searching audit logs:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to search audit logs' });
+  }
+});
+
+module.exports = router;
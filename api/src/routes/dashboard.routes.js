@@ -0,0 +1,56 @@
+const express = require("express");
+const passport = require("passport");
+const { withOrganization, projectAccessFilter } = require("../utils/organizations");
+const {
+  parseDashboardFilters,
+  getPortfolio,
+  getSummary,
+  getMonthlySpend,
+  getCategorySpend,
+  getOverBudgetProjects,
+  getLargestExpenses,
+} = require("../utils/dashboard");
+
+const router = express.Router();
+
+// Every dashboard endpoint adds up the projects the current user can access in the active organization,
+// filtered by ?from=&to=&state=, with amounts in ?currency= (EUR by default)
+function dashboardRoute(name, compute) {
+  return [
+    passport.authenticate(["admin", "user"], { session: false }),
+    withOrganization,
+    async (req, res) => {
+      try {
+        const filters = parseDashboardFilters(req.query);
+        if (!filters) {
+          return res.status(400).json({ ok: false, error: 'Invalid date range, project state or currency' });
+        }
+
+        const portfolio = await getPortfolio(projectAccessFilter(req), filters);
+        const data = await compute(portfolio, filters.expenseFilters);
+
+        return res.status(200).json({ ok: true, data, currency: portfolio.currency, missingRates: portfolio.missingRates });
+      } catch (error) {
+        console.error(`Error computing the ${name}:`, error);
+        return res.status(500).json({ ok: false, error: `Failed to compute the ${name}` });
+      }
+    },
+  ];
+}
+
+// Total budget against the total spent
+router.get('/summary', ...dashboardRoute('dashboard summary', getSummary));
+
+// Spend by month
+router.get('/monthly', ...dashboardRoute('monthly spend', getMonthlySpend));
+
+// Spend by category across projects
+router.get('/categories', ...dashboardRoute('spend by category', getCategorySpend));
+
+// Projects furthest over their budget
+router.get('/over-budget', ...dashboardRoute('over budget projects', (portfolio) => getOverBudgetProjects(portfolio)));
+
+// Largest expenses
+router.get('/largest-expenses', ...dashboardRoute('largest expenses', (portfolio, expenseFilters) => getLargestExpenses(portfolio, expenseFilters)));
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require("express");
+const passport = require("passport");
+const ExchangeRate = require("../models/ExchangeRate");
+const { CURRENCIES } = require("../utils/constants");
+const { parseCsv } = require("../utils/csv");
+
+const router = express.Router();
+
+const SEARCH_LIMIT = 200;
+const MAX_SEARCH_LIMIT = 1000;
+
+// Rates are stored per day, so a rate applies from the start of its day
+function parseRateDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+}
+
+function validateRate({ from, to, rate, date }) {
+  if (!CURRENCIES.includes(from) || !CURRENCIES.includes(to)) return 'Unsupported currency';
+  if (from === to) return 'Currencies must be different';
+  if (!Number.isFinite(parseFloat(rate)) || parseFloat(rate) <= 0) return 'Rate must be a positive number';
+  if (!parseRateDate(date)) return 'Invalid date';
+  return null;
+}
+
+// Search exchange rates, the most recent first. The limit of the body is capped to MAX_SEARCH_LIMIT.
+router.post('/search', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+  try {
+    const limit = req.body.limit === undefined ? SEARCH_LIMIT : Number(req.body.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ ok: false, error: 'Limit must be a positive whole number' });
+    }
+
+    const query = {};
+    if (req.body.from) query.from = req.body.from;
+    if (req.body.to) query.to = req.body.to;
+
+    const data = await ExchangeRate.find(query)
+      .sort({ date: -1, from: 1, to: 1 })
+      .limit(Math.min(limit, MAX_SEARCH_LIMIT));
+
+    return res.status(200).json({ ok: true, data });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to fetch exchange rates' });
+  }
+});
+
+// Create an exchange rate
+router.post('/', passport.authenticate(["admin"], { session: false }), async (req, res) => {
+  try {
+    const { from, to, rate, date } = req.body;
+
+    const validationError = validateRate({ from, to, rate, date });
+    if (validationError) {
+      return res.status(400).json({ ok: false, error: validationError });
+    }
+
+    const data = await ExchangeRate.create({
+      from,
+      to,
+      rate: parseFloat(rate),
+      date: parseRateDate(date),
+      createdBy: req.user._id,
+    });
+
+    return res.status(200).json({ ok: true, data });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ ok: false, error: 'A rate already exists for these currencies on this date' });
+    }
+    console.error('Error creating exchange rate:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to create exchange rate' });
+  }
+});
+
+// Import exchange rates from a CSV file with a "from,to,rate,date" header
+router.post('/import', passport.authenticate(["admin"], { session: false }), async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (!content) {
+      return res.status(400).json({ ok: false, error: 'File content is required' });
+    }
+
+    const [header, ...rows] = parseCsv(content);
+    const columns = (header || []).map((column) => column.trim().toLowerCase());
+    if (!['from', 'to', 'rate', 'date'].every((column) => columns.includes(column))) {
+      return res.status(400).json({ ok: false, error: 'The file must have from, to, rate and date columns' });
+    }
+
+    let imported = 0;
+    const errors = [];
+
+    for (const [index, row] of rows.entries()) {
+      const values = {};
+      columns.forEach((column, i) => {
+        values[column] = (row[i] || '').trim();
+      });
+      values.from = values.from.toUpperCase();
+      values.to = values.to.toUpperCase();
+
+      const validationError = validateRate(values);
+      if (validationError) {
+        // +2: header line and 1-based numbering
+        errors.push({ line: index + 2, error: validationError });
+        continue;
+      }
+
+      // Re-importing a file updates the rates of the same day
+      await ExchangeRate.updateOne(
+        { from: values.from, to: values.to, date: parseRateDate(values.date) },
+        { $set: { rate: parseFloat(values.rate), createdBy: req.user._id } },
+        { upsert: true }
+      );
+      imported++;
+    }
+
+    return res.status(200).json({ ok: true, data: { imported, errors } });
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to import exchange rates' });
+  }
+});
+
+// Update an exchange rate
+router.put('/:id', passport.authenticate(["admin"], { session: false }), async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findById(req.params.id);
+
+    if (!exchangeRate) {
+      return res.status(404).json({ ok: false, error: 'Exchange rate not found' });
+    }
+
+    const values = {
+      from: req.body.from ?? exchangeRate.from,
+      to: req.body.to ?? exchangeRate.to,
+      rate: req.body.rate ?? exchangeRate.rate,
+      date: req.body.date ?? exchangeRate.date,
+    };
+
+    const validationError = validateRate(values);
+    if (validationError) {
+      return res.status(400).json({ ok: false, error: validationError });
+    }
+
+    exchangeRate.set({ ...values, rate: parseFloat(values.rate), date: parseRateDate(values.date) });
+    await exchangeRate.save();
+
+    return res.status(200).json({ ok: true, data: exchangeRate });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ ok: false, error: 'A rate already exists for these currencies on this date' });
+    }
+    console.error('Error updating exchange rate:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to update exchange rate' });
+  }
+});
+
+// Delete an exchange rate
+router.delete('/:id', passport.authenticate(["admin"], { session: false }), async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findByIdAndDelete(req.params.id);
+
+    if (!exchangeRate) {
+      return res.status(404).json({ ok: false, error: 'Exchange rate not found' });
+    }
+
+    return res.status(200).json({ ok: true, data: { deleted: true } });
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to delete exchange rate' });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,102 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const passport = require("passport");
 const Expense = require("../models/Expense");
 const Project = require("../models/Project");
-const { sendEmail } = require("../services/brevo");
+const { getExpenseSummary } = require("../utils/budget");
+const { checkBudgetAlerts } = require("../utils/budgetAlerts");
+const { canReview, getSubmittedStatus } = require("../utils/approvals");
+const { parseReceipts, deleteReceiptFiles } = require("../utils/receipts");
+const { getPurgeDate } = require("../utils/trash");
+const { MAX_IMPORT_ROWS, guessMapping, parseExpenseRows } = require("../utils/expenseImport");
+const { snapshot, recordAudit } = require("../utils/audit");
+const { EXPORT_FORMATS, parseExportFilters, getLocale, sendExport, toFilename } = require("../utils/export");
+const { EXPENSE_SORT_FIELDS, parseExpenseFilters, findExpenses } = require("../utils/expenseFilters");
+const { CURRENCIES, EXPENSE_CATEGORIES } = require("../utils/constants");
+const { roundAmount, getExchangeRate } = require("../utils/currency");
+const { isSpendingLocked, sendProjectLocked } = require("../utils/lifecycle");
+const { withOrganization, projectAccessFilter, inOrganization } = require("../utils/organizations");
+const { can, canEditExpense, sendForbidden } = require("../utils/permissions");
+const ERROR_CODES = require("../utils/errorCodes");
 
 const router = express.Router();
 
-// Get all expenses for a project
-router.get('/project/:projectId', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+// Rows of the expense export, read from the cursor one expense at a time
+async function* toExportRows(cursor, project) {
+  for await (const expense of cursor) {
+    yield {
+      date: expense.date,
+      description: expense.description,
+      category: expense.category,
+      amount: expense.amount,
+      currency: project.currency,
+      originalAmount: expense.originalAmount,
+      originalCurrency: expense.originalCurrency,
+      status: expense.status || 'approved',
+      createdBy: expense.createdBy?.name || expense.createdBy?.email,
+      receipts: expense.receipts.length,
+    };
+  }
+}
+
+// Get the expenses of a project, one page at a time.
+// Filters by ?from=&to=&category=&createdBy=&minAmount=&maxAmount=&search=, sorts with ?sort=&order=
+// and paginates with ?page=&per_page=
+router.get('/project/:projectId', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
   try {
+    const filters = parseExpenseFilters(req.query);
+    if (!filters) {
+      return res.status(400).json({ ok: false, error: 'Invalid expense filters' });
+    }
+
+    if (req.query.sort && !EXPENSE_SORT_FIELDS.includes(req.query.sort)) {
+      return res.status(400).json({ ok: false, error: `Expenses can be sorted by ${EXPENSE_SORT_FIELDS.join(', ')}` });
+    }
+
     // Verify user has access to the project
-    const project = await Project.findOne({
-      _id: req.params.projectId,
+    const project = await Project.findOne({ _id: req.params.projectId, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ 
+        ok: false, 
+        error: 'Project not found or access denied' 
+      });
+    }
+
+    // Drafts are only visible to their creator
+    const data = await findExpenses({
+      project: project._id,
+      ...filters,
       $or: [
-        { createdBy: req.user._id },
-        { members: req.user._id }
+        { status: { $ne: 'draft' } },
+        { createdBy: req.user._id }
       ]
+    }, req.query);
+
+    return res.status(200).json({ ok: true, data });
+  } catch (error) {
+    console.error('Error fetching expenses:', error);
+    return res.status(500).json({ 
+      ok: false, 
+      error: 'Failed to fetch expenses' 
     });
+  }
+});
+
+// Export the expenses of a project as CSV or XLSX, with the same access rules as the list
+router.post('/export/project/:projectId', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const format = req.body.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ ok: false, error: 'Format must be csv or xlsx' });
+    }
+
+    const filters = parseExportFilters(req.body);
+    if (!filters) {
+      return res.status(400).json({ ok: false, error: 'Invalid date range or category' });
+    }
+
+    const project = await Project.findOne({ _id: req.params.projectId, ...projectAccessFilter(req) });
 
     if (!project) {
       return res.status(404).json({ 
@@ -25,26 +105,52 @@ router.get('/project/:projectId', passport.authenticate(["admin", "user"], { ses
       });
     }
 
-    const expenses = await Expense.find({
-      project: req.params.projectId
+    const cursor = Expense.find({
+      project: project._id,
+      ...filters,
+      $or: [
+        { status: { $ne: 'draft' } },
+        { createdBy: req.user._id }
+      ]
     })
       .sort({ date: -1, createdAt: -1 })
-      .populate('createdBy', 'name email');
-
-    return res.status(200).json({ ok: true, data: expenses });
+      .populate('createdBy', 'name email')
+      .cursor();
+
+    await sendExport(res, {
+      format,
+      filename: `${toFilename(project.name)}-expenses`,
+      sheetName: 'Expenses',
+      locale: getLocale(req),
+      columns: [
+        { header: 'Date', key: 'date', type: 'date', width: 12 },
+        { header: 'Description', key: 'description', width: 40 },
+        { header: 'Category', key: 'category' },
+        { header: 'Amount', key: 'amount', type: 'number' },
+        { header: 'Currency', key: 'currency', width: 10 },
+        { header: 'Original amount', key: 'originalAmount', type: 'number' },
+        { header: 'Original currency', key: 'originalCurrency', width: 10 },
+        { header: 'Status', key: 'status' },
+        { header: 'Created by', key: 'createdBy', width: 24 },
+        { header: 'Receipts', key: 'receipts', width: 10 },
+      ],
+      rows: toExportRows(cursor, project),
+    });
   } catch (error) {
-    console.error('Error fetching expenses:', error);
+    console.error('Error exporting expenses:', error);
+    // The file may already be partly sent
+    if (res.headersSent) return res.end();
     return res.status(500).json({ 
       ok: false, 
-      error: 'Failed to fetch expenses' 
+      error: 'Failed to export expenses' 
     });
   }
 });
 
 // Create a new expense
-router.post('/', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+router.post('/', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
   try {
-    const { description, amount, category, date, projectId } = req.body;
+    const { description, amount, category, date, projectId, currency, draft, receipts } = req.body;
 
     // Basic validation
     if (!description || amount === undefined || !category || !projectId) {
@@ -54,14 +160,17 @@ router.post('/', passport.authenticate(["admin", "user"], { session: false }), a
       });
     }
 
+    if (!(parseFloat(amount) > 0)) {
+      return res.status(400).json({ ok: false, error: 'Amount must be a positive number' });
+    }
+
+    // Without a date, the expense is made today
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ ok: false, error: 'Invalid date' });
+    }
+
     // Verify user has access to the project
-    const project = await Project.findOne({
-      _id: projectId,
-      $or: [
-        { createdBy: req.user._id },
-        { members: req.user._id }
-      ]
-    });
+    const project = await Project.findOne({ _id: projectId, ...projectAccessFilter(req) });
 
     if (!project) {
       return res.status(404).json({ 
@@ -70,61 +179,60 @@ router.post('/', passport.authenticate(["admin", "user"], { session: false }), a
       });
     }
 
+    if (!can(project, req.user._id, 'expense.create')) {
+      return sendForbidden(res, 'Not authorized to add expenses to this project');
+    }
+
+    if (isSpendingLocked(project)) {
+      return sendProjectLocked(res, project);
+    }
+
+    if (currency && !CURRENCIES.includes(currency)) {
+      return res.status(400).json({ ok: false, error: 'Unsupported currency' });
+    }
+
+    const parsedReceipts = receipts === undefined ? [] : parseReceipts(receipts, req.user._id);
+    if (!parsedReceipts) {
+      return res.status(400).json({ ok: false, error: 'Invalid receipts' });
+    }
+
+    // Convert into the project currency with the rate known at the expense date
+    const expenseDate = date ? new Date(date) : new Date();
+    const originalCurrency = currency || project.currency;
+    const exchangeRate = await getExchangeRate(originalCurrency, project.currency, expenseDate);
+
+    if (!exchangeRate) {
+      return res.status(400).json({
+        ok: false,
+        code: ERROR_CODES.EXCHANGE_RATE_NOT_FOUND,
+        error: `No exchange rate from ${originalCurrency} to ${project.currency} for this date`
+      });
+    }
+
+    // Drafts stay private to their creator until submitted for review
+    const status = draft ? 'draft' : getSubmittedStatus(project, req.user._id);
+
+    const originalAmount = parseFloat(amount);
     const expense = new Expense({
       description,
-      amount: parseFloat(amount),
+      amount: roundAmount(originalAmount * exchangeRate),
+      originalAmount,
+      originalCurrency,
+      exchangeRate,
       category,
-      date: date || new Date(),
+      date: expenseDate,
       project: projectId,
       createdBy: req.user._id,
+      receipts: parsedReceipts,
+      status,
+      submittedAt: status === 'draft' ? undefined : new Date(),
+      ...(status === 'approved' && { reviewedBy: req.user._id, reviewedAt: new Date() }),
     });
 
     await expense.save();
+    await recordAudit(req, { action: 'expense.create', targetType: 'expense', project, after: expense });
 
-    // After saving, recompute total spent for the project
-    const totals = await Expense.aggregate([
-      {
-        $match: {
-          project: project._id,
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: "$amount" },
-        },
-      },
-    ]);
-
-    const totalSpent = totals.length ? totals[0].total : 0;
-
-    // If project is now over budget and was not notified yet, send an email
-    if (totalSpent > project.budget && !project.overBudgetNotified) {
-      try {
-        const populatedProject = await project.populate("createdBy", "email name");
-        const recipient = populatedProject.createdBy;
-
-        if (recipient && recipient.email) {
-          await sendEmail(
-            [
-              {
-                email: recipient.email,
-                name: recipient.name || recipient.email,
-              },
-            ],
-            `Budget alert for project "${populatedProject.name}"`,
-            `<p>Your project <strong>${populatedProject.name}</strong> is over budget.</p>
-<p>Budget: ${populatedProject.budget}</p>
-<p>Total spent: ${totalSpent}</p>`
-          );
-        }
-
-        populatedProject.overBudgetNotified = true;
-        await populatedProject.save();
-      } catch (emailError) {
-        console.error("Error sending over-budget email:", emailError);
-      }
-    }
+    await checkBudgetAlerts(project._id);
 
     // Populate the createdBy field before sending the response
     const populatedExpense = await expense.populate("createdBy", "name email");
@@ -139,34 +247,204 @@ router.post('/', passport.authenticate(["admin", "user"], { session: false }), a
   }
 });
 
+// Parse a CSV file of expenses and validate its rows, without saving anything.
+// Without a mapping, the columns are guessed from the header names.
+router.post('/import/preview', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const { projectId, content, mapping } = req.body;
+
+    if (!projectId || !content) {
+      return res.status(400).json({ ok: false, error: 'Project ID and file content are required' });
+    }
+
+    const project = await Project.findOne({ _id: projectId, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ 
+        ok: false, 
+        error: 'Project not found or access denied' 
+      });
+    }
+
+    if (!can(project, req.user._id, 'expense.create')) {
+      return sendForbidden(res, 'Not authorized to add expenses to this project');
+    }
+
+    const columnMapping = mapping || guessMapping(parseExpenseRows(content).headers);
+    const data = parseExpenseRows(content, columnMapping);
+
+    return res.status(200).json({ ok: true, data: { ...data, mapping: columnMapping } });
+  } catch (error) {
+    console.error('Error previewing expense import:', error);
+    return res.status(500).json({ 
+      ok: false, 
+      error: 'Failed to read the file' 
+    });
+  }
+});
+
+// Create the valid rows of a CSV file of expenses in one go. Invalid rows are skipped and reported.
+router.post('/import', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const { projectId, content, mapping } = req.body;
+
+    if (!projectId || !content || !mapping) {
+      return res.status(400).json({ ok: false, error: 'Project ID, file content and column mapping are required' });
+    }
+
+    const project = await Project.findOne({ _id: projectId, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ 
+        ok: false, 
+        error: 'Project not found or access denied' 
+      });
+    }
+
+    if (!can(project, req.user._id, 'expense.create')) {
+      return sendForbidden(res, 'Not authorized to add expenses to this project');
+    }
+
+    if (isSpendingLocked(project)) {
+      return sendProjectLocked(res, project);
+    }
+
+    const { rows, truncated } = parseExpenseRows(content, mapping);
+    const validRows = rows.filter((row) => !row.errors.length);
+    const status = getSubmittedStatus(project, req.user._id);
+
+    // Rows are in the project currency
+    const expenses = await Expense.insertMany(
+      validRows.map(({ values }) => ({
+        ...values,
+        originalAmount: values.amount,
+        originalCurrency: project.currency,
+        exchangeRate: 1,
+        project: project._id,
+        createdBy: req.user._id,
+        status,
+        submittedAt: new Date(),
+      }))
+    );
+
+    if (validRows.length) {
+      await Project.updateOne({ _id: project._id }, { $set: { updatedAt: new Date() } });
+      // The import is logged as a whole rather than as one entry per row
+      await recordAudit(req, {
+        action: 'expense.import',
+        targetType: 'expense',
+        project,
+        after: { imported: expenses.length, expenses: expenses.map((expense) => expense._id) },
+      });
+      // One budget check for the whole import, not one per row
+      await checkBudgetAlerts(project._id);
+    }
+
+    return res.status(200).json({
+      ok: true,
+      data: {
+        imported: validRows.length,
+        errors: rows.filter((row) => row.errors.length).map(({ line, errors }) => ({ line, errors })),
+        // Rows past MAX_IMPORT_ROWS are not read at all
+        truncated,
+        maxRows: MAX_IMPORT_ROWS,
+      },
+    });
+  } catch (error) {
+    console.error('Error importing expenses:', error);
+    return res.status(500).json({ 
+      ok: false, 
+      error: 'Failed to import expenses' 
+    });
+  }
+});
+
 // Update an expense
-router.put('/:id', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+router.put('/:id', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
   try {
-    const { description, amount, category, date } = req.body;
+    const { description, amount, category, date, currency, receipts } = req.body;
     const updates = {};
 
+    // Same rules as the creation: fields sent cannot be emptied
+    if (description !== undefined && !String(description).trim()) {
+      return res.status(400).json({ ok: false, error: 'Description is required' });
+    }
+
+    if (amount !== undefined && !(parseFloat(amount) > 0)) {
+      return res.status(400).json({ ok: false, error: 'Amount must be a positive number' });
+    }
+
+    if (category !== undefined && !EXPENSE_CATEGORIES.includes(category)) {
+      return res.status(400).json({ ok: false, error: 'Unknown category' });
+    }
+
+    if (date !== undefined && (!date || isNaN(new Date(date).getTime()))) {
+      return res.status(400).json({ ok: false, error: 'Invalid date' });
+    }
+
     if (description !== undefined) updates.description = description;
-    if (amount !== undefined) updates.amount = parseFloat(amount);
     if (category !== undefined) updates.category = category;
     if (date !== undefined) updates.date = date;
 
+    if (currency !== undefined && !CURRENCIES.includes(currency)) {
+      return res.status(400).json({ ok: false, error: 'Unsupported currency' });
+    }
+
     // Find the expense first to check permissions
     const expense = await Expense.findById(req.params.id)
       .populate('project');
 
-    if (!expense) {
+    if (!expense || !inOrganization(req, expense.project)) {
       return res.status(404).json({ ok: false, error: 'Expense not found' });
     }
 
-    // Check if user has permission (creator of expense or project owner)
-    if (
-      expense.createdBy.toString() !== req.user._id.toString() &&
-      expense.project.createdBy.toString() !== req.user._id.toString()
-    ) {
-      return res.status(403).json({ 
-        ok: false, 
-        error: 'Not authorized to update this expense' 
-      });
+    if (!canEditExpense(expense.project, expense, req.user._id)) {
+      return sendForbidden(res, 'Not authorized to update this expense');
+    }
+
+    if (isSpendingLocked(expense.project)) {
+      return sendProjectLocked(res, expense.project);
+    }
+
+    if (receipts !== undefined) {
+      updates.receipts = parseReceipts(receipts, req.user._id, expense.receipts);
+      if (!updates.receipts) {
+        return res.status(400).json({ ok: false, error: 'Invalid receipts' });
+      }
+    }
+
+    // Amount, currency and date all change the converted amount
+    if (amount !== undefined || currency !== undefined || date !== undefined) {
+      const originalAmount = amount !== undefined ? parseFloat(amount) : expense.originalAmount || expense.amount;
+      const originalCurrency = currency || expense.originalCurrency || expense.project.currency;
+      const expenseDate = date !== undefined ? new Date(date) : expense.date;
+      const exchangeRate = await getExchangeRate(originalCurrency, expense.project.currency, expenseDate);
+
+      if (!exchangeRate) {
+        return res.status(400).json({
+          ok: false,
+          code: ERROR_CODES.EXCHANGE_RATE_NOT_FOUND,
+          error: `No exchange rate from ${originalCurrency} to ${expense.project.currency} for this date`
+        });
+      }
+
+      updates.amount = roundAmount(originalAmount * exchangeRate);
+      updates.originalAmount = originalAmount;
+      updates.originalCurrency = originalCurrency;
+      updates.exchangeRate = exchangeRate;
+    }
+
+    // An approved expense whose amount or category is changed by someone who cannot approve it goes back to review.
+    // The amount is recomputed whenever the date or the currency is sent, so it is compared with the stored one.
+    const changesSpend =
+      (updates.amount !== undefined && updates.amount !== expense.amount) ||
+      (updates.category !== undefined && updates.category !== expense.category);
+    if (changesSpend && expense.status === 'approved' && !canReview(expense.project, req.user._id)) {
+      updates.status = 'submitted';
+      updates.submittedAt = new Date();
+      updates.reviewedBy = null;
+      updates.reviewedAt = null;
+      updates.reviewComment = null;
     }
 
     const updatedExpense = await Expense.findByIdAndUpdate(
@@ -174,6 +452,15 @@ router.put('/:id', passport.authenticate(["admin", "user"], { session: false }),
       { $set: updates },
       { new: true, runValidators: true }
     ).populate('createdBy', 'name email');
+    await recordAudit(req, { action: 'expense.update', targetType: 'expense', project: expense.project, before: expense, after: updatedExpense });
+
+    // Files of the receipts taken off the expense, unless another expense still references them
+    if (updates.receipts) {
+      const kept = updates.receipts.map((receipt) => receipt.url);
+      await deleteReceiptFiles(expense.receipts.filter((receipt) => !kept.includes(receipt.url)));
+    }
+
+    await checkBudgetAlerts(expense.project._id);
 
     return res.status(200).json({ ok: true, data: updatedExpense });
   } catch (error) {
@@ -185,33 +472,33 @@ router.put('/:id', passport.authenticate(["admin", "user"], { session: false }),
   }
 });
 
-// Delete an expense
-router.delete('/:id', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+// Move an expense to the trash. It is purged for good, with its receipts, after the retention window.
+router.delete('/:id', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
   try {
     // Find the expense first to check permissions
     const expense = await Expense.findById(req.params.id)
       .populate('project');
 
-    if (!expense) {
+    if (!expense || !inOrganization(req, expense.project)) {
       return res.status(404).json({ ok: false, error: 'Expense not found' });
     }
 
-    // Check if user has permission (creator of expense or project owner)
-    if (
-      expense.createdBy.toString() !== req.user._id.toString() &&
-      expense.project.createdBy.toString() !== req.user._id.toString()
-    ) {
-      return res.status(403).json({ 
-        ok: false, 
-        error: 'Not authorized to delete this expense' 
-      });
+    if (!canEditExpense(expense.project, expense, req.user._id)) {
+      return sendForbidden(res, 'Not authorized to delete this expense');
     }
 
-    await Expense.findByIdAndDelete(req.params.id);
+    if (isSpendingLocked(expense.project)) {
+      return sendProjectLocked(res, expense.project);
+    }
+
+    const deletedAt = new Date();
+    await Expense.updateOne({ _id: expense._id }, { $set: { deletedAt, deletedBy: req.user._id } });
+    await recordAudit(req, { action: 'expense.delete', targetType: 'expense', project: expense.project, before: expense });
+    await checkBudgetAlerts(expense.project._id);
 
     return res.status(200).json({
       ok: true,
-      data: { deleted: true },
+      data: { deleted: true, purgeAt: getPurgeDate(deletedAt) },
     });
   } catch (error) {
     console.error('Error deleting expense:', error);
@@ -222,17 +509,243 @@ router.delete('/:id', passport.authenticate(["admin", "user"], { session: false
   }
 });
 
-// Get expenses summary by category for a project
-router.get('/summary/project/:projectId', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+// Restore an expense from the trash. An expense trashed with its project comes back with the project.
+router.post('/:id/restore', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
   try {
-    // Verify user has access to the project
-    const project = await Project.findOne({
-      _id: req.params.projectId,
+    const expense = await Expense.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+      .populate('project');
+
+    if (!expense) {
+      return res.status(404).json({ ok: false, error: 'Expense not found in the trash' });
+    }
+
+    if (!expense.project || expense.deletedWithProject) {
+      return res.status(400).json({ ok: false, error: 'Restore the project of this expense first' });
+    }
+
+    if (!inOrganization(req, expense.project)) {
+      return res.status(404).json({ ok: false, error: 'Expense not found in the trash' });
+    }
+
+    if (!canEditExpense(expense.project, expense, req.user._id)) {
+      return sendForbidden(res, 'Not authorized to restore this expense');
+    }
+
+    if (isSpendingLocked(expense.project)) {
+      return sendProjectLocked(res, expense.project);
+    }
+
+    expense.set({ deletedAt: null, deletedBy: null });
+    await expense.save();
+    await recordAudit(req, { action: 'expense.restore', targetType: 'expense', project: expense.project, after: expense });
+    await checkBudgetAlerts(expense.project._id);
+
+    return res.status(200).json({ ok: true, data: expense });
+  } catch (error) {
+    console.error('Error restoring expense:', error);
+    return res.status(500).json({ 
+      ok: false, 
+      error: 'Failed to restore expense' 
+    });
+  }
+});
+
+// Get the expenses of a period across the projects of the current user, for the calendar.
+// ?from=&to= are required, and narrow down with ?project= and the filters of the project expense list.
+router.get('/calendar', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const filters = parseExpenseFilters(req.query);
+    if (!filters || !req.query.from || !req.query.to) {
+      return res.status(400).json({ ok: false, error: 'A valid date range is required' });
+    }
+
+    if (req.query.project && !mongoose.isValidObjectId(req.query.project)) {
+      return res.status(400).json({ ok: false, error: 'Invalid project' });
+    }
+
+    const projects = await Project.find({
+      ...projectAccessFilter(req),
+      ...(req.query.project && { _id: req.query.project })
+    }).select('_id');
+
+    // Drafts are only visible to their creator
+    const expenses = await Expense.find({
+      project: { $in: projects.map((project) => project._id) },
+      ...filters,
+      $or: [
+        { status: { $ne: 'draft' } },
+        { createdBy: req.user._id }
+      ]
+    })
+      .sort({ date: 1 })
+      .populate('createdBy', 'name email')
+      .populate('project', 'name currency');
+
+    return res.status(200).json({ ok: true, data: expenses });
+  } catch (error) {
+    console.error('Error fetching calendar expenses:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to fetch expenses' });
+  }
+});
+
+// Get the submitted expenses the current user can review, across their projects
+router.get('/approvals', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const projects = await Project.find({
+      organization: req.organization._id,
       $or: [
         { createdBy: req.user._id },
-        { members: req.user._id }
+        { roles: { $elemMatch: { user: req.user._id, role: 'manager' } } },
+        { approvers: req.user._id }
       ]
+    }).select('_id');
+
+    const expenses = await Expense.find({
+      project: { $in: projects.map((project) => project._id) },
+      status: 'submitted'
+    })
+      .sort({ submittedAt: 1 })
+      .populate('createdBy', 'name email')
+      .populate('project', 'name currency budget');
+
+    return res.status(200).json({ ok: true, data: expenses });
+  } catch (error) {
+    console.error('Error fetching approval queue:', error);
+    return res.status(500).json({ 
+      ok: false, 
+      error: 'Failed to fetch approval queue' 
+    });
+  }
+});
+
+// Submit a draft or rejected expense for review
+router.post('/:id/submit', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const expense = await Expense.findById(req.params.id)
+      .populate('project');
+
+    if (!expense || !inOrganization(req, expense.project)) {
+      return res.status(404).json({ ok: false, error: 'Expense not found' });
+    }
+
+    if (expense.createdBy.toString() !== req.user._id.toString() || !can(expense.project, req.user._id, 'expense.create')) {
+      return sendForbidden(res, 'Only the creator can submit this expense');
+    }
+
+    if (isSpendingLocked(expense.project)) {
+      return sendProjectLocked(res, expense.project);
+    }
+
+    if (!['draft', 'rejected'].includes(expense.status)) {
+      return res.status(400).json({ ok: false, error: 'Only draft or rejected expenses can be submitted' });
+    }
+
+    const previous = snapshot(expense);
+    const status = getSubmittedStatus(expense.project, req.user._id);
+    expense.set({
+      status,
+      submittedAt: new Date(),
+      reviewedBy: status === 'approved' ? req.user._id : null,
+      reviewedAt: status === 'approved' ? new Date() : null,
+      reviewComment: null,
+    });
+    await expense.save();
+    await recordAudit(req, { action: 'expense.submit', targetType: 'expense', target: expense, project: expense.project, before: previous, after: expense });
+
+    if (status === 'approved') {
+      await checkBudgetAlerts(expense.project._id);
+    }
+
+    const populatedExpense = await expense.populate([
+      { path: 'createdBy', select: 'name email' },
+      { path: 'reviewedBy', select: 'name email' },
+    ]);
+
+    return res.status(200).json({ ok: true, data: populatedExpense });
+  } catch (error) {
+    console.error('Error submitting expense:', error);
+    return res.status(500).json({ 
+      ok: false, 
+      error: 'Failed to submit expense' 
     });
+  }
+});
+
+// Approve or reject a submitted expense
+function reviewExpense(decision) {
+  return async (req, res) => {
+    try {
+      const comment = (req.body.comment || '').trim();
+
+      if (decision === 'rejected' && !comment) {
+        return res.status(400).json({ ok: false, error: 'A reason is required to reject an expense' });
+      }
+
+      const expense = await Expense.findById(req.params.id)
+        .populate('project');
+
+      if (!expense || !inOrganization(req, expense.project)) {
+        return res.status(404).json({ ok: false, error: 'Expense not found' });
+      }
+
+      if (!canReview(expense.project, req.user._id)) {
+        return sendForbidden(res, 'Not authorized to review this expense');
+      }
+
+      if (isSpendingLocked(expense.project)) {
+        return sendProjectLocked(res, expense.project);
+      }
+
+      if (expense.status !== 'submitted') {
+        return res.status(400).json({ ok: false, error: 'Only submitted expenses can be reviewed' });
+      }
+
+      const previous = snapshot(expense);
+      expense.set({
+        status: decision,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewComment: comment || null,
+      });
+      await expense.save();
+      await recordAudit(req, {
+        action: decision === 'approved' ? 'expense.approve' : 'expense.reject',
+        targetType: 'expense',
+        target: expense,
+        project: expense.project,
+        before: previous,
+        after: expense,
+      });
+
+      // Only approved spend counts toward the budget
+      if (decision === 'approved') {
+        await checkBudgetAlerts(expense.project._id);
+      }
+
+      const populatedExpense = await expense.populate([
+        { path: 'createdBy', select: 'name email' },
+        { path: 'reviewedBy', select: 'name email' },
+      ]);
+
+      return res.status(200).json({ ok: true, data: populatedExpense });
+    } catch (error) {
+      console.error('Error reviewing expense:', error);
+      return res.status(500).json({ 
+        ok: false, 
+        error: 'Failed to review expense' 
+      });
+    }
+  };
+}
+
+router.post('/:id/approve', passport.authenticate(["admin", "user"], { session: false }), withOrganization, reviewExpense('approved'));
+router.post('/:id/reject', passport.authenticate(["admin", "user"], { session: false }), withOrganization, reviewExpense('rejected'));
+
+// Get expenses summary by category for a project
+router.get('/summary/project/:projectId', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    // Verify user has access to the project
+    const project = await Project.findOne({ _id: req.params.projectId, ...projectAccessFilter(req) });
 
     if (!project) {
       return res.status(404).json({ 
@@ -241,25 +754,9 @@ router.get('/summary/project/:projectId', passport.authenticate(["admin", "user"
       });
     }
 
-    const summary = await Expense.aggregate([
-      {
-        $match: {
-          project: project._id
-        }
-      },
-      {
-        $group: {
-          _id: '$category',
-          total: { $sum: '$amount' },
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { total: -1 }
-      }
-    ]);
+    const data = await getExpenseSummary(project);
 
-    return res.status(200).json({ ok: true, data: summary });
+    return res.status(200).json({ ok: true, data });
   } catch (error) {
     console.error('Error fetching expense summary:', error);
     return res.status(500).json({ 
@@ -0,0 +1,54 @@
+const express = require("express");
+const passport = require("passport");
+const Notification = require("../models/Notification");
+
+const router = express.Router();
+
+// Get the latest notifications of the current user, with the number of unread ones
+router.get('/', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+  try {
+    const [notifications, unread] = await Promise.all([
+      Notification.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(20),
+      Notification.countDocuments({ user: req.user._id, readAt: null }),
+    ]);
+
+    return res.status(200).json({ ok: true, data: { notifications, unread } });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to fetch notifications' });
+  }
+});
+
+// Mark every notification of the current user as read
+router.post('/read', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+  try {
+    await Notification.updateMany({ user: req.user._id, readAt: null }, { $set: { readAt: new Date() } });
+
+    return res.status(200).json({ ok: true });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark one notification as read
+router.post('/:id/read', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ ok: false, error: 'Notification not found' });
+    }
+
+    return res.status(200).json({ ok: true, data: notification });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to mark notification as read' });
+  }
+});
+
+module.exports = router;
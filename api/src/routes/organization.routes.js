@@ -0,0 +1,170 @@
+const express = require("express");
+const passport = require("passport");
+const Organization = require("../models/Organization");
+const OrganizationInvitation = require("../models/OrganizationInvitation");
+const UserObject = require("../models/user");
+const { recordAudit } = require("../utils/audit");
+const { isMember, isOwner, createOrganization, withOrganization } = require("../utils/organizations");
+const { pendingFilter, inviteToOrganization, acceptOrganizationInvitation } = require("../utils/invitations");
+
+const router = express.Router();
+
+function withRole(organization, userId) {
+  return {
+    _id: organization._id,
+    name: organization.name,
+    role: isOwner(organization, userId) ? "owner" : "member",
+    membersCount: organization.members.length,
+  };
+}
+
+// Get the organizations of the current user, and the one they work in
+router.get('/', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const organizations = await Organization.find({ "members.user": req.user._id }).sort({ name: 1 });
+
+    return res.status(200).json({
+      ok: true,
+      data: {
+        active: req.organization._id,
+        organizations: organizations.map((organization) => withRole(organization, req.user._id)),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching organizations:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to fetch organizations' });
+  }
+});
+
+// Create an organization and switch to it
+router.post('/', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ ok: false, error: 'Name is required' });
+    }
+
+    const organization = await createOrganization(req.user, name);
+    await UserObject.updateOne({ _id: req.user._id }, { $set: { organization: organization._id } });
+    await recordAudit(req, { action: 'organization.create', targetType: 'organization', after: organization });
+
+    return res.status(200).json({ ok: true, data: withRole(organization, req.user._id) });
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to create organization' });
+  }
+});
+
+// Switch the organization the current user works in
+router.post('/:id/switch', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+  try {
+    const organization = await Organization.findOne({ _id: req.params.id, "members.user": req.user._id });
+
+    if (!organization) {
+      return res.status(404).json({ ok: false, error: 'Organization not found' });
+    }
+
+    await UserObject.updateOne({ _id: req.user._id }, { $set: { organization: organization._id } });
+
+    return res.status(200).json({ ok: true, data: withRole(organization, req.user._id) });
+  } catch (error) {
+    console.error('Error switching organization:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to switch organization' });
+  }
+});
+
+// Get the members and pending invitations of the active organization
+router.get('/members', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const organization = await req.organization.populate('members.user', 'name email avatar');
+    const invitations = await OrganizationInvitation.find({ organization: organization._id, ...pendingFilter() })
+      .select('email expiresAt createdAt')
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      ok: true,
+      data: {
+        members: organization.members.filter((member) => member.user),
+        invitations,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching organization members:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to fetch organization members' });
+  }
+});
+
+// Invite someone into the active organization by email. Only owners can. The person joins once they accept
+// the invitation sent to that address.
+router.post('/invitations', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const email = (req.body.email || '').trim();
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({ ok: false, error: 'A valid email is required' });
+    }
+
+    if (!isOwner(req.organization, req.user._id)) {
+      return res.status(403).json({ ok: false, error: 'Only owners can invite people into the organization' });
+    }
+
+    const existing = await UserObject.findOne({ email: email.toLowerCase() }).select('_id');
+    if (existing && isMember(req.organization, existing._id)) {
+      return res.status(400).json({ ok: false, error: 'This person is already a member' });
+    }
+
+    const invitation = await inviteToOrganization(req.organization, email, req.user);
+    await recordAudit(req, { action: 'organization.invite', targetType: 'organization', target: req.organization, after: { email: invitation.email } });
+
+    return res.status(200).json({ ok: true, data: invitation });
+  } catch (error) {
+    console.error('Error inviting into organization:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to send the invitation' });
+  }
+});
+
+// Revoke a pending invitation: its link no longer adds anyone to the organization. Only owners can.
+router.delete('/invitations/:invitationId', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    if (!isOwner(req.organization, req.user._id)) {
+      return res.status(403).json({ ok: false, error: 'Only owners can manage the invitations of the organization' });
+    }
+
+    const invitation = await OrganizationInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, organization: req.organization._id, ...pendingFilter() },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ ok: false, error: 'Invitation not found or no longer pending' });
+    }
+
+    await recordAudit(req, { action: 'organization.revoke_invitation', targetType: 'organization', target: req.organization, before: { email: invitation.email } });
+
+    return res.status(200).json({ ok: true, data: invitation });
+  } catch (error) {
+    console.error('Error revoking organization invitation:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to revoke the invitation' });
+  }
+});
+
+// Accept an invitation with the token sent to the address of the current user, and switch to the organization
+router.post('/invitations/accept', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+  try {
+    const organization = req.body.token ? await acceptOrganizationInvitation(String(req.body.token), req.user) : null;
+
+    if (!organization) {
+      return res.status(400).json({ ok: false, error: 'This invitation is invalid, expired, or for another email address' });
+    }
+
+    await UserObject.updateOne({ _id: req.user._id }, { $set: { organization: organization._id } });
+    await recordAudit(req, { action: 'organization.accept_invitation', targetType: 'organization', target: organization, after: { email: req.user.email } });
+
+    return res.status(200).json({ ok: true, data: withRole(organization, req.user._id) });
+  } catch (error) {
+    console.error('Error accepting organization invitation:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to accept the invitation' });
+  }
+});
+
+module.exports = router;
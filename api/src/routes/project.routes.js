@@ -2,26 +2,45 @@ const express = require("express");
 const mongoose = require("mongoose");
 const passport = require("passport");
 const Project = require("../models/Project");
+const BudgetAlert = require("../models/BudgetAlert");
+const BudgetRevision = require("../models/BudgetRevision");
+const ProjectInvitation = require("../models/ProjectInvitation");
+const { parseCategoryBudgets, parseAlertThresholds, getExpenseSummary } = require("../utils/budget");
+const { checkBudgetAlerts } = require("../utils/budgetAlerts");
+const { APPROVED_EXPENSES } = require("../utils/approvals");
+const { getPurgeDate } = require("../utils/trash");
+const { snapshot, recordAudit, parseAuditFilters, findAuditLogs } = require("../utils/audit");
+const { buildForecast } = require("../utils/forecast");
+const { EXPORT_FORMATS, parseExportFilters, getLocale, sendExport, toFilename } = require("../utils/export");
+const { writeProjectReport } = require("../utils/report");
+const { getState, getStateFilter, canTransition } = require("../utils/lifecycle");
+const { isMember, withOrganization, projectAccessFilter } = require("../utils/organizations");
+const { can, withPermissions, sendForbidden } = require("../utils/permissions");
+const { pendingFilter, inviteToProject, acceptInvitation, notify } = require("../utils/invitations");
+const { CURRENCIES, PROJECT_STATES, PROJECT_ROLES } = require("../utils/constants");
 
 const router = express.Router();
 
-// Get all projects for the current user
-router.get('/', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+// Get all projects for the current user, optionally in one state (?state=)
+router.get('/', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
   try {
+    const { state } = req.query;
+    if (state && !PROJECT_STATES.includes(state)) {
+      return res.status(400).json({ ok: false, error: 'Unknown project state' });
+    }
+
     const projects = await Project.find({
-      $or: [
-        { createdBy: req.user._id },
-        { members: req.user._id }
-      ]
+      ...projectAccessFilter(req),
+      ...(state && getStateFilter(state)),
     }).populate('createdBy', 'name email')
-      .populate('members', 'name email')
+      .populate('members', 'name email avatar')
       .sort({ updatedAt: -1 });
 
     // Populate virtuals
     const populatedProjects = await Promise.all(
       projects.map(async (project) => {
         const populated = await project.populate('totalExpenses');
-        return populated;
+        return withPermissions(populated, req.user._id);
       })
     );
 
@@ -32,10 +51,97 @@ router.get('/', passport.authenticate(["admin", "user"], { session: false }), as
   }
 });
 
+// Export all projects of the current user with their budget status, as CSV or XLSX.
+// The date range and categories filter the expenses counted in the spend.
+router.post('/export', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const format = req.body.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ ok: false, error: 'Format must be csv or xlsx' });
+    }
+
+    const filters = parseExportFilters(req.body);
+    if (!filters) {
+      return res.status(400).json({ ok: false, error: 'Invalid date range or category' });
+    }
+
+    const projects = await Project.find(projectAccessFilter(req)).populate('createdBy', 'name email')
+      .sort({ name: 1 });
+
+    const totals = await mongoose.model("Expense").aggregate([
+      {
+        $match: {
+          project: { $in: projects.map((project) => project._id) },
+          ...filters,
+          status: { $in: ['approved', 'submitted', null] }
+        }
+      },
+      {
+        $group: {
+          _id: '$project',
+          spent: { $sum: { $cond: [{ $eq: ['$status', 'submitted'] }, 0, '$amount'] } },
+          pending: { $sum: { $cond: [{ $eq: ['$status', 'submitted'] }, '$amount', 0] } }
+        }
+      }
+    ]);
+    const totalsByProject = {};
+    totals.forEach((total) => {
+      totalsByProject[total._id.toString()] = total;
+    });
+
+    const rows = projects.map((project) => {
+      const { spent = 0, pending = 0 } = totalsByProject[project._id.toString()] || {};
+      return {
+        name: project.name,
+        owner: project.createdBy?.name || project.createdBy?.email,
+        state: getState(project),
+        currency: project.currency,
+        originalBudget: project.originalBudget ?? project.budget,
+        budget: project.budget,
+        spent,
+        pending,
+        remaining: Math.max(0, project.budget - spent),
+        percentage: project.budget ? (spent / project.budget) * 100 : null,
+        status: project.budget && spent > project.budget ? 'Over budget' : 'Within budget',
+        startDate: project.startDate,
+        endDate: project.endDate,
+      };
+    });
+
+    await sendExport(res, {
+      format,
+      filename: 'projects',
+      sheetName: 'Projects',
+      locale: getLocale(req),
+      columns: [
+        { header: 'Project', key: 'name', width: 32 },
+        { header: 'Owner', key: 'owner', width: 24 },
+        { header: 'State', key: 'state', width: 12 },
+        { header: 'Currency', key: 'currency', width: 10 },
+        { header: 'Original budget', key: 'originalBudget', type: 'number' },
+        { header: 'Budget', key: 'budget', type: 'number' },
+        { header: 'Spent', key: 'spent', type: 'number' },
+        { header: 'Pending approval', key: 'pending', type: 'number' },
+        { header: 'Remaining', key: 'remaining', type: 'number' },
+        { header: 'Used (%)', key: 'percentage', type: 'number', width: 10 },
+        { header: 'Status', key: 'status' },
+        { header: 'Start date', key: 'startDate', type: 'date', width: 12 },
+        { header: 'End date', key: 'endDate', type: 'date', width: 12 },
+      ],
+      rows,
+    });
+  } catch (error) {
+    console.error('Error exporting projects:', error);
+    // The file may already be partly sent
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ ok: false, error: 'Failed to export projects' });
+  }
+});
+
 // Create a new project
-router.post('/', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+router.post('/', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
   try {
-    const { name, description, budget, startDate, endDate } = req.body;
+    const { name, description, budget, currency, startDate, endDate, categoryBudgets, alertThresholds, state } = req.body;
 
     if (!name || budget === undefined) {
       return res.status(400).json({ 
@@ -44,21 +150,47 @@ router.post('/', passport.authenticate(["admin", "user"], { session: false }), a
       });
     }
 
+    if (currency && !CURRENCIES.includes(currency)) {
+      return res.status(400).json({ ok: false, error: 'Unsupported currency' });
+    }
+
+    if (state && !['planning', 'active'].includes(state)) {
+      return res.status(400).json({ ok: false, error: 'A new project starts in planning or active' });
+    }
+
+    const parsedCategoryBudgets = parseCategoryBudgets(categoryBudgets);
+    if (!parsedCategoryBudgets) {
+      return res.status(400).json({ ok: false, error: 'Category budgets must be positive numbers' });
+    }
+
+    const parsedAlertThresholds = alertThresholds === undefined ? undefined : parseAlertThresholds(alertThresholds);
+    if (parsedAlertThresholds === null) {
+      return res.status(400).json({ ok: false, error: 'Alert thresholds must be positive percentages' });
+    }
+
     const project = new Project({
       name,
       description,
       budget: parseFloat(budget),
+      originalBudget: parseFloat(budget),
+      currency: currency || undefined,
+      categoryBudgets: parsedCategoryBudgets,
+      alertThresholds: parsedAlertThresholds,
       startDate: startDate || new Date(),
       endDate,
+      state: state || 'active',
+      stateChangedAt: new Date(),
+      organization: req.organization._id,
       createdBy: req.user._id,
       members: [req.user._id], // Add creator as a member
     });
 
     await project.save();
+    await recordAudit(req, { action: 'project.create', targetType: 'project', project, after: project });
     
     const populatedProject = await Project.findById(project._id)
       .populate("createdBy", "name email")
-      .populate("members", "name email");
+      .populate("members", "name email avatar");
 
     return res.status(200).json({ ok: true, data: populatedProject });
   } catch (error) {
@@ -67,18 +199,38 @@ router.post('/', passport.authenticate(["admin", "user"], { session: false }), a
   }
 });
 
+// Accept a project invitation with the token sent to the address of the current user, and switch to the
+// organization of the project
+router.post('/invitations/accept', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+  try {
+    const project = req.body.token ? await acceptInvitation(String(req.body.token), req.user) : null;
+
+    if (!project) {
+      return res.status(400).json({ ok: false, error: 'This invitation is invalid, expired, or for another email address' });
+    }
+
+    await mongoose.model("user").updateOne({ _id: req.user._id }, { $set: { organization: project.organization } });
+    await recordAudit(req, {
+      action: 'project.accept_invitation',
+      targetType: 'project',
+      target: project,
+      project,
+      after: { email: req.user.email },
+    });
+
+    return res.status(200).json({ ok: true, data: project });
+  } catch (error) {
+    console.error('Error accepting project invitation:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to accept the invitation' });
+  }
+});
+
 // Get a single project
-router.get('/:id', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
-  try {
-    const project = await Project.findOne({
-      _id: req.params.id,
-      $or: [
-        { createdBy: req.user._id },
-        { members: req.user._id }
-      ]
-    })
+router.get('/:id', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) })
       .populate('createdBy', 'name email')
-      .populate('members', 'name email');
+      .populate('members', 'name email avatar');
 
     if (!project) {
       return res.status(404).json({ ok: false, error: 'Project not found' });
@@ -87,45 +239,250 @@ router.get('/:id', passport.authenticate(["admin", "user"], { session: false }),
     // Populate virtuals
     const populatedProject = await project.populate('totalExpenses');
 
-    return res.status(200).json({ ok: true, data: populatedProject });
+    return res.status(200).json({ ok: true, data: withPermissions(populatedProject, req.user._id) });
   } catch (error) {
     console.error('Error fetching project:', error);
     return res.status(500).json({ ok: false, error: 'Failed to fetch project' });
   }
 });
 
+// Get the spend forecast of a project
+router.get('/:id/forecast', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    const expenses = await mongoose.model("Expense")
+      .find({ project: project._id, ...APPROVED_EXPENSES })
+      .select('amount date');
+
+    return res.status(200).json({ ok: true, data: buildForecast(project, expenses) });
+  } catch (error) {
+    console.error('Error computing project forecast:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to compute project forecast' });
+  }
+});
+
+// Download the budget report of a project as a PDF, optionally for a date range (?from=&to=)
+router.get('/:id/report.pdf', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const filters = parseExportFilters({ from: req.query.from, to: req.query.to });
+    if (!filters) {
+      return res.status(400).json({ ok: false, error: 'Invalid date range' });
+    }
+
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) }).populate('createdBy', 'name email');
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    const categories = await getExpenseSummary(project, filters);
+    // What is left of the budget depends on all the spend, not only the spend of the period
+    const allTimeCategories = filters.date ? await getExpenseSummary(project) : categories;
+    // Drafts and rejected expenses are not part of the spend
+    const expenses = await mongoose.model("Expense")
+      .find({ project: project._id, ...filters, status: { $in: ['approved', 'submitted', null] } })
+      .sort({ date: 1, createdAt: 1 })
+      .populate('createdBy', 'name email');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${toFilename(project.name)}-report.pdf"`);
+
+    writeProjectReport(res, { project, categories, allTimeCategories, expenses, from: filters.date?.$gte, to: filters.date?.$lte });
+  } catch (error) {
+    console.error('Error generating project report:', error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ ok: false, error: 'Failed to generate project report' });
+  }
+});
+
+// Get the budget alerts sent for a project
+router.get('/:id/alerts', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    const alerts = await BudgetAlert.find({ project: project._id }).sort({ createdAt: -1 });
+
+    return res.status(200).json({ ok: true, data: alerts });
+  } catch (error) {
+    console.error('Error fetching budget alerts:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to fetch budget alerts' });
+  }
+});
+
+// Get the budget revisions of a project, most recent first
+router.get('/:id/budget-revisions', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    const revisions = await BudgetRevision.find({ project: project._id })
+      .sort({ createdAt: -1 })
+      .populate('changedBy', 'name email');
+
+    return res.status(200).json({ ok: true, data: revisions });
+  } catch (error) {
+    console.error('Error fetching budget revisions:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to fetch budget revisions' });
+  }
+});
+
+// Get the activity of a project (writes on the project and its expenses), for its owner and managers.
+// Filters by ?actor=&action=&from=&to= and paginates with ?page=&per_page=
+router.get('/:id/activity', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const query = parseAuditFilters(req.query);
+    if (!query) {
+      return res.status(400).json({ ok: false, error: 'Invalid activity filters' });
+    }
+
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    if (!can(project, req.user._id, 'project.activity')) {
+      return sendForbidden(res, 'Not authorized to read the activity of this project');
+    }
+
+    const data = await findAuditLogs({ ...query, project: project._id }, req.query);
+
+    return res.status(200).json({ ok: true, data });
+  } catch (error) {
+    console.error('Error fetching project activity:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to fetch project activity' });
+  }
+});
+
 // Update a project
-router.put('/:id', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+router.put('/:id', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
   try {
-    const { name, description, budget, startDate, endDate, members } = req.body;
+    const { name, description, budget, budgetReason, currency, startDate, endDate, members, approvers, categoryBudgets, alertThresholds } = req.body;
     const updates = {};
+    let budgetRevision = null;
+
+    const previous = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!previous) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    // Members and approvers are managed apart from the rest of the project
+    const changesMembers = members !== undefined || approvers !== undefined;
+    const changesDetails = Object.keys(req.body).some((field) => !['members', 'approvers'].includes(field));
+    if ((changesMembers && !can(previous, req.user._id, 'project.members')) || (changesDetails && !can(previous, req.user._id, 'project.update'))) {
+      return sendForbidden(res, 'Not authorized to update this project');
+    }
 
     if (name !== undefined) updates.name = name;
     if (description !== undefined) updates.description = description;
-    if (budget !== undefined) updates.budget = parseFloat(budget);
+    if (budget !== undefined) {
+      const newBudget = parseFloat(budget);
+      if (!Number.isFinite(newBudget) || newBudget < 0) {
+        return res.status(400).json({ ok: false, error: 'Budget must be a positive number' });
+      }
+
+      // Every change of the budget is recorded with its justification
+      if (previous.budget !== newBudget) {
+        const reason = (budgetReason || '').trim();
+        if (!reason) {
+          return res.status(400).json({ ok: false, error: 'A reason is required to change the budget' });
+        }
+        if (previous.originalBudget === undefined || previous.originalBudget === null) {
+          updates.originalBudget = previous.budget;
+        }
+        budgetRevision = { previousBudget: previous.budget, newBudget, reason };
+      }
+      updates.budget = newBudget;
+    }
     if (startDate !== undefined) updates.startDate = startDate;
     if (endDate !== undefined) updates.endDate = endDate;
+    if (alertThresholds !== undefined) {
+      const parsedAlertThresholds = parseAlertThresholds(alertThresholds);
+      if (!parsedAlertThresholds) {
+        return res.status(400).json({ ok: false, error: 'Alert thresholds must be positive percentages' });
+      }
+      updates.alertThresholds = parsedAlertThresholds;
+    }
+    if (currency !== undefined) {
+      if (!CURRENCIES.includes(currency)) {
+        return res.status(400).json({ ok: false, error: 'Unsupported currency' });
+      }
+      // Converted amounts would no longer match, so the currency is locked once spending started
+      const hasExpenses = await mongoose.model("Expense").exists({ project: req.params.id }).setOptions({ withDeleted: true });
+      if (hasExpenses) {
+        return res.status(400).json({ ok: false, error: 'Currency cannot be changed once the project has expenses' });
+      }
+      updates.currency = currency;
+    }
+    if (categoryBudgets !== undefined) {
+      // The whole set of budget lines is replaced, so a missing category removes its line
+      const parsedCategoryBudgets = parseCategoryBudgets(categoryBudgets);
+      if (!parsedCategoryBudgets) {
+        return res.status(400).json({ ok: false, error: 'Category budgets must be positive numbers' });
+      }
+      updates.categoryBudgets = parsedCategoryBudgets;
+    }
     if (members && Array.isArray(members)) {
-      // Ensure the creator is always a member
-      if (!members.includes(req.user._id)) {
-        members.push(req.user._id);
+      if (members.some((member) => !isMember(req.organization, member))) {
+        return res.status(400).json({ ok: false, error: 'Members must belong to the organization' });
+      }
+      // The owner leaves the project only by transferring it first
+      if (!members.some((member) => member.toString() === previous.createdBy.toString())) {
+        return res.status(400).json({ ok: false, error: 'The owner cannot be removed from the project' });
       }
       updates.members = members;
+      // Removed members lose their role, and a transfer offered to them
+      updates.roles = previous.roles.filter((entry) => members.some((member) => member.toString() === entry.user.toString()));
+      const transferTo = previous.ownershipTransfer?.to;
+      if (transferTo && !members.some((member) => member.toString() === transferTo.toString())) {
+        updates.ownershipTransfer = { to: null, requestedAt: null };
+      }
+    }
+    if (approvers !== undefined || updates.members) {
+      // Approvers are always members who can do more than read: the others stop being approvers
+      const roles = updates.roles || previous.roles;
+      const candidates = (updates.members || previous.members)
+        .map((member) => member.toString())
+        .filter((member) => roles.find((entry) => entry.user.toString() === member)?.role !== 'viewer');
+      if (approvers !== undefined) {
+        if (!Array.isArray(approvers) || approvers.some((approver) => !candidates.includes(approver.toString()))) {
+          return res.status(400).json({ ok: false, error: 'Approvers must be project members who are not viewers' });
+        }
+        updates.approvers = approvers;
+      } else {
+        updates.approvers = previous.approvers.filter((approver) => candidates.includes(approver.toString()));
+      }
     }
 
     const project = await Project.findOneAndUpdate(
-      {
-        _id: req.params.id,
-        createdBy: req.user._id, // Only creator can update
-      },
+      { _id: previous._id },
       { $set: updates },
       { new: true, runValidators: true }
     )
       .populate('createdBy', 'name email')
-      .populate('members', 'name email');
+      .populate('members', 'name email avatar');
 
-    if (!project) {
-      return res.status(404).json({ ok: false, error: 'Project not found or not authorized' });
+    if (budgetRevision) {
+      await BudgetRevision.create({ ...budgetRevision, project: project._id, changedBy: req.user._id });
+    }
+    await recordAudit(req, { action: 'project.update', targetType: 'project', project, before: previous, after: project });
+
+    // A new budget or new thresholds can cross or re-arm alerts
+    if (updates.budget !== undefined || updates.alertThresholds) {
+      await checkBudgetAlerts(project._id);
     }
 
     return res.status(200).json({ ok: true, data: project });
@@ -135,24 +492,70 @@ router.put('/:id', passport.authenticate(["admin", "user"], { session: false }),
   }
 });
 
-// Delete a project
-router.delete('/:id', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+// Move a project to another state of its lifecycle, following PROJECT_TRANSITIONS
+router.post('/:id/state', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
   try {
-    const project = await Project.findOneAndDelete({
-      _id: req.params.id,
-      createdBy: req.user._id, // Only creator can delete
-    });
+    const { state } = req.body;
+    if (!PROJECT_STATES.includes(state)) {
+      return res.status(400).json({ ok: false, error: 'Unknown project state' });
+    }
+
+    const previous = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!previous) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    if (!can(previous, req.user._id, 'project.state')) {
+      return sendForbidden(res, 'Not authorized to change the state of this project');
+    }
+
+    if (!canTransition(previous, state)) {
+      return res.status(400).json({ ok: false, error: `A project cannot go from ${getState(previous)} to ${state}` });
+    }
+
+    const project = await Project.findByIdAndUpdate(
+      previous._id,
+      { $set: { state, stateChangedAt: new Date() } },
+      { new: true, runValidators: true }
+    )
+      .populate('createdBy', 'name email')
+      .populate('members', 'name email avatar');
+    await recordAudit(req, { action: 'project.state', targetType: 'project', project, before: previous, after: project });
+
+    return res.status(200).json({ ok: true, data: project });
+  } catch (error) {
+    console.error('Error changing project state:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to change project state' });
+  }
+});
+
+// Move a project to the trash with its expenses. It is purged for good after the retention window.
+router.delete('/:id', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
 
     if (!project) {
-      return res.status(404).json({ ok: false, error: 'Project not found or not authorized' });
+      return res.status(404).json({ ok: false, error: 'Project not found' });
     }
 
-    // Delete all expenses associated with this project
-    await mongoose.model("Expense").deleteMany({ project: project._id });
+    if (!can(project, req.user._id, 'project.delete')) {
+      return sendForbidden(res, 'Not authorized to delete this project');
+    }
+
+    const deletion = { deletedAt: new Date(), deletedBy: req.user._id };
+    await Project.updateOne({ _id: project._id }, { $set: deletion });
+
+    // Expenses already in the trash keep their own deletion date
+    await mongoose.model("Expense").updateMany(
+      { project: project._id, deletedAt: null },
+      { $set: { ...deletion, deletedWithProject: true } }
+    );
+    await recordAudit(req, { action: 'project.delete', targetType: 'project', project, before: project });
 
     return res.status(200).json({
       ok: true,
-      data: { deleted: true },
+      data: { deleted: true, purgeAt: getPurgeDate(deletion.deletedAt) },
     });
   } catch (error) {
     console.error('Error deleting project:', error);
@@ -160,34 +563,80 @@ router.delete('/:id', passport.authenticate(["admin", "user"], { session: false
   }
 });
 
-// Add member to project
-router.post('/:id/members', passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
+// Restore a project from the trash, with the expenses trashed along with it
+router.post('/:id/restore', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
   try {
-    const { userId } = req.body;
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req), deletedAt: { $ne: null } });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found in the trash' });
+    }
+
+    if (!can(project, req.user._id, 'project.delete')) {
+      return sendForbidden(res, 'Not authorized to restore this project');
+    }
+
+    project.set({ deletedAt: null, deletedBy: null });
+    await project.save();
+
+    await mongoose.model("Expense").updateMany(
+      { project: project._id, deletedAt: { $ne: null }, deletedWithProject: true },
+      { $set: { deletedAt: null, deletedBy: null, deletedWithProject: false } }
+    );
+    await recordAudit(req, { action: 'project.restore', targetType: 'project', project, after: project });
+    await checkBudgetAlerts(project._id);
+
+    return res.status(200).json({ ok: true, data: project });
+  } catch (error) {
+    console.error('Error restoring project:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to restore project' });
+  }
+});
+
+// Add member to project, as a contributor unless another role is given
+router.post('/:id/members', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const { userId, role = 'contributor' } = req.body;
     
     if (!userId) {
       return res.status(400).json({ ok: false, error: 'User ID is required' });
     }
 
+    if (role === 'owner' || !PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({ ok: false, error: 'Unknown project role' });
+    }
+
+    if (!isMember(req.organization, userId)) {
+      return res.status(400).json({ ok: false, error: 'User is not a member of the organization' });
+    }
+
+    const previous = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!previous) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    if (!can(previous, req.user._id, 'project.members')) {
+      return sendForbidden(res, 'Not authorized to add members to this project');
+    }
+
     const project = await Project.findOneAndUpdate(
       {
-        _id: req.params.id,
-        createdBy: req.user._id, // Only creator can add members
+        _id: previous._id,
         members: { $ne: userId } // Only add if not already a member
       },
-      { $addToSet: { members: userId } },
+      { $addToSet: { members: userId }, $push: { roles: { user: userId, role } } },
       { new: true, runValidators: true }
     )
       .populate('createdBy', 'name email')
-      .populate('members', 'name email');
+      .populate('members', 'name email avatar');
 
     if (!project) {
-      return res.status(404).json({ 
-        ok: false, 
-        error: 'Project not found, not authorized, or user already a member' 
-      });
+      return res.status(400).json({ ok: false, error: 'User is already a member' });
     }
 
+    await recordAudit(req, { action: 'project.add_member', targetType: 'project', project, before: previous, after: project });
+
     return res.status(200).json({ ok: true, data: project });
   } catch (error) {
     console.error('Error adding member to project:', error);
@@ -195,4 +644,355 @@ router.post('/:id/members', passport.authenticate(["admin", "user"], { session:
   }
 });
 
+// Get the pending invitations of a project
+router.get('/:id/invitations', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    if (!can(project, req.user._id, 'project.members')) {
+      return sendForbidden(res, 'Not authorized to manage the members of this project');
+    }
+
+    const invitations = await ProjectInvitation.find({ project: project._id, ...pendingFilter() })
+      .sort({ createdAt: -1 })
+      .populate('invitedBy', 'name email');
+
+    return res.status(200).json({ ok: true, data: invitations });
+  } catch (error) {
+    console.error('Error fetching project invitations:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to fetch project invitations' });
+  }
+});
+
+// Invite someone to a project by email. Members of the organization join right away, anybody else
+// receives a link to accept the invitation, or to sign up when they have no account, and joins once accepted.
+router.post('/:id/invitations', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const { role = 'contributor' } = req.body;
+    const email = (req.body.email || '').trim().toLowerCase();
+
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({ ok: false, error: 'A valid email is required' });
+    }
+
+    if (role === 'owner' || !PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({ ok: false, error: 'Unknown project role' });
+    }
+
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    if (!can(project, req.user._id, 'project.members')) {
+      return sendForbidden(res, 'Not authorized to invite people to this project');
+    }
+
+    const existing = await mongoose.model("user").findOne({ email }).select('_id');
+    if (existing && project.members.some((member) => member.toString() === existing._id.toString())) {
+      return res.status(400).json({ ok: false, error: 'This person is already a member' });
+    }
+
+    const { user, invitation } = await inviteToProject(project, { email, role }, req.user);
+    await recordAudit(req, {
+      action: 'project.invite',
+      targetType: 'project',
+      target: project,
+      project,
+      after: { email, role, joined: !!user },
+    });
+
+    return res.status(200).json({ ok: true, data: { joined: !!user, invitation } });
+  } catch (error) {
+    console.error('Error inviting to project:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to send the invitation' });
+  }
+});
+
+// Revoke a pending invitation: its signup link no longer adds anyone to the project
+router.delete('/:id/invitations/:invitationId', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    if (!can(project, req.user._id, 'project.members')) {
+      return sendForbidden(res, 'Not authorized to manage the members of this project');
+    }
+
+    const invitation = await ProjectInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, project: project._id, ...pendingFilter() },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ ok: false, error: 'Invitation not found or no longer pending' });
+    }
+
+    await recordAudit(req, {
+      action: 'project.revoke_invitation',
+      targetType: 'project',
+      target: project,
+      project,
+      before: { email: invitation.email, role: invitation.role },
+    });
+
+    return res.status(200).json({ ok: true, data: invitation });
+  } catch (error) {
+    console.error('Error revoking project invitation:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to revoke the invitation' });
+  }
+});
+
+// Takes a member out of the project: their role, their approver seat and a transfer offered to them.
+// The expenses they created stay attributed to them.
+function removeMember(project, userId) {
+  const id = userId.toString();
+  project.members = project.members.filter((member) => member.toString() !== id);
+  project.roles = project.roles.filter((entry) => entry.user.toString() !== id);
+  project.approvers = project.approvers.filter((approver) => approver.toString() !== id);
+  if (project.ownershipTransfer?.to?.toString() === id) {
+    project.ownershipTransfer = { to: null, requestedAt: null };
+  }
+}
+
+// Remove a member from a project. The owner has to transfer the project before leaving it.
+router.delete('/:id/members/:userId', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    if (!can(project, req.user._id, 'project.members')) {
+      return sendForbidden(res, 'Not authorized to remove members from this project');
+    }
+
+    const userId = req.params.userId;
+    if (project.createdBy.toString() === userId) {
+      return res.status(400).json({ ok: false, error: 'The owner cannot be removed from the project' });
+    }
+    if (!project.members.some((member) => member.toString() === userId)) {
+      return res.status(404).json({ ok: false, error: 'Member not found' });
+    }
+
+    const previous = snapshot(project);
+    removeMember(project, userId);
+    await project.save();
+    await recordAudit(req, { action: 'project.remove_member', targetType: 'project', target: project, project, before: previous, after: project });
+    // The removed member can no longer open the project, the notification leads to the projects of its organization
+    await notify(
+      { _id: userId },
+      {
+        type: 'project_removal',
+        message: `${req.user.name || req.user.email} removed you from the project ${project.name}`,
+        link: '/',
+        organization: project.organization,
+      }
+    );
+
+    const populatedProject = await project.populate([
+      { path: 'createdBy', select: 'name email' },
+      { path: 'members', select: 'name email avatar' },
+    ]);
+
+    return res.status(200).json({ ok: true, data: populatedProject });
+  } catch (error) {
+    console.error('Error removing member from project:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to remove member from project' });
+  }
+});
+
+// Leave a project. The owner has to transfer the project first.
+router.post('/:id/leave', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    if (project.createdBy.toString() === req.user._id.toString()) {
+      return res.status(400).json({ ok: false, error: 'Transfer the ownership of the project before leaving it' });
+    }
+
+    const previous = snapshot(project);
+    removeMember(project, req.user._id);
+    await project.save();
+    await recordAudit(req, { action: 'project.leave', targetType: 'project', target: project, project, before: previous, after: project });
+
+    return res.status(200).json({ ok: true, data: { left: true } });
+  } catch (error) {
+    console.error('Error leaving project:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to leave project' });
+  }
+});
+
+// Offer the ownership of a project to another member. It changes hands once they accept it.
+router.post('/:id/ownership-transfer', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    if (!can(project, req.user._id, 'project.transfer')) {
+      return sendForbidden(res, 'Only the owner can transfer this project');
+    }
+
+    if (!userId || userId === project.createdBy.toString() || !project.members.some((member) => member.toString() === userId)) {
+      return res.status(400).json({ ok: false, error: 'The project can only be transferred to another member' });
+    }
+
+    const previous = snapshot(project);
+    project.ownershipTransfer = { to: userId, requestedAt: new Date() };
+    await project.save();
+    await recordAudit(req, { action: 'project.transfer_request', targetType: 'project', target: project, project, before: previous, after: project });
+    await notify(
+      { _id: userId },
+      {
+        type: 'ownership_transfer',
+        message: `${req.user.name || req.user.email} wants to transfer the project ${project.name} to you`,
+        link: `/projects/${project._id}`,
+        organization: project.organization,
+      }
+    );
+
+    return res.status(200).json({ ok: true, data: project.ownershipTransfer });
+  } catch (error) {
+    console.error('Error requesting ownership transfer:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to transfer the project' });
+  }
+});
+
+// Accept the ownership offered to the current user. The previous owner stays on as a manager.
+router.post('/:id/ownership-transfer/accept', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    if (project.ownershipTransfer?.to?.toString() !== req.user._id.toString()) {
+      return res.status(400).json({ ok: false, error: 'No transfer of this project is waiting for you' });
+    }
+
+    const previous = snapshot(project);
+    const previousOwner = project.createdBy;
+    project.createdBy = req.user._id;
+    project.roles = [
+      ...project.roles.filter((entry) => ![previousOwner.toString(), req.user._id.toString()].includes(entry.user.toString())),
+      { user: previousOwner, role: 'manager' },
+    ];
+    project.approvers = project.approvers.filter((approver) => approver.toString() !== req.user._id.toString());
+    project.ownershipTransfer = { to: null, requestedAt: null };
+    await project.save();
+    await recordAudit(req, { action: 'project.transfer_accept', targetType: 'project', target: project, project, before: previous, after: project });
+    await notify(
+      { _id: previousOwner },
+      {
+        type: 'ownership_transfer',
+        message: `${req.user.name || req.user.email} is now the owner of the project ${project.name}`,
+        link: `/projects/${project._id}`,
+        organization: project.organization,
+      }
+    );
+
+    return res.status(200).json({ ok: true, data: project });
+  } catch (error) {
+    console.error('Error accepting ownership transfer:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to accept the transfer' });
+  }
+});
+
+// Cancel a pending transfer: the owner withdraws it, or the member it was offered to declines it
+router.delete('/:id/ownership-transfer', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    const transferTo = project.ownershipTransfer?.to?.toString();
+    if (!transferTo) {
+      return res.status(400).json({ ok: false, error: 'No transfer of this project is pending' });
+    }
+
+    if (!can(project, req.user._id, 'project.transfer') && transferTo !== req.user._id.toString()) {
+      return sendForbidden(res, 'Not authorized to cancel this transfer');
+    }
+
+    const previous = snapshot(project);
+    project.ownershipTransfer = { to: null, requestedAt: null };
+    await project.save();
+    await recordAudit(req, { action: 'project.transfer_cancel', targetType: 'project', target: project, project, before: previous, after: project });
+
+    return res.status(200).json({ ok: true, data: project });
+  } catch (error) {
+    console.error('Error cancelling ownership transfer:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to cancel the transfer' });
+  }
+});
+
+// Change the role of a member. The owner keeps their role, ownership is not transferred here.
+router.put('/:id/members/:userId', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (role === 'owner' || !PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({ ok: false, error: 'Unknown project role' });
+    }
+
+    const project = await Project.findOne({ _id: req.params.id, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found' });
+    }
+
+    if (!can(project, req.user._id, 'project.members')) {
+      return sendForbidden(res, 'Not authorized to change the roles of this project');
+    }
+
+    const userId = req.params.userId;
+    if (project.createdBy.toString() === userId) {
+      return res.status(400).json({ ok: false, error: 'The role of the owner cannot be changed' });
+    }
+    if (!project.members.some((member) => member.toString() === userId)) {
+      return res.status(404).json({ ok: false, error: 'Member not found' });
+    }
+
+    const previous = snapshot(project);
+    project.roles = [...project.roles.filter((entry) => entry.user.toString() !== userId), { user: userId, role }];
+    // Viewers only read, so they stop reviewing expenses
+    if (role === 'viewer') {
+      project.approvers = project.approvers.filter((approver) => approver.toString() !== userId);
+    }
+    await project.save();
+    await recordAudit(req, { action: 'project.member_role', targetType: 'project', target: project, project, before: previous, after: project });
+
+    const populatedProject = await project.populate([
+      { path: 'createdBy', select: 'name email' },
+      { path: 'members', select: 'name email avatar' },
+    ]);
+
+    return res.status(200).json({ ok: true, data: populatedProject });
+  } catch (error) {
+    console.error('Error changing member role:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to change member role' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,181 @@
+const express = require("express");
+const passport = require("passport");
+const Project = require("../models/Project");
+const RecurringExpense = require("../models/RecurringExpense");
+const { CURRENCIES, EXPENSE_CATEGORIES } = require("../utils/constants");
+const {
+  FREQUENCY_PERIODS,
+  getNextOccurrence,
+  skipPastOccurrences,
+  getUpcomingOccurrences,
+} = require("../utils/recurringExpenses");
+const { withOrganization, projectAccessFilter, inOrganization } = require("../utils/organizations");
+const { can, canEditExpense, sendForbidden } = require("../utils/permissions");
+
+const router = express.Router();
+
+function validateRecurringExpense({ description, amount, currency, category, frequency, startDate, endDate }) {
+  if (!description || !String(description).trim()) return 'Description is required';
+  if (!Number.isFinite(parseFloat(amount)) || parseFloat(amount) <= 0) return 'Amount must be a positive number';
+  if (!CURRENCIES.includes(currency)) return 'Unsupported currency';
+  if (!EXPENSE_CATEGORIES.includes(category)) return 'Unknown category';
+  if (!FREQUENCY_PERIODS[frequency]) return 'Frequency must be weekly, monthly, quarterly or yearly';
+  if (Number.isNaN(new Date(startDate).getTime())) return 'Invalid start date';
+  if (endDate && new Date(endDate) < new Date(startDate)) return 'End date must be after start date';
+  return null;
+}
+
+function withUpcomingOccurrences(recurringExpense) {
+  return {
+    ...recurringExpense.toJSON(),
+    upcomingOccurrences: recurringExpense.paused ? [] : getUpcomingOccurrences(recurringExpense),
+  };
+}
+
+// Get all recurring expenses of a project
+router.get('/project/:projectId', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.projectId, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found or access denied' });
+    }
+
+    const recurringExpenses = await RecurringExpense.find({ project: project._id })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email');
+
+    return res.status(200).json({ ok: true, data: recurringExpenses.map(withUpcomingOccurrences) });
+  } catch (error) {
+    console.error('Error fetching recurring expenses:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to fetch recurring expenses' });
+  }
+});
+
+// Create a recurring expense
+router.post('/', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const { description, amount, currency, category, frequency, startDate, endDate, projectId } = req.body;
+
+    if (!projectId) {
+      return res.status(400).json({ ok: false, error: 'Project ID is required' });
+    }
+
+    const project = await Project.findOne({ _id: projectId, ...projectAccessFilter(req) });
+
+    if (!project) {
+      return res.status(404).json({ ok: false, error: 'Project not found or access denied' });
+    }
+
+    if (!can(project, req.user._id, 'expense.create')) {
+      return sendForbidden(res, 'Not authorized to add expenses to this project');
+    }
+
+    const values = {
+      description,
+      amount,
+      currency: currency || project.currency,
+      category: category || 'other',
+      frequency,
+      startDate: startDate || new Date(),
+      endDate: endDate || undefined,
+    };
+
+    const validationError = validateRecurringExpense(values);
+    if (validationError) {
+      return res.status(400).json({ ok: false, error: validationError });
+    }
+
+    const recurringExpense = new RecurringExpense({
+      ...values,
+      amount: parseFloat(amount),
+      project: project._id,
+      createdBy: req.user._id,
+    });
+    recurringExpense.nextOccurrence = getNextOccurrence(recurringExpense);
+    await recurringExpense.save();
+
+    return res.status(200).json({ ok: true, data: withUpcomingOccurrences(recurringExpense) });
+  } catch (error) {
+    console.error('Error creating recurring expense:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to create recurring expense' });
+  }
+});
+
+// Update a recurring expense, including pausing and resuming it
+router.put('/:id', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const recurringExpense = await RecurringExpense.findById(req.params.id).populate('project');
+
+    if (!recurringExpense || !inOrganization(req, recurringExpense.project)) {
+      return res.status(404).json({ ok: false, error: 'Recurring expense not found' });
+    }
+
+    if (!canEditExpense(recurringExpense.project, recurringExpense, req.user._id)) {
+      return sendForbidden(res, 'Not authorized to update this recurring expense');
+    }
+
+    const { description, amount, currency, category, frequency, startDate, endDate, paused } = req.body;
+    const values = {
+      description: description ?? recurringExpense.description,
+      amount: amount ?? recurringExpense.amount,
+      currency: currency ?? recurringExpense.currency,
+      category: category ?? recurringExpense.category,
+      frequency: frequency ?? recurringExpense.frequency,
+      startDate: startDate ?? recurringExpense.startDate,
+      endDate: endDate === undefined ? recurringExpense.endDate : endDate || undefined,
+    };
+
+    const validationError = validateRecurringExpense(values);
+    if (validationError) {
+      return res.status(400).json({ ok: false, error: validationError });
+    }
+
+    // A new schedule starts over from the given start date, or from the next planned occurrence
+    const scheduleChanged =
+      (frequency !== undefined && frequency !== recurringExpense.frequency) ||
+      (startDate !== undefined && new Date(startDate).getTime() !== recurringExpense.startDate.getTime());
+    const resumed = paused === false && recurringExpense.paused;
+
+    recurringExpense.set({ ...values, amount: parseFloat(values.amount) });
+    if (scheduleChanged) {
+      recurringExpense.startDate = startDate ?? recurringExpense.nextOccurrence ?? new Date();
+      recurringExpense.occurrences = 0;
+    }
+    if (paused !== undefined) recurringExpense.paused = !!paused;
+
+    recurringExpense.nextOccurrence = getNextOccurrence(recurringExpense);
+    if (resumed) skipPastOccurrences(recurringExpense);
+
+    await recurringExpense.save();
+
+    return res.status(200).json({ ok: true, data: withUpcomingOccurrences(recurringExpense) });
+  } catch (error) {
+    console.error('Error updating recurring expense:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to update recurring expense' });
+  }
+});
+
+// Delete a recurring expense. Expenses already created are kept.
+router.delete('/:id', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const recurringExpense = await RecurringExpense.findById(req.params.id).populate('project');
+
+    if (!recurringExpense || !inOrganization(req, recurringExpense.project)) {
+      return res.status(404).json({ ok: false, error: 'Recurring expense not found' });
+    }
+
+    if (!canEditExpense(recurringExpense.project, recurringExpense, req.user._id)) {
+      return sendForbidden(res, 'Not authorized to delete this recurring expense');
+    }
+
+    await RecurringExpense.findByIdAndDelete(req.params.id);
+
+    return res.status(200).json({ ok: true, data: { deleted: true } });
+  } catch (error) {
+    console.error('Error deleting recurring expense:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to delete recurring expense' });
+  }
+});
+
+module.exports = router;
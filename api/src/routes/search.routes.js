@@ -0,0 +1,63 @@
+const express = require("express");
+const passport = require("passport");
+const Project = require("../models/Project");
+const Expense = require("../models/Expense");
+const UserObject = require("../models/user");
+const { withOrganization, projectAccessFilter } = require("../utils/organizations");
+
+const router = express.Router();
+
+const RESULTS_PER_TYPE = 5;
+
+// Search what the current user can access in the active organization with ?q=, grouped by type:
+// the projects by name or description, the expenses by description and the members of their projects by name or email.
+// Members come with the projects they share with the current user.
+router.get('/', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const text = String(req.query.q || '').trim();
+    if (!text) {
+      return res.status(200).json({ ok: true, data: { projects: [], expenses: [], members: [] } });
+    }
+
+    const pattern = { $regex: text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    const accessible = await Project.find(projectAccessFilter(req)).select('name members createdBy');
+    const accessibleIds = accessible.map((project) => project._id);
+
+    const [projects, expenses, users] = await Promise.all([
+      Project.find({ _id: { $in: accessibleIds }, $or: [{ name: pattern }, { description: pattern }] })
+        .sort({ updatedAt: -1 })
+        .limit(RESULTS_PER_TYPE)
+        .select('name description state currency'),
+      // Drafts are only visible to their creator
+      Expense.find({
+        project: { $in: accessibleIds },
+        description: pattern,
+        $or: [{ status: { $ne: 'draft' } }, { createdBy: req.user._id }]
+      })
+        .sort({ date: -1 })
+        .limit(RESULTS_PER_TYPE)
+        .select('description amount date category status project')
+        .populate('project', 'name currency'),
+      UserObject.find({
+        _id: { $in: accessible.flatMap((project) => [project.createdBy, ...project.members]) },
+        $or: [{ name: pattern }, { email: pattern }]
+      })
+        .limit(RESULTS_PER_TYPE)
+        .select('name email avatar'),
+    ]);
+
+    const members = users.map((user) => ({
+      ...user.toJSON(),
+      projects: accessible
+        .filter((project) => project.createdBy.equals(user._id) || project.members.some((member) => member.equals(user._id)))
+        .map((project) => ({ _id: project._id, name: project.name })),
+    }));
+
+    return res.status(200).json({ ok: true, data: { projects, expenses, members } });
+  } catch (error) {
+    console.error('Error searching:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to search' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require("express");
+const passport = require("passport");
+const Project = require("../models/Project");
+const Expense = require("../models/Expense");
+const { TRASH_RETENTION_DAYS } = require("../config");
+const { getPurgeDate } = require("../utils/trash");
+const { withOrganization, projectOwnerFilter } = require("../utils/organizations");
+
+const router = express.Router();
+
+function withPurgeDate(document) {
+  return { ...document.toJSON(), purgeAt: getPurgeDate(document.deletedAt) };
+}
+
+// Get what the current user can restore: the projects they own, and the expenses they created
+// or that belong to the projects they own or manage. Expenses trashed along with a project are restored with it.
+router.get('/', passport.authenticate(["admin", "user"], { session: false }), withOrganization, async (req, res) => {
+  try {
+    const projects = await Project.find({ ...projectOwnerFilter(req), deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 })
+      .populate('deletedBy', 'name email');
+
+    const managedProjects = await Project.find({
+      organization: req.organization._id,
+      $or: [
+        { createdBy: req.user._id },
+        { roles: { $elemMatch: { user: req.user._id, role: 'manager' } } }
+      ]
+    }).select('_id');
+    const expenses = await Expense.find({
+      deletedAt: { $ne: null },
+      deletedWithProject: { $ne: true },
+      $or: [
+        { createdBy: req.user._id },
+        { project: { $in: managedProjects.map((project) => project._id) } }
+      ]
+    })
+      .sort({ deletedAt: -1 })
+      .populate({ path: 'project', select: 'name currency', match: { organization: req.organization._id } })
+      .populate('deletedBy', 'name email');
+
+    return res.status(200).json({
+      ok: true,
+      data: {
+        retentionDays: TRASH_RETENTION_DAYS,
+        projects: projects.map(withPurgeDate),
+        // Expenses of a trashed project are only restorable once the project is back,
+        // and those of other organizations are listed from there
+        expenses: expenses.filter((expense) => expense.project).map(withPurgeDate),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    return res.status(500).json({ ok: false, error: 'Failed to fetch trash' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// Runs a job right away and then every `interval` milliseconds.
+// A run is skipped while the previous one is still going.
+function schedule(name, interval, job) {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`Error in scheduled job ${name}:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, interval);
+}
+
+module.exports = { schedule };
@@ -0,0 +1,133 @@
+const fs = require("fs/promises");
+const path = require("path");
+const {
+  STORAGE_DRIVER,
+  S3_ENDPOINT,
+  S3_ACCESSKEYID,
+  S3_SECRETACCESSKEY,
+  S3_BUCKET,
+  S3_ACL,
+  LOCAL_STORAGE_PATH,
+  API_URL,
+} = require("../config");
+
+// Every driver stores a file under a key such as "file/receipts/<user>/<uuid>/receipt.pdf",
+// returns the URL to reach it on upload, gives back the key of a URL it produced, and removes a file by its key.
+
+// Keys are plain relative paths: no empty, "." or ".." segment and no backslash. Checks on a key, such as
+// the uploader segment, then hold for the file it points to.
+function isValidKey(key) {
+  return typeof key === "string" && !key.includes("\\") && key.split("/").every((segment) => segment && segment !== "." && segment !== "..");
+}
+
+function createS3Driver() {
+  const AWS = require("aws-sdk");
+  const s3bucket = new AWS.S3({
+    endpoint: S3_ENDPOINT,
+    accessKeyId: S3_ACCESSKEYID,
+    secretAccessKey: S3_SECRETACCESSKEY,
+  });
+
+  return {
+    async upload(key, buffer, contentType) {
+      const data = await s3bucket
+        .upload({
+          ACL: S3_ACL,
+          Bucket: S3_BUCKET,
+          Key: key,
+          Body: buffer,
+          ContentEncoding: "base64",
+          ContentType: contentType,
+          Metadata: { "Cache-Control": "max-age=31536000" },
+        })
+        .promise();
+      return data.Location;
+    },
+
+    // The location is either https://bucket.endpoint/key or https://endpoint/bucket/key.
+    // Returns null for a URL on any other host or bucket.
+    getKey(url) {
+      try {
+        const { host, pathname } = new URL(url);
+        const endpointHost = new URL(S3_ENDPOINT.includes("://") ? S3_ENDPOINT : `https://${S3_ENDPOINT}`).host;
+        const key = decodeURIComponent(pathname).replace(/^\//, "");
+        if (host === `${S3_BUCKET}.${endpointHost}`) return isValidKey(key) ? key : null;
+        if (host === endpointHost && key.startsWith(`${S3_BUCKET}/`)) {
+          const bucketKey = key.slice(S3_BUCKET.length + 1);
+          return isValidKey(bucketKey) ? bucketKey : null;
+        }
+        return null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async remove(key) {
+      await s3bucket.deleteObject({ Bucket: S3_BUCKET, Key: key }).promise();
+    },
+
+    // Files are served by the bucket, not by the API
+    getUrl() {
+      return null;
+    },
+
+    getLocalPath() {
+      return null;
+    },
+  };
+}
+
+function createLocalDriver() {
+  const root = path.resolve(LOCAL_STORAGE_PATH);
+
+  // Keys come from URLs, so they must not point outside of the storage folder, nor to another file of it
+  function getLocalPath(key) {
+    if (!isValidKey(key)) return null;
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) return null;
+    return filePath;
+  }
+
+  function getUrl(key) {
+    return `${API_URL}/file/${key.split("/").map(encodeURIComponent).join("/")}`;
+  }
+
+  // Only URLs served by this API, under /file/, have a key
+  function getKey(url) {
+    const prefix = `${API_URL}/file/`;
+    if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+    try {
+      const key = decodeURIComponent(url.slice(prefix.length));
+      return getLocalPath(key) ? key : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return {
+    async upload(key, buffer) {
+      const filePath = getLocalPath(key);
+      if (!filePath) throw new Error(`Invalid storage key: ${key}`);
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return getUrl(key);
+    },
+
+    async remove(key) {
+      const filePath = getLocalPath(key);
+      if (!filePath) throw new Error(`Invalid storage key: ${key}`);
+      await fs.rm(filePath, { force: true });
+    },
+
+    getUrl,
+    getKey,
+    getLocalPath,
+  };
+}
+
+const DRIVERS = { s3: createS3Driver, local: createLocalDriver };
+
+if (!DRIVERS[STORAGE_DRIVER]) throw new Error(`Unknown storage driver: ${STORAGE_DRIVER}`);
+
+module.exports = DRIVERS[STORAGE_DRIVER]();
@@ -0,0 +1,25 @@
+const { can } = require("./permissions");
+
+// Expenses created before the approval workflow have no status and count as approved
+const APPROVED_EXPENSES = { status: { $in: ["approved", null] } };
+
+function isApproved(expense) {
+  return !expense.status || expense.status === "approved";
+}
+
+function toId(value) {
+  return (value?._id || value).toString();
+}
+
+// The owner, the managers and the designated approvers review submitted expenses
+function canReview(project, userId) {
+  const id = toId(userId);
+  return can(project, userId, "expense.review") || (project.approvers || []).some((approver) => toId(approver) === id);
+}
+
+// Status of an expense when it is sent for review: reviewers do not need to approve their own expenses
+function getSubmittedStatus(project, userId) {
+  return canReview(project, userId) ? "approved" : "submitted";
+}
+
+module.exports = { APPROVED_EXPENSES, isApproved, canReview, getSubmittedStatus };
@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+
+// Never copied into the log
+const SECRET_FIELDS = ["password", "forgot_password_reset_token", "forgot_password_reset_expires"];
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt", "last_login_at"];
+
+// Plain copy of a document to diff against later. Take it before mutating a document in place.
+function snapshot(doc) {
+  if (!doc) return {};
+  const object = typeof doc.toObject === "function" ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+  const plain = JSON.parse(JSON.stringify(object));
+  [...SECRET_FIELDS, ...IGNORED_FIELDS].forEach((field) => delete plain[field]);
+  return plain;
+}
+
+// Keeps only the top-level fields whose value differs between the two versions of a document
+function diffDocuments(before, after) {
+  const previous = snapshot(before);
+  const next = snapshot(after);
+  const diff = { before: {}, after: {} };
+
+  new Set([...Object.keys(previous), ...Object.keys(next)]).forEach((field) => {
+    if (JSON.stringify(previous[field]) === JSON.stringify(next[field])) return;
+    if (field in previous) diff.before[field] = previous[field];
+    if (field in next) diff.after[field] = next[field];
+  });
+
+  return diff;
+}
+
+function getIp(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (forwarded) return forwarded.split(",")[0].trim();
+  return req.ip || req.socket?.remoteAddress;
+}
+
+// Appends an entry to the audit log. `before` and `after` are the document as it was and as it is now:
+// leave out `before` for a creation and `after` for a deletion.
+// Like the budget alerts, a failure is logged and never fails the request that made the write.
+async function recordAudit(req, { action, targetType, target, project, before, after, actor }) {
+  try {
+    const diff = diffDocuments(before, after);
+    const document = after || before;
+
+    await AuditLog.create({
+      actor: actor || req.user?._id,
+      action,
+      targetType,
+      targetId: target?._id || target || document?._id,
+      project: project?._id || project,
+      before: before ? diff.before : undefined,
+      after: after ? diff.after : undefined,
+      ip: getIp(req),
+    });
+  } catch (error) {
+    console.error(`Error recording audit log for ${action}:`, error);
+  }
+}
+
+// Builds the query of an audit log search from its filters, or returns null if one is invalid.
+// `from` and `to` are inclusive days.
+function parseAuditFilters({ project, actor, action, targetType, from, to }) {
+  const query = {};
+
+  if (project) {
+    if (!mongoose.isValidObjectId(project)) return null;
+    query.project = project;
+  }
+  if (actor) {
+    if (!mongoose.isValidObjectId(actor)) return null;
+    query.actor = actor;
+  }
+  if (action) query.action = String(action);
+  if (targetType) query.targetType = String(targetType);
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) {
+      const start = new Date(from);
+      if (Number.isNaN(start.getTime())) return null;
+      query.createdAt.$gte = start;
+    }
+    if (to) {
+      const end = new Date(to);
+      if (Number.isNaN(end.getTime())) return null;
+      end.setUTCHours(23, 59, 59, 999);
+      query.createdAt.$lte = end;
+    }
+  }
+
+  return query;
+}
+
+// Most recent entries first, one page at a time
+async function findAuditLogs(query, { page, per_page } = {}) {
+  const perPage = Math.min(parseInt(per_page) || 50, 200);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+
+  const logs = await AuditLog.find(query)
+    .sort({ createdAt: -1 })
+    .skip(perPage * (currentPage - 1))
+    .limit(perPage)
+    .populate("actor", "name email")
+    // Deleted projects stay named in their history
+    .populate({ path: "project", select: "name", options: { withDeleted: true } });
+  const total = await AuditLog.countDocuments(query);
+
+  return { logs, total };
+}
+
+module.exports = {
+  parseAuditFilters,
+  findAuditLogs,
+  snapshot,
+  diffDocuments,
+  recordAudit,
+};
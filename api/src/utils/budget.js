@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+const { EXPENSE_CATEGORIES } = require("./constants");
+
+// Keeps only known categories with a positive amount. Returns null when a line is invalid.
+function parseCategoryBudgets(input) {
+  const categoryBudgets = {};
+  for (const category of EXPENSE_CATEGORIES) {
+    const value = input?.[category];
+    if (value === undefined || value === null || value === "") continue;
+
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount) || amount < 0) return null;
+    categoryBudgets[category] = amount;
+  }
+  return categoryBudgets;
+}
+
+// Compares the spend of each category with its budget line.
+// Categories without a line are only listed when something was spent on them.
+function getCategoryStatus(categoryBudgets, spentByCategory) {
+  return EXPENSE_CATEGORIES.filter((category) => categoryBudgets?.[category] != null || spentByCategory[category]).map(
+    (category) => {
+      const allocated = categoryBudgets?.[category] ?? null;
+      const spent = spentByCategory[category] || 0;
+
+      return {
+        category,
+        allocated,
+        spent,
+        remaining: allocated === null ? null : Math.max(0, allocated - spent),
+        percentage: allocated ? Math.round((spent / allocated) * 100) : null,
+        isOverBudget: allocated === null ? false : spent > allocated,
+      };
+    },
+  );
+}
+
+// Returns the thresholds as sorted unique positive percentages, or null when one is invalid
+function parseAlertThresholds(input) {
+  if (!Array.isArray(input)) return null;
+
+  const thresholds = input.map((value) => parseFloat(value));
+  if (thresholds.some((threshold) => !Number.isFinite(threshold) || threshold <= 0)) return null;
+
+  return [...new Set(thresholds)].sort((a, b) => a - b);
+}
+
+// Approved and pending spend per category, merged with the project's budget lines.
+// filters narrows the expenses counted, e.g. to a date range.
+async function getExpenseSummary(project, filters = {}) {
+  const summary = await mongoose.model("Expense").aggregate([
+    {
+      $match: {
+        ...filters,
+        project: project._id,
+        status: { $in: ["approved", "submitted", null] },
+      },
+    },
+    {
+      // Expenses without a status predate the approval workflow and count as approved
+      $addFields: { approved: { $ne: ["$status", "submitted"] } },
+    },
+    {
+      $group: {
+        _id: "$category",
+        total: { $sum: { $cond: ["$approved", "$amount", 0] } },
+        count: { $sum: { $cond: ["$approved", 1, 0] } },
+        pending: { $sum: { $cond: ["$approved", 0, "$amount"] } },
+        pendingCount: { $sum: { $cond: ["$approved", 0, 1] } },
+      },
+    },
+  ]);
+
+  // Merge approved spend with the project's budget lines, including lines with nothing spent yet
+  const spentByCategory = {};
+  const byCategory = {};
+  summary.forEach((item) => {
+    spentByCategory[item._id] = item.total;
+    byCategory[item._id] = item;
+  });
+
+  return getCategoryStatus(project.categoryBudgets, spentByCategory)
+    .map((line) => ({
+      _id: line.category,
+      total: line.spent,
+      count: byCategory[line.category]?.count || 0,
+      pending: byCategory[line.category]?.pending || 0,
+      pendingCount: byCategory[line.category]?.pendingCount || 0,
+      allocated: line.allocated,
+      remaining: line.remaining,
+      percentage: line.percentage,
+      isOverBudget: line.isOverBudget,
+    }))
+    .sort((a, b) => b.total - a.total);
+}
+
+module.exports = { parseCategoryBudgets, getCategoryStatus, parseAlertThresholds, getExpenseSummary };
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const BudgetAlert = require("../models/BudgetAlert");
+const { sendEmail } = require("../services/brevo");
+const { APPROVED_EXPENSES } = require("./approvals");
+
+// Compares the project's approved spend with its alert thresholds.
+// A threshold fires once when spend crosses it and is re-armed when spend drops back below it.
+// Call it after anything that changes the spend or the budget of a project.
+async function checkBudgetAlerts(projectId) {
+  try {
+    const project = await mongoose.model("Project").findById(projectId).populate("createdBy", "email name");
+    if (!project) return [];
+
+    const totals = await mongoose.model("Expense").aggregate([
+      { $match: { project: project._id, ...APPROVED_EXPENSES } },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]);
+    const totalSpent = totals.length ? totals[0].total : 0;
+
+    let percentage = 0;
+    if (project.budget) percentage = (totalSpent / project.budget) * 100;
+    else if (totalSpent > 0) percentage = Infinity;
+
+    const triggered = project.alertThresholds.filter((threshold) => percentage >= threshold);
+    const newlyTriggered = triggered.filter((threshold) => !project.triggeredThresholds.includes(threshold));
+
+    await mongoose.model("Project").updateOne({ _id: project._id }, { $set: { triggeredThresholds: triggered } });
+
+    if (!newlyTriggered.length) return [];
+
+    const recipient = project.createdBy;
+    const recipients = recipient?.email ? [recipient.email] : [];
+    const usage = Number.isFinite(percentage) ? `${Math.round(percentage)}% of its budget` : "its budget (no budget set)";
+
+    // A single email covers every threshold crossed by the same change
+    if (recipients.length) {
+      await sendEmail(
+        [{ email: recipient.email, name: recipient.name || recipient.email }],
+        `Budget alert for project "${project.name}": ${Math.max(...newlyTriggered)}% reached`,
+        `<p>Your project <strong>${project.name}</strong> has used ${usage}.</p>
+<p>Alert thresholds reached: ${newlyTriggered.map((threshold) => `${threshold}%`).join(", ")}</p>
+<p>Budget: ${project.budget} ${project.currency}</p>
+<p>Total spent: ${totalSpent} ${project.currency}</p>`
+      );
+    }
+
+    return await BudgetAlert.insertMany(
+      newlyTriggered.map((threshold) => ({
+        project: project._id,
+        threshold,
+        percentage: Number.isFinite(percentage) ? Math.round(percentage) : null,
+        totalSpent,
+        budget: project.budget,
+        recipients,
+      }))
+    );
+  } catch (error) {
+    // Alerts must never make the change that triggered them fail
+    console.error("Error checking budget alerts:", error);
+    return [];
+  }
+}
+
+module.exports = { checkBudgetAlerts };
@@ -1,3 +1,14 @@
 const BREVO_TEMPLATES = {};
 
-module.exports = { BREVO_TEMPLATES };
+const EXPENSE_CATEGORIES = ["marketing", "development", "design", "operations", "hr", "other"];
+
+const CURRENCIES = ["EUR", "USD", "GBP", "CHF"];
+
+const EXPENSE_STATUSES = ["draft", "submitted", "approved", "rejected"];
+
+const PROJECT_STATES = ["planning", "active", "on_hold", "closed"];
+
+// The owner is the creator of the project, the other members get one of the other roles
+const PROJECT_ROLES = ["owner", "manager", "contributor", "viewer"];
+
+module.exports = { BREVO_TEMPLATES, EXPENSE_CATEGORIES, CURRENCIES, EXPENSE_STATUSES, PROJECT_STATES, PROJECT_ROLES };
@@ -0,0 +1,22 @@
+const ExchangeRate = require("../models/ExchangeRate");
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Returns the rate to convert `from` into `to` on `date`, using the latest rate known at that date.
+// A rate stored the other way around is inverted. Returns null when no rate is known.
+async function getExchangeRate(from, to, date) {
+  if (from === to) return 1;
+
+  const [direct, inverse] = await Promise.all([
+    ExchangeRate.findOne({ from, to, date: { $lte: date } }).sort({ date: -1 }),
+    ExchangeRate.findOne({ from: to, to: from, date: { $lte: date } }).sort({ date: -1 }),
+  ]);
+
+  if (direct && (!inverse || direct.date >= inverse.date)) return direct.rate;
+  if (inverse && inverse.rate) return 1 / inverse.rate;
+  return null;
+}
+
+module.exports = { roundAmount, getExchangeRate };
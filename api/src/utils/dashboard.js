@@ -0,0 +1,170 @@
+const mongoose = require("mongoose");
+const { CURRENCIES, PROJECT_STATES } = require("./constants");
+const { APPROVED_EXPENSES } = require("./approvals");
+const { parseExportFilters } = require("./export");
+const { roundAmount, getExchangeRate } = require("./currency");
+const { getState, getStateFilter } = require("./lifecycle");
+
+const MONTH_FORMAT = "%Y-%m";
+
+// Filters of the dashboard: ?from=&to= on the expense dates, ?state= on the projects, and ?currency=
+// the amounts are reported in. Returns null when a filter is invalid.
+function parseDashboardFilters({ from, to, state, currency }) {
+  const expenseFilters = parseExportFilters({ from, to });
+  if (!expenseFilters) return null;
+  if (state && !PROJECT_STATES.includes(state)) return null;
+  if (currency && !CURRENCIES.includes(currency)) return null;
+
+  return { expenseFilters, state, currency: currency || "EUR" };
+}
+
+// The projects the dashboard adds up, each with the rate converting its currency into the reporting one.
+// Rates are today's: the dashboard compares projects, it does not replay history. Projects in a currency
+// without a known rate are left out, and their currency is listed in `missingRates`.
+async function getPortfolio(accessFilter, { state, currency }) {
+  const projects = await mongoose
+    .model("Project")
+    .find({ ...accessFilter, ...(state && getStateFilter(state)) })
+    .select("name budget currency state endDate");
+
+  const rates = {};
+  for (const code of new Set(projects.map((project) => project.currency))) {
+    rates[code] = await getExchangeRate(code, currency, new Date());
+  }
+
+  return {
+    currency,
+    rates,
+    projects: projects.filter((project) => rates[project.currency]).map((project) => ({ project, rate: rates[project.currency] })),
+    missingRates: Object.keys(rates).filter((code) => !rates[code]),
+  };
+}
+
+// Approved spend of the portfolio in the reporting currency, grouped by `key` (an aggregation expression, or
+// null for the grand total). Amounts are summed per project first, to convert each with the rate of its project.
+async function sumSpend(portfolio, expenseFilters, key = null) {
+  const rateByProject = new Map(portfolio.projects.map(({ project, rate }) => [project._id.toString(), rate]));
+
+  const groups = await mongoose.model("Expense").aggregate([
+    { $match: { ...expenseFilters, ...APPROVED_EXPENSES, project: { $in: portfolio.projects.map(({ project }) => project._id) } } },
+    { $group: { _id: { project: "$project", key }, total: { $sum: "$amount" } } },
+  ]);
+
+  const totals = {};
+  groups.forEach(({ _id, total }) => {
+    const group = _id.key ?? "total";
+    totals[group] = (totals[group] || 0) + total * rateByProject.get(_id.project.toString());
+  });
+  Object.keys(totals).forEach((group) => (totals[group] = roundAmount(totals[group])));
+  return totals;
+}
+
+// Total budget against the total spent in the date range
+async function getSummary(portfolio, expenseFilters) {
+  const spent = await sumSpend(portfolio, expenseFilters);
+  const totalBudget = portfolio.projects.reduce((sum, { project, rate }) => sum + (project.budget || 0) * rate, 0);
+
+  const byState = {};
+  portfolio.projects.forEach(({ project }) => {
+    byState[getState(project)] = (byState[getState(project)] || 0) + 1;
+  });
+
+  return {
+    totalBudget: roundAmount(totalBudget),
+    totalSpent: spent.total || 0,
+    projectsCount: portfolio.projects.length,
+    byState,
+  };
+}
+
+// Spend of each month of the date range, months without spend included
+async function getMonthlySpend(portfolio, expenseFilters) {
+  const totals = await sumSpend(portfolio, expenseFilters, { $dateToString: { format: MONTH_FORMAT, date: "$date" } });
+  const months = Object.keys(totals).sort();
+  if (!months.length) return [];
+
+  const first = expenseFilters.date?.$gte ? expenseFilters.date.$gte.toISOString().slice(0, 7) : months[0];
+  const last = expenseFilters.date?.$lte ? expenseFilters.date.$lte.toISOString().slice(0, 7) : months[months.length - 1];
+
+  const series = [];
+  const cursor = new Date(`${first}-01T00:00:00.000Z`);
+  while (cursor.toISOString().slice(0, 7) <= last) {
+    const month = cursor.toISOString().slice(0, 7);
+    series.push({ month, total: totals[month] || 0 });
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return series;
+}
+
+// Spend of each category across the portfolio, largest first
+async function getCategorySpend(portfolio, expenseFilters) {
+  const totals = await sumSpend(portfolio, expenseFilters, "$category");
+  return Object.entries(totals)
+    .map(([category, total]) => ({ category, total }))
+    .sort((a, b) => b.total - a.total);
+}
+
+// Projects spending past their budget, the furthest over first. Being over budget is a matter of all the
+// spend of a project, so the date range does not apply here.
+async function getOverBudgetProjects(portfolio, limit = 5) {
+  const spent = await sumSpend(portfolio, {}, "$project");
+
+  return portfolio.projects
+    .map(({ project, rate }) => {
+      // Back into the project currency, the list shows each project in its own
+      const total = roundAmount((spent[project._id.toString()] || 0) / rate);
+      return {
+        _id: project._id,
+        name: project.name,
+        currency: project.currency,
+        budget: project.budget,
+        totalSpent: total,
+        overBy: roundAmount(total - project.budget),
+        percentage: project.budget ? Math.round((total / project.budget) * 100) : null,
+      };
+    })
+    .filter((line) => line.overBy > 0)
+    .sort((a, b) => (b.percentage ?? Infinity) - (a.percentage ?? Infinity))
+    .slice(0, limit);
+}
+
+// Largest approved expenses of the date range, compared in the reporting currency
+async function getLargestExpenses(portfolio, expenseFilters, limit = 10) {
+  if (!portfolio.projects.length) return [];
+
+  const Expense = mongoose.model("Expense");
+  const rateOfCurrency = {
+    $switch: {
+      branches: Object.entries(portfolio.rates)
+        .filter(([, rate]) => rate)
+        .map(([code, rate]) => ({ case: { $eq: ["$currency", code] }, then: rate })),
+      default: 0,
+    },
+  };
+
+  const expenses = await Expense.aggregate([
+    { $match: { ...expenseFilters, ...APPROVED_EXPENSES, project: { $in: portfolio.projects.map(({ project }) => project._id) } } },
+    { $lookup: { from: "projects", localField: "project", foreignField: "_id", as: "projectDoc" } },
+    { $set: { currency: { $arrayElemAt: ["$projectDoc.currency", 0] } } },
+    { $set: { convertedAmount: { $multiply: ["$amount", rateOfCurrency] } } },
+    { $sort: { convertedAmount: -1, date: -1 } },
+    { $limit: limit },
+    { $project: { description: 1, amount: 1, convertedAmount: 1, category: 1, date: 1, project: 1, createdBy: 1 } },
+  ]);
+
+  await Expense.populate(expenses, [
+    { path: "project", select: "name currency" },
+    { path: "createdBy", select: "name email" },
+  ]);
+  return expenses.map((expense) => ({ ...expense, convertedAmount: roundAmount(expense.convertedAmount) }));
+}
+
+module.exports = {
+  parseDashboardFilters,
+  getPortfolio,
+  getSummary,
+  getMonthlySpend,
+  getCategorySpend,
+  getOverBudgetProjects,
+  getLargestExpenses,
+};
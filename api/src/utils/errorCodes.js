@@ -16,4 +16,7 @@ module.exports = {
   INSUFFICIENT_FUNDS: "INSUFFICIENT_FUNDS",
   INVALID_PRICE: "INVALID_PRICE",
   ALREADY_PAID: "ALREADY_PAID",
+  EXCHANGE_RATE_NOT_FOUND: "EXCHANGE_RATE_NOT_FOUND",
+  PROJECT_LOCKED: "PROJECT_LOCKED",
+  FORBIDDEN: "FORBIDDEN",
 };
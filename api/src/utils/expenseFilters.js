@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const Expense = require("../models/Expense");
+const { parseExportFilters } = require("./export");
+
+const EXPENSE_SORT_FIELDS = ["date", "amount", "description", "category", "createdAt"];
+
+// Filters of the expense list: ?from=&to=&category=&createdBy=&minAmount=&maxAmount=&search=
+// Dates and categories follow the exports. Returns null when a filter is invalid.
+function parseExpenseFilters({ from, to, category, createdBy, minAmount, maxAmount, search }) {
+  const filters = parseExportFilters({ from, to, categories: category });
+  if (!filters) return null;
+
+  if (createdBy) {
+    if (!mongoose.isValidObjectId(createdBy)) return null;
+    filters.createdBy = createdBy;
+  }
+
+  // Amounts are compared in the project currency
+  if (minAmount || maxAmount) {
+    filters.amount = {};
+    if (minAmount) {
+      const min = parseFloat(minAmount);
+      if (!Number.isFinite(min)) return null;
+      filters.amount.$gte = min;
+    }
+    if (maxAmount) {
+      const max = parseFloat(maxAmount);
+      if (!Number.isFinite(max)) return null;
+      filters.amount.$lte = max;
+    }
+  }
+
+  if (search) {
+    const searchValue = String(search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    filters.description = { $regex: searchValue, $options: "i" };
+  }
+
+  return filters;
+}
+
+// One page of expenses sorted on ?sort=&order=, most recent first by default
+async function findExpenses(query, { sort, order, page, per_page } = {}) {
+  const perPage = Math.min(parseInt(per_page) || 50, 200);
+  const currentPage = Math.max(parseInt(page) || 1, 1);
+  const field = EXPENSE_SORT_FIELDS.includes(sort) ? sort : "date";
+  const direction = order === "asc" ? 1 : -1;
+
+  const expenses = await Expense.find(query)
+    .sort({ [field]: direction, createdAt: direction })
+    .skip(perPage * (currentPage - 1))
+    .limit(perPage)
+    .populate("createdBy", "name email")
+    .populate("reviewedBy", "name email");
+  const total = await Expense.countDocuments(query);
+
+  return { expenses, total };
+}
+
+module.exports = { EXPENSE_SORT_FIELDS, parseExpenseFilters, findExpenses };
@@ -0,0 +1,82 @@
+const moment = require("moment");
+const { parseCsv } = require("./csv");
+const { EXPENSE_CATEGORIES } = require("./constants");
+
+const IMPORT_FIELDS = ["description", "amount", "category", "date"];
+const MAX_IMPORT_ROWS = 2000;
+const DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "DD-MM-YYYY", "DD.MM.YYYY", "YYYY/MM/DD"];
+
+// Spreadsheets exported with a European locale use ";" between fields
+function detectSeparator(content) {
+  const firstLine = content.split(/\r?\n/, 1)[0] || "";
+  return firstLine.split(";").length > firstLine.split(",").length ? ";" : ",";
+}
+
+function cleanAmount(value) {
+  return value.replace(/[\s\u00a0€$£]|CHF/g, "");
+}
+
+// "1,234" is a thousand with English grouping and 1.234 with a French decimal comma: such rows are reported, not guessed
+function isAmbiguousAmount(value) {
+  return /^-?\d+,\d{3}$/.test(cleanAmount(value));
+}
+
+// Accepts "1234.5", "1 234,50", "1,234.50", "1.234,50" and a currency sign.
+// With both separators, the last one is the decimal mark and the other one groups digits.
+function parseAmount(value) {
+  let cleaned = cleanAmount(value);
+  if (cleaned.includes(",") && cleaned.includes(".")) {
+    cleaned = cleaned.lastIndexOf(",") > cleaned.lastIndexOf(".") ? cleaned.replace(/\./g, "").replace(",", ".") : cleaned.replace(/,/g, "");
+  } else {
+    cleaned = cleaned.replace(",", ".");
+  }
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+  return parseFloat(cleaned);
+}
+
+function parseDate(value) {
+  const date = moment.utc(value, DATE_FORMATS, true);
+  return date.isValid() ? date.toDate() : null;
+}
+
+// Guesses which column holds each field from the header names
+function guessMapping(headers) {
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const index = headers.findIndex((header) => header.trim().toLowerCase() === field);
+    if (index !== -1) mapping[field] = index;
+  });
+  return mapping;
+}
+
+// Parses the CSV and validates each row with the column mapping ({ field: column index }).
+// Returns the headers and, for each row, its line number, parsed values and errors.
+function parseExpenseRows(content, mapping = {}) {
+  const [headers = [], ...lines] = parseCsv(content, detectSeparator(content));
+
+  const rows = lines.slice(0, MAX_IMPORT_ROWS).map((line, index) => {
+    const raw = (field) => (mapping[field] === undefined || mapping[field] === null ? "" : (line[mapping[field]] || "").trim());
+    const errors = [];
+
+    const description = raw("description");
+    if (!description) errors.push("Missing description");
+
+    const amount = parseAmount(raw("amount"));
+    if (isAmbiguousAmount(raw("amount"))) errors.push(`Ambiguous amount "${raw("amount")}": write 1234 for a thousand or 1.234 for a decimal`);
+    else if (amount === null || amount <= 0) errors.push(`Invalid amount "${raw("amount")}"`);
+
+    const categoryValue = raw("category").toLowerCase();
+    const category = categoryValue || "other";
+    if (!EXPENSE_CATEGORIES.includes(category)) errors.push(`Unknown category "${raw("category")}"`);
+
+    const date = parseDate(raw("date"));
+    if (!date) errors.push(`Invalid date "${raw("date")}"`);
+
+    // +2: header line and 1-based numbering
+    return { line: index + 2, values: { description, amount, category, date }, errors };
+  });
+
+  return { headers, rows, truncated: lines.length > MAX_IMPORT_ROWS };
+}
+
+module.exports = { IMPORT_FIELDS, MAX_IMPORT_ROWS, guessMapping, parseExpenseRows };
@@ -0,0 +1,126 @@
+const ExcelJS = require("exceljs");
+const { EXPENSE_CATEGORIES } = require("./constants");
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Date range and category filters shared by every export. Returns null when a filter is invalid.
+function parseExportFilters({ from, to, categories }) {
+  const filters = {};
+
+  if (from || to) {
+    filters.date = {};
+    if (from) {
+      const start = new Date(from);
+      if (Number.isNaN(start.getTime())) return null;
+      filters.date.$gte = start;
+    }
+    if (to) {
+      // The end date is inclusive
+      const end = new Date(to);
+      if (Number.isNaN(end.getTime())) return null;
+      end.setUTCHours(23, 59, 59, 999);
+      filters.date.$lte = end;
+    }
+  }
+
+  if (categories !== undefined && categories !== null && categories !== "") {
+    const list = Array.isArray(categories) ? categories : [categories];
+    if (list.some((category) => !EXPENSE_CATEGORIES.includes(category))) return null;
+    if (list.length) filters.category = { $in: list };
+  }
+
+  return filters;
+}
+
+function getLocale(req) {
+  const locale = req.body.locale || req.acceptsLanguages()[0] || "en-US";
+  try {
+    return Intl.NumberFormat.supportedLocalesOf(locale).length ? locale : "en-US";
+  } catch (error) {
+    return "en-US";
+  }
+}
+
+// CSV has no number type: amounts are written with the decimal mark of the locale,
+// and ";" separates fields when the decimal mark is a comma, as spreadsheets expect.
+function getCsvFormat(locale) {
+  const numberFormat = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2, useGrouping: false });
+  const decimalMark = numberFormat.formatToParts(1.5).find((part) => part.type === "decimal").value;
+  return { numberFormat, separator: decimalMark === "," ? ";" : "," };
+}
+
+function toCsvLine(values, separator) {
+  return values
+    .map((value) => {
+      const text = value === null || value === undefined ? "" : String(value);
+      return /["\n\r]/.test(text) || text.includes(separator) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(separator);
+}
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"];
+
+function formatCsvValue(value, type, numberFormat) {
+  if (value === null || value === undefined || value === "") return "";
+  if (type === "number") return numberFormat.format(value);
+  if (type === "date") return new Date(value).toISOString().slice(0, 10);
+  // Text such as descriptions and names comes from users: a leading quote keeps it text
+  const text = String(value);
+  return FORMULA_PREFIXES.includes(text[0]) ? `'${text}` : text;
+}
+
+// Streams rows to the response as a CSV or XLSX file.
+// columns: [{ header, key, type: "string" | "number" | "date", width }], rows: an iterable or async iterable of objects.
+async function sendExport(res, { format, filename, sheetName, columns, rows, locale }) {
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+
+  if (format === "csv") {
+    const { numberFormat, separator } = getCsvFormat(locale);
+    // The BOM makes Excel read the file as UTF-8
+    res.write(`\uFEFF${toCsvLine(columns.map((column) => column.header), separator)}\r\n`);
+    for await (const row of rows) {
+      const values = columns.map((column) => formatCsvValue(row[column.key], column.type, numberFormat));
+      res.write(`${toCsvLine(values, separator)}\r\n`);
+    }
+    return res.end();
+  }
+
+  // Numbers and dates are typed cells in XLSX, so spreadsheets display them in the reader's locale
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: column.width || 16,
+    style: column.type === "number" ? { numFmt: "#,##0.00" } : column.type === "date" ? { numFmt: "yyyy-mm-dd" } : {},
+  }));
+  for await (const row of rows) {
+    const values = {};
+    columns.forEach((column) => {
+      const value = row[column.key];
+      values[column.key] = column.type === "date" && value ? new Date(value) : value;
+    });
+    worksheet.addRow(values).commit();
+  }
+  worksheet.commit();
+  await workbook.commit();
+}
+
+function toFilename(name) {
+  return (
+    name
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-zA-Z0-9]+/g, "-")
+      .replace(/^-|-$/g, "")
+      .toLowerCase() || "export"
+  );
+}
+
+module.exports = { EXPORT_FORMATS, parseExportFilters, getLocale, sendExport, toFilename };
@@ -0,0 +1,119 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY);
+}
+
+// Spending starts at the project start date, or earlier if an expense was dated before it
+function getSpendStart(project, expenses) {
+  const dates = expenses.map((expense) => new Date(expense.date).getTime());
+  const start = project.startDate || project.createdAt || new Date();
+  return new Date(Math.min(new Date(start).getTime(), ...dates));
+}
+
+// Average spend per day since the start, projected linearly to the end date
+function projectSpend(project, expenses, now = new Date()) {
+  const totalSpent = expenses.reduce((sum, expense) => sum + (expense.amount || 0), 0);
+  const start = getSpendStart(project, expenses);
+  const elapsedDays = Math.max(1, Math.ceil((now - start) / DAY));
+  const dailyBurnRate = totalSpent / elapsedDays;
+
+  const endDate = project.endDate ? new Date(project.endDate) : null;
+  const remainingDays = endDate ? Math.max(0, (endDate - now) / DAY) : null;
+  const projectedAtEnd = endDate ? totalSpent + dailyBurnRate * remainingDays : null;
+
+  return { totalSpent, start, elapsedDays, dailyBurnRate, endDate, remainingDays, projectedAtEnd };
+}
+
+// Date on which cumulated spend went over the budget, from the expense history
+function getExhaustedAt(budget, expenses) {
+  let cumulated = 0;
+  const sorted = [...expenses].sort((a, b) => new Date(a.date) - new Date(b.date));
+  for (const expense of sorted) {
+    cumulated += expense.amount || 0;
+    if (cumulated > budget) return new Date(expense.date);
+  }
+  return null;
+}
+
+// Full forecast of a project: burn rates, projected spend at the end date, date the budget runs out,
+// a confidence band based on how much the weekly spend varies, and weekly points for a burn-down chart.
+function buildForecast(project, expenses, now = new Date()) {
+  const { totalSpent, start, elapsedDays, dailyBurnRate, endDate, remainingDays, projectedAtEnd } = projectSpend(
+    project,
+    expenses,
+    now,
+  );
+  const budget = project.budget || 0;
+
+  const weeks = Math.max(1, Math.ceil(elapsedDays / 7));
+  const weeklySpend = new Array(weeks).fill(0);
+  expenses.forEach((expense) => {
+    const week = Math.floor((new Date(expense.date) - start) / (7 * DAY));
+    weeklySpend[Math.min(weeks - 1, Math.max(0, week))] += expense.amount || 0;
+  });
+  const weeklyMean = totalSpent / weeks;
+  const weeklyDeviation = Math.sqrt(weeklySpend.reduce((sum, spend) => sum + (spend - weeklyMean) ** 2, 0) / weeks);
+  // Standard error of the weekly mean: the band narrows as history grows
+  const margin = weeklyDeviation / Math.sqrt(weeks);
+  const lowDailyRate = Math.max(0, weeklyMean - margin) / 7;
+  const highDailyRate = (weeklyMean + margin) / 7;
+
+  const remainingBudget = budget - totalSpent;
+  let exhaustedAt = null;
+  let exhaustionBand = null;
+  if (remainingBudget <= 0) {
+    exhaustedAt = getExhaustedAt(budget, expenses);
+  } else if (dailyBurnRate > 0) {
+    exhaustedAt = addDays(now, remainingBudget / dailyBurnRate);
+    exhaustionBand = {
+      earliest: addDays(now, remainingBudget / highDailyRate),
+      latest: lowDailyRate > 0 ? addDays(now, remainingBudget / lowDailyRate) : null,
+    };
+  }
+
+  const projectedBand = endDate
+    ? { low: totalSpent + lowDailyRate * remainingDays, high: totalSpent + highDailyRate * remainingDays }
+    : null;
+
+  // Weekly points of remaining budget: actual until today, projected after, and the ideal straight line to the end date.
+  // Today is a point of both the actual and the projected lines so that they join.
+  const chartEnd = endDate && endDate > now ? endDate : now;
+  const dates = [now];
+  for (let date = start; date <= addDays(chartEnd, 6); date = addDays(date, 7)) {
+    if (date.getTime() !== now.getTime()) dates.push(date);
+  }
+  dates.sort((a, b) => a - b);
+
+  const series = dates.map((date) => {
+    const point = { date, actual: null, projected: null, ideal: null };
+    if (date <= now) {
+      const spent = expenses.filter((expense) => new Date(expense.date) <= date).reduce((sum, e) => sum + (e.amount || 0), 0);
+      point.actual = budget - spent;
+    }
+    if (date >= now) {
+      point.projected = budget - totalSpent - dailyBurnRate * ((date - now) / DAY);
+    }
+    if (endDate) {
+      const progress = Math.min(1, Math.max(0, (date - start) / (endDate - start || 1)));
+      point.ideal = budget * (1 - progress);
+    }
+    return point;
+  });
+
+  return {
+    totalSpent,
+    budget,
+    dailyBurnRate,
+    weeklyBurnRate: dailyBurnRate * 7,
+    projectedAtEnd,
+    projectedBand,
+    willExceedBudget: projectedAtEnd !== null && projectedAtEnd > budget,
+    exhaustedAt,
+    exhaustionBand,
+    exhaustedBeforeEnd: !!(exhaustedAt && endDate && exhaustedAt < endDate),
+    series,
+  };
+}
+
+module.exports = { projectSpend, buildForecast };
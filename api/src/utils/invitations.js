@@ -0,0 +1,201 @@
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const ProjectInvitation = require("../models/ProjectInvitation");
+const OrganizationInvitation = require("../models/OrganizationInvitation");
+const Notification = require("../models/Notification");
+const { APP_URL, SECRET, PROJECT_INVITATION_DAYS, ORGANIZATION_INVITATION_DAYS } = require("../config");
+const { sendEmail } = require("../services/brevo");
+const { isMember } = require("./organizations");
+
+const PROJECT_TOKEN = "project_invitation";
+const ORGANIZATION_TOKEN = "organization_invitation";
+
+function getExpiryDate(days, now = new Date()) {
+  return new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// Filter of the invitations still waiting for their guest
+function pendingFilter(now = new Date()) {
+  return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+}
+
+// The token carries the invitation id and what it invites to, and is only valid as long as the invitation
+function createInvitationToken(invitation, purpose) {
+  const expiresIn = Math.max(1, Math.floor((invitation.expiresAt.getTime() - Date.now()) / 1000));
+  return jwt.sign({ invitation: invitation._id.toString(), purpose }, SECRET, { expiresIn });
+}
+
+// The pending invitation of a token, or null when the token is invalid, for another kind of invitation,
+// or the invitation was accepted, revoked or expired
+async function findPendingInvitation(Model, token, purpose) {
+  try {
+    const payload = jwt.verify(token, SECRET);
+    if (payload.purpose !== purpose) return null;
+    return await Model.findOne({ _id: payload.invitation, ...pendingFilter() });
+  } catch (error) {
+    return null;
+  }
+}
+
+function findInvitationByToken(token) {
+  return findPendingInvitation(ProjectInvitation, token, PROJECT_TOKEN);
+}
+
+// Makes the user a member of the project with the given role, and of its organization
+async function addProjectMember(project, user, role) {
+  const organization = await mongoose.model("Organization").findById(project.organization);
+  if (organization && !isMember(organization, user._id)) {
+    organization.members.push({ user: user._id, role: "member" });
+    await organization.save();
+  }
+
+  await mongoose.model("Project").updateOne(
+    { _id: project._id, members: { $ne: user._id } },
+    { $push: { members: user._id, roles: { user: user._id, role } } }
+  );
+}
+
+async function notify(user, { type, message, link, organization }) {
+  try {
+    await Notification.create({ user: user._id, type, message, link, organization });
+  } catch (error) {
+    console.error(`Error creating ${type} notification:`, error);
+  }
+}
+
+// Invites an email address to a project. Members of the project's organization join right away and are
+// notified in the app and by email. Anybody else gets an email with a signed invitation token, linking to the
+// page accepting it when they have an account, or to the signup page otherwise, and only joins once accepted.
+// Returns { user } when the person joined, { invitation } when the invitation waits for them.
+async function inviteToProject(project, { email, role }, invitedBy) {
+  const address = email.trim().toLowerCase();
+  const inviter = invitedBy.name || invitedBy.email;
+  const user = await mongoose.model("user").findOne({ email: address });
+  const organization = await mongoose.model("Organization").findById(project.organization);
+
+  if (user && organization && isMember(organization, user._id)) {
+    await addProjectMember(project, user, role);
+    const link = `/projects/${project._id}`;
+    await notify(user, {
+      type: "project_invitation",
+      message: `${inviter} added you to the project ${project.name}`,
+      link,
+      organization: project.organization,
+    });
+    await sendEmail(
+      [{ email: user.email, name: user.name || user.email }],
+      `${inviter} added you to the project ${project.name}`,
+      `<p>${inviter} added you to the project <strong>${project.name}</strong> as ${role}.</p>
+<p><a href="${APP_URL}${link}">Open the project</a></p>`
+    );
+    return { user };
+  }
+
+  // Inviting the same address again extends the pending invitation and sends a new link
+  let invitation = await ProjectInvitation.findOne({ project: project._id, email: address, ...pendingFilter() });
+  if (invitation) {
+    invitation.set({ role, invitedBy: invitedBy._id, expiresAt: getExpiryDate(PROJECT_INVITATION_DAYS) });
+  } else {
+    invitation = new ProjectInvitation({
+      project: project._id,
+      email: address,
+      role,
+      invitedBy: invitedBy._id,
+      expiresAt: getExpiryDate(PROJECT_INVITATION_DAYS),
+    });
+  }
+  await invitation.save();
+
+  const token = createInvitationToken(invitation, PROJECT_TOKEN);
+  const link = user
+    ? `${APP_URL}/projects/join?invitation=${token}`
+    : `${APP_URL}/auth/signup?email=${encodeURIComponent(address)}&invitation=${token}`;
+  await sendEmail(
+    [{ email: address, name: user?.name || address }],
+    `${inviter} invited you to the project ${project.name}`,
+    `<p>${inviter} invited you to join the project <strong>${project.name}</strong> as ${role}.</p>
+<p><a href="${link}">${user ? "Accept the invitation" : "Create your account"}</a></p>
+<p>This invitation expires on ${invitation.expiresAt.toDateString()}.</p>`
+  );
+  return { invitation };
+}
+
+// Accepts the project invitation of a token for the user of the invited address, at signup or signed in.
+// Returns the project joined, or null when the token cannot be used.
+async function acceptInvitation(token, user) {
+  const invitation = await findInvitationByToken(token);
+  if (!invitation || invitation.email !== user.email.toLowerCase()) return null;
+
+  const project = await mongoose.model("Project").findById(invitation.project);
+  if (!project) return null;
+
+  await addProjectMember(project, user, invitation.role);
+  invitation.set({ acceptedAt: new Date(), acceptedBy: user._id });
+  await invitation.save();
+
+  return project;
+}
+
+// Invites an email address to an organization. Nobody joins without accepting: the address receives a link
+// carrying a signed invitation token, to the signup page, or to the page accepting it when it has an account.
+async function inviteToOrganization(organization, email, invitedBy) {
+  const address = email.trim().toLowerCase();
+  const inviter = invitedBy.name || invitedBy.email;
+  const user = await mongoose.model("user").findOne({ email: address }).select("_id name");
+
+  // Inviting the same address again extends the pending invitation and sends a new link
+  let invitation = await OrganizationInvitation.findOne({ organization: organization._id, email: address, ...pendingFilter() });
+  if (invitation) {
+    invitation.set({ invitedBy: invitedBy._id, expiresAt: getExpiryDate(ORGANIZATION_INVITATION_DAYS) });
+  } else {
+    invitation = new OrganizationInvitation({
+      organization: organization._id,
+      email: address,
+      invitedBy: invitedBy._id,
+      expiresAt: getExpiryDate(ORGANIZATION_INVITATION_DAYS),
+    });
+  }
+  await invitation.save();
+
+  const token = createInvitationToken(invitation, ORGANIZATION_TOKEN);
+  const link = user
+    ? `${APP_URL}/organizations/join?invitation=${token}`
+    : `${APP_URL}/auth/signup?email=${encodeURIComponent(address)}&invitation=${token}`;
+  await sendEmail(
+    [{ email: address, name: user?.name || address }],
+    `${inviter} invited you to ${organization.name}`,
+    `<p>${inviter} invited you to join the organization <strong>${organization.name}</strong>.</p>
+<p><a href="${link}">${user ? "Accept the invitation" : "Create your account"}</a></p>
+<p>This invitation expires on ${invitation.expiresAt.toDateString()}.</p>`
+  );
+  return invitation;
+}
+
+// Accepts the organization invitation of a token for the user of the invited address, at signup or signed in.
+// Returns the organization joined, or null when the token cannot be used.
+async function acceptOrganizationInvitation(token, user) {
+  const invitation = await findPendingInvitation(OrganizationInvitation, token, ORGANIZATION_TOKEN);
+  if (!invitation || invitation.email !== user.email.toLowerCase()) return null;
+
+  const organization = await mongoose.model("Organization").findById(invitation.organization);
+  if (!organization) return null;
+
+  if (!isMember(organization, user._id)) {
+    organization.members.push({ user: user._id, role: "member" });
+    await organization.save();
+  }
+  invitation.set({ acceptedAt: new Date(), acceptedBy: user._id });
+  await invitation.save();
+
+  return organization;
+}
+
+module.exports = {
+  pendingFilter,
+  findInvitationByToken,
+  inviteToProject,
+  acceptInvitation,
+  inviteToOrganization,
+  acceptOrganizationInvitation,
+  notify,
+};
@@ -0,0 +1,60 @@
+const ERROR_CODES = require("./errorCodes");
+
+// States a project can move to from each state. A closed project can be reopened.
+const PROJECT_TRANSITIONS = {
+  planning: ["active", "closed"],
+  active: ["on_hold", "closed"],
+  on_hold: ["active", "closed"],
+  closed: ["active"],
+};
+
+// Spending is frozen while a project is on hold and final once it is closed
+const LOCKED_STATES = ["on_hold", "closed"];
+
+const STATE_LABELS = {
+  planning: "in planning",
+  active: "active",
+  on_hold: "on hold",
+  closed: "closed",
+};
+
+// Projects created before the lifecycle have no state and are active
+function getState(project) {
+  return project.state || "active";
+}
+
+function getStateFilter(state) {
+  return { state: state === "active" ? { $in: ["active", null] } : state };
+}
+
+function canTransition(project, state) {
+  return PROJECT_TRANSITIONS[getState(project)].includes(state);
+}
+
+function isSpendingLocked(project) {
+  return LOCKED_STATES.includes(getState(project));
+}
+
+// Still running after its end date
+function isOverdue(project, now = new Date()) {
+  return !!project.endDate && project.endDate < now && getState(project) !== "closed";
+}
+
+// Sends the error of an expense write on a frozen or closed project
+function sendProjectLocked(res, project) {
+  return res.status(400).json({
+    ok: false,
+    code: ERROR_CODES.PROJECT_LOCKED,
+    error: `Expenses cannot be changed while the project is ${STATE_LABELS[getState(project)]}`,
+  });
+}
+
+module.exports = {
+  PROJECT_TRANSITIONS,
+  getState,
+  getStateFilter,
+  canTransition,
+  isSpendingLocked,
+  isOverdue,
+  sendProjectLocked,
+};
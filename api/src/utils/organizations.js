@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+function isMember(organization, userId) {
+  return organization.members.some((member) => member.user.toString() === userId.toString());
+}
+
+function isOwner(organization, userId) {
+  return organization.members.some((member) => member.user.toString() === userId.toString() && member.role === "owner");
+}
+
+async function createOrganization(user, name) {
+  return mongoose.model("Organization").create({
+    name: (name || "").trim() || `${user.name || user.email}'s organization`,
+    createdBy: user._id,
+    members: [{ user: user._id, role: "owner" }],
+  });
+}
+
+// Projects from before organizations move into the first organization of their owner, and their members join it:
+// projects are only visible inside an organization the user belongs to
+async function migrateLegacyProjects(owner, organization) {
+  const Project = mongoose.model("Project");
+  const filter = { createdBy: owner._id, organization: null };
+
+  const members = await Project.distinct("members", filter).setOptions({ withDeleted: true });
+  await Project.updateMany(filter, { $set: { organization: organization._id } }).setOptions({ withDeleted: true });
+
+  const newMembers = members.filter((member) => !isMember(organization, member));
+  if (newMembers.length) {
+    organization.members.push(...newMembers.map((member) => ({ user: member, role: "member" })));
+    await organization.save();
+  }
+}
+
+// The organization the user works in. Falls back to another of their organizations when they
+// left the selected one, and creates a first one for users who signed up before organizations.
+async function getActiveOrganization(user) {
+  const Organization = mongoose.model("Organization");
+  const Project = mongoose.model("Project");
+
+  if (user.organization) {
+    const organization = await Organization.findOne({ _id: user.organization, "members.user": user._id });
+    if (organization) return organization;
+  }
+
+  let organization = await Organization.findOne({ "members.user": user._id }).sort({ createdAt: 1 });
+  if (!organization) {
+    // A member of a project from before organizations works in the organization of its owner,
+    // which the owner gets now if they have not signed in since
+    const legacyProject = await Project.findOne({ members: user._id, createdBy: { $ne: user._id }, organization: null })
+      .setOptions({ withDeleted: true })
+      .populate("createdBy");
+    if (legacyProject?.createdBy) {
+      const ownerOrganization = await getActiveOrganization(legacyProject.createdBy);
+      if (isMember(ownerOrganization, user._id)) organization = ownerOrganization;
+    }
+  }
+  if (!organization) {
+    organization = await createOrganization(user, user.organisation_name);
+    await migrateLegacyProjects(user, organization);
+  }
+
+  await mongoose.model("user").updateOne({ _id: user._id }, { $set: { organization: organization._id } });
+  user.organization = organization._id;
+  return organization;
+}
+
+// Route middleware, after authentication, setting `req.organization` to the active organization
+async function withOrganization(req, res, next) {
+  try {
+    req.organization = await getActiveOrganization(req.user);
+    next();
+  } catch (error) {
+    console.error("Error loading organization:", error);
+    return res.status(500).json({ ok: false, error: "Failed to load organization" });
+  }
+}
+
+// Filter of the projects of the active organization the current user is part of
+function projectAccessFilter(req) {
+  return {
+    organization: req.organization._id,
+    $or: [{ createdBy: req.user._id }, { members: req.user._id }],
+  };
+}
+
+// Filter of the projects of the active organization the current user owns
+function projectOwnerFilter(req) {
+  return { organization: req.organization._id, createdBy: req.user._id };
+}
+
+function inOrganization(req, project) {
+  return !!project?.organization && project.organization.toString() === req.organization._id.toString();
+}
+
+module.exports = {
+  isMember,
+  isOwner,
+  createOrganization,
+  getActiveOrganization,
+  withOrganization,
+  projectAccessFilter,
+  projectOwnerFilter,
+  inOrganization,
+};
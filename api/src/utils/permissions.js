@@ -0,0 +1,65 @@
+const ERROR_CODES = require("./errorCodes");
+
+// What each project role can do, on top of reading the project and its expenses:
+// - project.update: edit the details, budget, category budgets and alert thresholds
+// - project.state: move the project through its lifecycle
+// - project.members: add and remove members, change their role and the approvers
+// - project.delete: move the project to the trash and restore it
+// - project.transfer: hand the ownership over to another member
+// - project.activity: read the audit log of the project
+// - expense.create: add, import and submit expenses, and change their own
+// - expense.manage: change and delete the expenses of others
+// - expense.review: approve and reject submitted expenses
+const PROJECT_PERMISSIONS = {
+  owner: [
+    "project.update",
+    "project.state",
+    "project.members",
+    "project.delete",
+    "project.transfer",
+    "project.activity",
+    "expense.create",
+    "expense.manage",
+    "expense.review",
+  ],
+  manager: ["project.update", "project.state", "project.activity", "expense.create", "expense.manage", "expense.review"],
+  contributor: ["expense.create"],
+  viewer: [],
+};
+
+function toId(value) {
+  return (value?._id || value).toString();
+}
+
+// Role of the user in the project, or null when they are not part of it
+function getProjectRole(project, userId) {
+  const id = toId(userId);
+  if (toId(project.createdBy) === id) return "owner";
+  if (!(project.members || []).some((member) => toId(member) === id)) return null;
+  return (project.roles || []).find((entry) => toId(entry.user) === id)?.role || "contributor";
+}
+
+function getPermissions(project, userId) {
+  return PROJECT_PERMISSIONS[getProjectRole(project, userId)] || [];
+}
+
+function can(project, userId, permission) {
+  return getPermissions(project, userId).includes(permission);
+}
+
+// People who can add expenses change their own, managers and the owner change everyone's
+function canEditExpense(project, expense, userId) {
+  const own = toId(expense.createdBy) === toId(userId);
+  return can(project, userId, own ? "expense.create" : "expense.manage");
+}
+
+// The project as sent to the app, with what the current user can do in it
+function withPermissions(project, userId) {
+  return { ...project.toJSON(), role: getProjectRole(project, userId), permissions: getPermissions(project, userId) };
+}
+
+function sendForbidden(res, error) {
+  return res.status(403).json({ ok: false, code: ERROR_CODES.FORBIDDEN, error });
+}
+
+module.exports = { PROJECT_PERMISSIONS, getProjectRole, getPermissions, can, canEditExpense, withPermissions, sendForbidden };
@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+const storage = require("../services/storage");
+const { projectAccessFilter } = require("./organizations");
+
+// Keeps the url, the storage key and the file name of each receipt. Receipts already on the expense are kept
+// as they are, new ones must be files the user uploaded through /file. Returns null when a receipt is invalid.
+function parseReceipts(input, userId, current = []) {
+  if (!Array.isArray(input)) return null;
+
+  const receipts = [];
+  for (const receipt of input) {
+    if (!receipt || typeof receipt.url !== "string") return null;
+
+    const existing = current.find((e) => e.url === receipt.url);
+    if (existing) {
+      receipts.push({ url: existing.url, key: existing.key, name: existing.name });
+      continue;
+    }
+
+    const key = storage.getKey(receipt.url);
+    if (!key || !key.startsWith(`file/receipts/${userId}/`)) return null;
+    receipts.push({ url: receipt.url, key, name: receipt.name ? String(receipt.name) : undefined });
+  }
+  return receipts;
+}
+
+// Removes the stored files of receipts that no expense references anymore, trashed ones included.
+// Receipts without a key predate it and are left alone, their url alone does not prove where the file came from.
+// A file that cannot be removed is logged and skipped, so that deleting an expense or a project never fails because of its receipts.
+async function deleteReceiptFiles(receipts) {
+  for (const receipt of receipts || []) {
+    if (!receipt.key) continue;
+
+    try {
+      const referenced = await mongoose
+        .model("Expense")
+        .findOne({ "receipts.key": receipt.key })
+        .setOptions({ withDeleted: true })
+        .select("_id");
+      if (referenced) continue;
+
+      await storage.remove(receipt.key);
+    } catch (error) {
+      console.error(`Error deleting receipt ${receipt.key}:`, error);
+    }
+  }
+}
+
+// Whether the current user may read a stored file: they uploaded it, or they can see an expense it is a receipt of.
+// Expects `req.organization`, set by withOrganization.
+async function canReadFile(req, key) {
+  // Keys end with <user>/<uuid>/<name>
+  if (key.split("/").slice(-3)[0] === req.user._id.toString()) return true;
+
+  // Receipts attached before keys were recorded only have their url. Drafts are only visible to their creator.
+  const expenses = await mongoose
+    .model("Expense")
+    .find({
+      $and: [
+        { $or: [{ "receipts.key": key }, { "receipts.url": storage.getUrl(key) }] },
+        { $or: [{ status: { $ne: "draft" } }, { createdBy: req.user._id }] },
+      ],
+    })
+    .select("project");
+  if (!expenses.length) return false;
+
+  const project = await mongoose
+    .model("Project")
+    .findOne({ _id: { $in: expenses.map((expense) => expense.project) }, ...projectAccessFilter(req) })
+    .select("_id");
+  return !!project;
+}
+
+module.exports = { parseReceipts, deleteReceiptFiles, canReadFile };
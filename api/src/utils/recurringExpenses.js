@@ -0,0 +1,121 @@
+const moment = require("moment");
+const Expense = require("../models/Expense");
+const RecurringExpense = require("../models/RecurringExpense");
+const { roundAmount, getExchangeRate } = require("./currency");
+const { checkBudgetAlerts } = require("./budgetAlerts");
+const { getSubmittedStatus } = require("./approvals");
+const { isSpendingLocked } = require("./lifecycle");
+const { can } = require("./permissions");
+
+const FREQUENCY_PERIODS = {
+  weekly: { count: 1, unit: "weeks" },
+  monthly: { count: 1, unit: "months" },
+  quarterly: { count: 3, unit: "months" },
+  yearly: { count: 1, unit: "years" },
+};
+
+// Occurrences are always computed from the start date so that month ends do not drift (Jan 31, Feb 29, Mar 31...)
+function getOccurrenceDate(recurringExpense, index) {
+  const { count, unit } = FREQUENCY_PERIODS[recurringExpense.frequency];
+  return moment(recurringExpense.startDate)
+    .add(index * count, unit)
+    .toDate();
+}
+
+// Date of the occurrence following the ones already created, or null when the series is over
+function getNextOccurrence(recurringExpense) {
+  const date = getOccurrenceDate(recurringExpense, recurringExpense.occurrences);
+  if (recurringExpense.endDate && date > recurringExpense.endDate) return null;
+  return date;
+}
+
+// Used when a paused series is resumed: occurrences missed while paused are not created
+function skipPastOccurrences(recurringExpense, now = new Date()) {
+  let next = getNextOccurrence(recurringExpense);
+  while (next && next < now) {
+    recurringExpense.occurrences += 1;
+    next = getNextOccurrence(recurringExpense);
+  }
+  recurringExpense.nextOccurrence = next;
+}
+
+function getUpcomingOccurrences(recurringExpense, limit = 3) {
+  const dates = [];
+  for (let index = recurringExpense.occurrences; dates.length < limit; index++) {
+    const date = getOccurrenceDate(recurringExpense, index);
+    if (recurringExpense.endDate && date > recurringExpense.endDate) break;
+    dates.push(date);
+  }
+  return dates;
+}
+
+// Creates the expense of one occurrence. Returns false when it cannot be created yet (missing exchange rate).
+async function createOccurrence(recurringExpense, date) {
+  const project = recurringExpense.project;
+  const exchangeRate = await getExchangeRate(recurringExpense.currency, project.currency, date);
+  if (!exchangeRate) {
+    console.error(`No exchange rate from ${recurringExpense.currency} to ${project.currency} for recurring expense ${recurringExpense._id}`);
+    return false;
+  }
+
+  try {
+    await Expense.create({
+      description: recurringExpense.description,
+      amount: roundAmount(recurringExpense.amount * exchangeRate),
+      originalAmount: recurringExpense.amount,
+      originalCurrency: recurringExpense.currency,
+      exchangeRate,
+      category: recurringExpense.category,
+      date,
+      project: project._id,
+      createdBy: recurringExpense.createdBy,
+      recurringExpense: recurringExpense._id,
+      // Occurrences go through the same review as expenses created by hand
+      status: getSubmittedStatus(project, recurringExpense.createdBy),
+      submittedAt: new Date(),
+    });
+  } catch (error) {
+    // Already created by a previous run that stopped before saving the series
+    if (error.code !== 11000) throw error;
+  }
+  return true;
+}
+
+// Creates the expenses of every occurrence that is due, then runs the budget checks of the projects concerned
+async function materializeRecurringExpenses(now = new Date()) {
+  const dueRecurringExpenses = await RecurringExpense.find({ paused: false, nextOccurrence: { $lte: now } }).populate(
+    "project",
+    "currency createdBy members roles approvers state",
+  );
+
+  const projectIds = new Set();
+  for (const recurringExpense of dueRecurringExpenses) {
+    // Trashed projects are left out, and the occurrences of frozen projects wait until they are active again.
+    // So do those of creators who can no longer add expenses to the project.
+    if (!recurringExpense.project || isSpendingLocked(recurringExpense.project)) continue;
+    if (!can(recurringExpense.project, recurringExpense.createdBy, "expense.create")) continue;
+
+    while (recurringExpense.nextOccurrence && recurringExpense.nextOccurrence <= now) {
+      const created = await createOccurrence(recurringExpense, recurringExpense.nextOccurrence);
+      if (!created) break;
+
+      recurringExpense.occurrences += 1;
+      recurringExpense.nextOccurrence = getNextOccurrence(recurringExpense);
+      projectIds.add(recurringExpense.project._id.toString());
+    }
+
+    await recurringExpense.save();
+  }
+
+  for (const projectId of projectIds) {
+    await checkBudgetAlerts(projectId);
+  }
+}
+
+module.exports = {
+  FREQUENCY_PERIODS,
+  getNextOccurrence,
+  skipPastOccurrences,
+  getUpcomingOccurrences,
+  materializeRecurringExpenses,
+};
@@ -0,0 +1,234 @@
+const PDFDocument = require("pdfkit");
+
+const MARGIN = 40;
+const COLORS = { text: "#111827", muted: "#6b7280", line: "#e5e7eb", primary: "#2563eb", danger: "#dc2626", budget: "#9ca3af" };
+
+const EXPENSE_COLUMNS = [
+  { header: "Date", width: 60 },
+  { header: "Description", width: 160 },
+  { header: "Category", width: 65 },
+  { header: "Amount", width: 80, align: "right" },
+  { header: "Status", width: 60 },
+  { header: "Created by", width: 90 },
+];
+
+// Standard PDF fonts have no narrow no-break space, which fr-FR uses to group digits
+function formatMoney(value, currency) {
+  return Number(value || 0)
+    .toLocaleString("fr-FR", { style: "currency", currency })
+    .replace(/[\u202f\u00a0]/g, " ");
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : "-";
+}
+
+function pageBottom(doc) {
+  return doc.page.height - MARGIN;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > pageBottom(doc)) doc.addPage();
+}
+
+function drawSectionTitle(doc, title) {
+  ensureSpace(doc, 40);
+  doc.moveDown(1.2).font("Helvetica-Bold").fontSize(13).fillColor(COLORS.text).text(title, MARGIN);
+  doc.moveDown(0.4);
+}
+
+function drawHeader(doc, { project, from, to }) {
+  doc.font("Helvetica-Bold").fontSize(20).fillColor(COLORS.text).text(project.name);
+  if (project.description) doc.font("Helvetica").fontSize(10).fillColor(COLORS.muted).text(project.description);
+
+  const period = from || to ? `${from ? formatDate(from) : "start"} to ${to ? formatDate(to) : "today"}` : "All time";
+  doc
+    .moveDown(0.5)
+    .font("Helvetica")
+    .fontSize(9)
+    .fillColor(COLORS.muted)
+    .text(`Owner: ${project.createdBy?.name || project.createdBy?.email || "-"}`)
+    .text(`Project dates: ${formatDate(project.startDate)} to ${project.endDate ? formatDate(project.endDate) : "no end date"}`)
+    .text(`Report period: ${period}`)
+    .text(`Generated on ${formatDate(new Date())}`);
+}
+
+// Spent is the approved spend of the report period, while Remaining and the bar use the approved spend of all time:
+// what is left of the budget does not depend on the period
+function drawKeyFigures(doc, { project, totalSpent, allTimeSpent, pendingSpent, isPeriod }) {
+  const overBudget = allTimeSpent > project.budget;
+  const figures = [
+    { label: "Budget", value: formatMoney(project.budget, project.currency) },
+    { label: isPeriod ? "Spent in period" : "Spent", value: formatMoney(totalSpent, project.currency), color: overBudget ? COLORS.danger : COLORS.text },
+    { label: "Remaining", value: formatMoney(Math.max(0, project.budget - allTimeSpent), project.currency) },
+    { label: "Pending approval", value: formatMoney(pendingSpent, project.currency) },
+  ];
+  const width = (doc.page.width - 2 * MARGIN) / figures.length;
+  const top = doc.y;
+
+  figures.forEach((figure, index) => {
+    const x = MARGIN + index * width;
+    doc.font("Helvetica").fontSize(9).fillColor(COLORS.muted).text(figure.label, x, top, { width });
+    doc.font("Helvetica-Bold").fontSize(13).fillColor(figure.color || COLORS.text).text(figure.value, x, top + 14, { width });
+  });
+  doc.x = MARGIN;
+  doc.y = top + 36;
+
+  const used = project.budget ? Math.min(1, allTimeSpent / project.budget) : 0;
+  const barWidth = doc.page.width - 2 * MARGIN;
+  doc.roundedRect(MARGIN, doc.y, barWidth, 8, 4).fill(COLORS.line);
+  if (used > 0) doc.roundedRect(MARGIN, doc.y, barWidth * used, 8, 4).fill(overBudget ? COLORS.danger : COLORS.primary);
+  doc.y += 14;
+}
+
+function drawTableRow(doc, columns, values, { bold = false, color = COLORS.text } = {}) {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+  const height = Math.max(...columns.map((column, i) => doc.heightOfString(String(values[i]), { width: column.width - 6 }))) + 6;
+  ensureSpace(doc, height);
+
+  const top = doc.y;
+  let x = MARGIN;
+  columns.forEach((column, i) => {
+    doc.fillColor(color).text(String(values[i]), x, top + 3, { width: column.width - 6, align: column.align || "left" });
+    x += column.width;
+  });
+  doc
+    .moveTo(MARGIN, top + height)
+    .lineTo(x, top + height)
+    .strokeColor(COLORS.line)
+    .lineWidth(0.5)
+    .stroke();
+  doc.x = MARGIN;
+  doc.y = top + height;
+}
+
+// Spent and expenses of the period, remaining of each budget line after all its approved spend
+function drawCategories(doc, { project, categories, allTimeCategories }) {
+  if (!categories.length) {
+    doc.font("Helvetica").fontSize(9).fillColor(COLORS.muted).text("No expenses in this period.");
+    return;
+  }
+
+  const columns = [
+    { header: "Category", width: 115 },
+    { header: "Budget line", width: 100, align: "right" },
+    { header: "Spent", width: 100, align: "right" },
+    { header: "Remaining", width: 100, align: "right" },
+    { header: "Expenses", width: 100, align: "right" },
+  ];
+  drawTableRow(doc, columns, columns.map((column) => column.header), { bold: true });
+  categories.forEach((line) => {
+    const allTime = allTimeCategories.find((e) => e._id === line._id) || line;
+    drawTableRow(
+      doc,
+      columns,
+      [
+        line._id.charAt(0).toUpperCase() + line._id.slice(1),
+        line.allocated === null ? "-" : formatMoney(line.allocated, project.currency),
+        formatMoney(line.total, project.currency),
+        allTime.remaining === null ? "-" : formatMoney(allTime.remaining, project.currency),
+        line.count,
+      ],
+      { color: allTime.isOverBudget ? COLORS.danger : COLORS.text },
+    );
+  });
+}
+
+// Cumulated approved spend over the period, with the budget as a horizontal line
+function drawSpendChart(doc, { project, expenses, from, to }) {
+  const approved = expenses.filter((expense) => !expense.status || expense.status === "approved").sort((a, b) => a.date - b.date);
+  if (!approved.length) {
+    doc.font("Helvetica").fontSize(9).fillColor(COLORS.muted).text("No approved spend in this period.");
+    return;
+  }
+
+  const height = 160;
+  ensureSpace(doc, height + 30);
+
+  const left = MARGIN + 60;
+  const right = doc.page.width - MARGIN;
+  const top = doc.y + 5;
+  const bottom = top + height;
+
+  const start = new Date(from || approved[0].date).getTime();
+  const end = Math.max(new Date(to || Date.now()).getTime(), approved[approved.length - 1].date.getTime(), start + 1);
+  let cumulated = 0;
+  const points = [{ time: start, value: 0 }];
+  approved.forEach((expense) => {
+    cumulated += expense.amount;
+    points.push({ time: expense.date.getTime(), value: cumulated });
+  });
+  points.push({ time: end, value: cumulated });
+
+  const maxValue = Math.max(project.budget, cumulated) || 1;
+  const x = (time) => left + ((time - start) / (end - start)) * (right - left);
+  const y = (value) => bottom - (value / maxValue) * height;
+
+  // Axes and amount labels
+  doc.font("Helvetica").fontSize(8).fillColor(COLORS.muted);
+  [0, maxValue / 2, maxValue].forEach((value) => {
+    doc.moveTo(left, y(value)).lineTo(right, y(value)).strokeColor(COLORS.line).lineWidth(0.5).stroke();
+    doc.text(formatMoney(value, project.currency), MARGIN, y(value) - 4, { width: 55, align: "right" });
+  });
+  doc.text(formatDate(start), left, bottom + 4);
+  doc.text(formatDate(end), right - 60, bottom + 4, { width: 60, align: "right" });
+
+  if (project.budget) {
+    doc.moveTo(left, y(project.budget)).lineTo(right, y(project.budget)).dash(4, { space: 3 }).strokeColor(COLORS.budget).lineWidth(1).stroke().undash();
+  }
+
+  // Step line: spend only moves when an expense is made
+  doc.moveTo(x(points[0].time), y(points[0].value));
+  for (let i = 1; i < points.length; i++) {
+    doc.lineTo(x(points[i].time), y(points[i - 1].value)).lineTo(x(points[i].time), y(points[i].value));
+  }
+  doc.strokeColor(cumulated > project.budget ? COLORS.danger : COLORS.primary).lineWidth(1.5).stroke();
+
+  doc.x = MARGIN;
+  doc.y = bottom + 18;
+  doc.font("Helvetica").fontSize(8).fillColor(COLORS.muted).text("Solid: cumulated approved spend. Dashed: budget.");
+}
+
+function drawExpenses(doc, { project, expenses }) {
+  if (!expenses.length) {
+    doc.font("Helvetica").fontSize(9).fillColor(COLORS.muted).text("No expenses in this period.");
+    return;
+  }
+
+  drawTableRow(doc, EXPENSE_COLUMNS, EXPENSE_COLUMNS.map((column) => column.header), { bold: true });
+  expenses.forEach((expense) => {
+    drawTableRow(doc, EXPENSE_COLUMNS, [
+      formatDate(expense.date),
+      expense.description,
+      expense.category,
+      formatMoney(expense.amount, project.currency),
+      expense.status || "approved",
+      expense.createdBy?.name || expense.createdBy?.email || "-",
+    ]);
+  });
+}
+
+// Writes the budget report of a project as a PDF to a writable stream (e.g. an Express response).
+// `categories` is the spend summary of the period, `allTimeCategories` the one of all time (the same without a period).
+function writeProjectReport(stream, { project, categories, allTimeCategories = categories, expenses, from, to }) {
+  const doc = new PDFDocument({ size: "A4", margin: MARGIN, info: { Title: `${project.name} budget report` } });
+  doc.pipe(stream);
+
+  const totalSpent = categories.reduce((sum, line) => sum + line.total, 0);
+  const allTimeSpent = allTimeCategories.reduce((sum, line) => sum + line.total, 0);
+  const pendingSpent = categories.reduce((sum, line) => sum + line.pending, 0);
+
+  drawHeader(doc, { project, from, to });
+  drawSectionTitle(doc, "Budget");
+  drawKeyFigures(doc, { project, totalSpent, allTimeSpent, pendingSpent, isPeriod: !!(from || to) });
+  drawSectionTitle(doc, "Spend by category");
+  drawCategories(doc, { project, categories, allTimeCategories });
+  drawSectionTitle(doc, "Spend over time");
+  drawSpendChart(doc, { project, expenses, from, to });
+  drawSectionTitle(doc, "Expenses");
+  drawExpenses(doc, { project, expenses });
+
+  doc.end();
+}
+
+module.exports = { writeProjectReport };
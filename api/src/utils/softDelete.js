@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const QUERIES = ["find", "findOne", "countDocuments", "findOneAndUpdate", "updateOne", "updateMany"];
+
+// Mongoose plugin moving documents to the trash instead of deleting them.
+// Trashed documents are left out of every query and aggregation, unless the filter (or the first
+// $match of the pipeline) mentions `deletedAt` itself, or the query is run with the `withDeleted` option.
+function softDelete(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "user" },
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERIES, function () {
+    if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    const match = this.pipeline()[0]?.$match;
+    if (match && "deletedAt" in match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+}
+
+module.exports = {
+  softDelete,
+};
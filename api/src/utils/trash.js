@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+const { TRASH_RETENTION_DAYS } = require("../config");
+const { deleteReceiptFiles } = require("./receipts");
+
+const RETENTION = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Trashed documents are purged once the retention window is over
+function getPurgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + RETENTION);
+}
+
+// Permanently deletes the projects and expenses that have been in the trash for longer than the retention window,
+// with everything attached to them: receipt files, recurring expenses, budget revisions and alerts.
+// The audit log keeps the trace of the deletion.
+async function purgeTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - RETENTION);
+  const Expense = mongoose.model("Expense");
+
+  const projects = await mongoose.model("Project").find({ deletedAt: { $ne: null, $lte: cutoff } }).select("_id");
+  for (const project of projects) {
+    const expenses = await Expense.find({ project: project._id }).setOptions({ withDeleted: true }).select("receipts");
+    await Expense.deleteMany({ project: project._id });
+    await deleteReceiptFiles(expenses.flatMap((expense) => expense.receipts));
+    await mongoose.model("RecurringExpense").deleteMany({ project: project._id });
+    await mongoose.model("BudgetRevision").deleteMany({ project: project._id });
+    await mongoose.model("BudgetAlert").deleteMany({ project: project._id });
+    await mongoose.model("Project").deleteOne({ _id: project._id });
+  }
+
+  const expenses = await Expense.find({ deletedAt: { $ne: null, $lte: cutoff } }).select("receipts");
+  await Expense.deleteMany({ _id: { $in: expenses.map((expense) => expense._id) } });
+  await deleteReceiptFiles(expenses.flatMap((expense) => expense.receipts));
+
+  if (projects.length || expenses.length) {
+    console.log(`Purged ${projects.length} project(s) and ${expenses.length} expense(s) from the trash`);
+  }
+}
+
+module.exports = {
+  getPurgeDate,
+  purgeTrash,
+};
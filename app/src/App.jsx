@@ -6,6 +6,13 @@ import * as Sentry from "@sentry/browser"
 import Auth from "@/scenes/auth"
 import Home from "@/scenes/home"
 import ProjectDetails from "@/scenes/home/project"
+import ExchangeRates from "@/scenes/exchange-rates"
+import Approvals from "@/scenes/approvals"
+import Activity from "@/scenes/activity"
+import Trash from "@/scenes/trash"
+import Calendar from "@/scenes/calendar"
+import JoinOrganization from "@/scenes/join-organization"
+import JoinProject from "@/scenes/join-project"
 
 import Navbar from "@/components/NavBar"
 import TopBar from "@/components/TopBar"
@@ -30,6 +37,13 @@ export default function App() {
         <Route element={<UserLayout />}>
           <Route path="/" element={<Home />} />
           <Route path="/projects/:id" element={<ProjectDetails />} />
+          <Route path="/exchange-rates" element={<ExchangeRates />} />
+          <Route path="/approvals" element={<Approvals />} />
+          <Route path="/calendar" element={<Calendar />} />
+          <Route path="/activity" element={<Activity />} />
+          <Route path="/trash" element={<Trash />} />
+          <Route path="/organizations/join" element={<JoinOrganization />} />
+          <Route path="/projects/join" element={<JoinProject />} />
         </Route>
         <Route path="*" element={<Navigate to="/" />} />
       </Routes>
@@ -2,9 +2,10 @@ import React, { useState, useEffect, useRef } from "react"
 import { MdCheckBoxOutlineBlank, MdCheckBox } from "react-icons/md"
 import { HiChevronDown, HiChevronUp } from "react-icons/hi2"
 import { HiMagnifyingGlass } from "react-icons/hi2"
-import { useTranslation } from "i18next"
+import { useTranslation } from "react-i18next"
 
-function MultiSelect({ id, options, values, onSelectedChange, placeholder = "Select an option" }) {
+// With onSearch, the options come from the server: the search is reported instead of filtering them here
+function MultiSelect({ id, options, values, onSelectedChange, onSearch, placeholder = "Select an option" }) {
   const { t } = useTranslation("components")
   const [selectedOptions, setSelectedOptions] = useState([])
   const [isOpen, setIsOpen] = useState(false)
@@ -49,6 +50,10 @@ function MultiSelect({ id, options, values, onSelectedChange, placeholder = "Sel
     if (!isOpen) setSearch("")
   }, [isOpen])
 
+  useEffect(() => {
+    if (onSearch) onSearch(search)
+  }, [search])
+
   return (
     <div className="relative">
       <button
@@ -72,7 +77,7 @@ function MultiSelect({ id, options, values, onSelectedChange, placeholder = "Sel
                 </div>
                 <input
                   className="block w-full rounded-md border-gray-300 pl-10 focus:border-indigo-500 focus:ring-indigo-500 md:text-sm"
-                  placeholder={t("search")}
+                  placeholder={t("search", "Search")}
                   value={search}
                   onChange={e => {
                     e.persist()
@@ -83,7 +88,7 @@ function MultiSelect({ id, options, values, onSelectedChange, placeholder = "Sel
             </li>
             {options
               .filter(o => {
-                if (!search) return true
+                if (!search || onSearch) return true
                 return o.label.toLowerCase().includes(search.toLowerCase())
               })
               .map(option => {
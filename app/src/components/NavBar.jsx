@@ -1,14 +1,28 @@
 import React, { useEffect, useState } from "react"
 import { Link } from "react-router-dom"
 import { AiOutlineHome } from "react-icons/ai"
+import { MdCalendarMonth, MdHistory, MdOutlineCurrencyExchange, MdOutlineFactCheck, MdRestoreFromTrash } from "react-icons/md"
 
-const MENU = [{ title: "Home", to: "/", logo: <AiOutlineHome className="h-6 w-6" /> }]
+import useStore from "@/services/store"
+
+const MENU = [
+  { title: "Home", to: "/", logo: <AiOutlineHome className="h-6 w-6" /> },
+  { title: "Approvals", to: "/approvals", logo: <MdOutlineFactCheck className="h-6 w-6" /> },
+  { title: "Calendar", to: "/calendar", logo: <MdCalendarMonth className="h-6 w-6" /> },
+  { title: "Exchange rates", to: "/exchange-rates", logo: <MdOutlineCurrencyExchange className="h-6 w-6" /> },
+  { title: "Trash", to: "/trash", logo: <MdRestoreFromTrash className="h-6 w-6" /> },
+  { title: "Activity", to: "/activity", logo: <MdHistory className="h-6 w-6" />, adminOnly: true }
+]
 
 const Navbar = () => {
+  const { user } = useStore()
   const [selected, setSelected] = useState(0)
 
+  const items = MENU.filter(e => !e.adminOnly || user?.role === "admin")
+
   useEffect(() => {
-    const index = MENU.findIndex(e => location.pathname.includes(e.to))
+    // "/" is part of every path, so Home only matches the exact path
+    const index = items.findIndex(e => (e.to === "/" ? location.pathname === "/" : location.pathname.includes(e.to)))
     setSelected(index)
   }, [location])
 
@@ -16,7 +30,7 @@ const Navbar = () => {
     <div className="h-screen bg-primary">
       <div className="flex flex-col gap-5 justify-between p-2 pl-4 pt-10">
         <div>
-          {MENU.map((menu, index) => (
+          {items.map((menu, index) => (
             <Link
               to={menu.to}
               key={menu.title}
@@ -5,10 +5,16 @@ import { TbLogout } from "react-icons/tb"
 
 import useStore from "@/services/store"
 import api from "@/services/api"
+import CommandPalette from "@/components/commandPalette"
+import NotificationMenu from "@/components/notificationMenu"
+import OrganizationMenu from "@/components/organizationMenu"
 
 const TopBar = () => {
   return (
-    <div className="w-full h-full flex items-center justify-end px-4">
+    <div className="w-full h-full flex items-center justify-end gap-4 px-4">
+      <CommandPalette />
+      <OrganizationMenu />
+      <NotificationMenu />
       <ProfileMenu />
     </div>
   )
@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from "react"
+import toast from "react-hot-toast"
+
+import api from "@/services/api"
+import { AUDIT_ACTIONS } from "@/utils/constants"
+
+const PER_PAGE = 50
+
+// Audit log entries with their changes. With a project, lists the activity of that project (owner only),
+// otherwise searches the whole log (admin only).
+export default function ActivityLog({ project, actors = [] }) {
+  const [filters, setFilters] = useState({ actor: "", action: "", from: "", to: "" })
+  const [page, setPage] = useState(1)
+  const [logs, setLogs] = useState([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+
+  async function fetchLogs() {
+    const body = { ...filters, page, per_page: PER_PAGE }
+    Object.keys(body).forEach(key => body[key] === "" && delete body[key])
+
+    try {
+      setLoading(true)
+      const { ok, data, error } = project
+        ? await api.get(`/api/projects/${project._id}/activity?${new URLSearchParams(body)}`)
+        : await api.post("/api/audit-logs/search", body)
+      if (!ok) return toast.error(error || "Failed to load activity")
+      setLogs(data.logs)
+      setTotal(data.total)
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to load activity")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchLogs()
+  }, [project?._id, filters, page])
+
+  const handleChange = field => e => {
+    setPage(1)
+    setFilters(prev => ({ ...prev, [field]: e.target.value }))
+  }
+
+  const actions = AUDIT_ACTIONS.filter(action => !project || !action.value.startsWith("user."))
+  const pageCount = Math.max(1, Math.ceil(total / PER_PAGE))
+
+  return (
+    <div className="bg-white border rounded-lg p-6">
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        {actors.length ? (
+          <div>
+            <label className="block text-xs text-gray-500 mb-1" htmlFor="activity-actor">
+              Who
+            </label>
+            <select id="activity-actor" className="rounded-md border px-3 py-2 text-sm bg-white" value={filters.actor} onChange={handleChange("actor")}>
+              <option value="">Anyone</option>
+              {actors.map(actor => (
+                <option key={actor._id} value={actor._id}>
+                  {actor.name || actor.email}
+                </option>
+              ))}
+            </select>
+          </div>
+        ) : null}
+        <div>
+          <label className="block text-xs text-gray-500 mb-1" htmlFor="activity-action">
+            Action
+          </label>
+          <select id="activity-action" className="rounded-md border px-3 py-2 text-sm bg-white" value={filters.action} onChange={handleChange("action")}>
+            <option value="">All actions</option>
+            {actions.map(action => (
+              <option key={action.value} value={action.value}>
+                {action.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1" htmlFor="activity-from">
+            From
+          </label>
+          <input id="activity-from" type="date" className="rounded-md border px-3 py-2 text-sm" value={filters.from} onChange={handleChange("from")} />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1" htmlFor="activity-to">
+            To
+          </label>
+          <input id="activity-to" type="date" className="rounded-md border px-3 py-2 text-sm" value={filters.to} onChange={handleChange("to")} />
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : logs.length === 0 ? (
+        <p className="text-sm text-gray-500">No activity matches these filters.</p>
+      ) : (
+        <ol className="divide-y">
+          {logs.map(log => (
+            <ActivityEntry key={log._id} log={log} showProject={!project} />
+          ))}
+        </ol>
+      )}
+
+      {total > PER_PAGE ? (
+        <div className="mt-4 flex items-center justify-between text-sm">
+          <span className="text-gray-500">
+            Page {page} of {pageCount} ({total} entries)
+          </span>
+          <div className="flex gap-2">
+            <button type="button" className="rounded-md border px-3 py-1 hover:bg-gray-50 disabled:opacity-50" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+              Previous
+            </button>
+            <button type="button" className="rounded-md border px-3 py-1 hover:bg-gray-50 disabled:opacity-50" disabled={page >= pageCount} onClick={() => setPage(page + 1)}>
+              Next
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  )
+}
+
+const ActivityEntry = ({ log, showProject }) => {
+  const label = AUDIT_ACTIONS.find(action => action.value === log.action)?.label || log.action
+  const before = log.before || {}
+  const after = log.after || {}
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+  const subject = after.description || before.description || after.name || before.name || after.email || before.email
+
+  return (
+    <li className="py-3 text-sm">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <span className="font-medium text-gray-800">{log.actor?.name || log.actor?.email || "Someone"}</span> <span className="text-gray-600">{label.toLowerCase()}</span>
+          {subject ? <span className="text-gray-800"> "{subject}"</span> : null}
+          {showProject && log.project ? <span className="text-gray-500"> in {log.project.name}</span> : null}
+        </div>
+        <div className="text-xs text-gray-500 whitespace-nowrap">
+          {new Date(log.createdAt).toLocaleString()}
+          {log.ip ? ` · ${log.ip}` : null}
+        </div>
+      </div>
+
+      {/* Creations and deletions are named by their subject, updates list the fields that changed */}
+      {log.before && log.after && fields.length ? (
+        <table className="mt-2 text-xs">
+          <tbody>
+            {fields.map(field => (
+              <tr key={field}>
+                <td className="pr-4 py-0.5 text-gray-500">{field}</td>
+                <td className="pr-2 py-0.5 text-red-700 line-through">{formatValue(before[field])}</td>
+                <td className="py-0.5 text-green-700">{formatValue(after[field])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : null}
+    </li>
+  )
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null || value === "") return "-"
+  if (typeof value === "object") return JSON.stringify(value)
+  return `${value}`
+}
@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from "react"
+import { useNavigate } from "react-router-dom"
+import { Command } from "cmdk"
+import { useDebounce } from "use-debounce"
+import { HiMagnifyingGlass } from "react-icons/hi2"
+
+import Modal from "@/components/modal"
+import api from "@/services/api"
+import { can, formatCurrency } from "@/utils"
+
+const EMPTY_RESULTS = { projects: [], expenses: [], members: [] }
+
+const itemClassName = "flex items-center justify-between gap-3 rounded px-3 py-2 text-sm cursor-pointer aria-selected:bg-gray-100"
+const groupClassName =
+  "px-1 py-2 [&_[cmdk-group-heading]]:px-3 [&_[cmdk-group-heading]]:py-1 [&_[cmdk-group-heading]]:text-xs [&_[cmdk-group-heading]]:font-semibold [&_[cmdk-group-heading]]:text-gray-500"
+
+// Searches projects, expenses and members from anywhere, and runs quick actions. Opens with Ctrl+K or Cmd+K.
+export default function CommandPalette() {
+  const navigate = useNavigate()
+  const [isOpen, setIsOpen] = useState(false)
+  const [search, setSearch] = useState("")
+  const [debouncedSearch] = useDebounce(search, 250)
+  const [results, setResults] = useState(EMPTY_RESULTS)
+  const [loading, setLoading] = useState(false)
+  // Set while picking the project of the "Add expense to..." action
+  const [pickingProject, setPickingProject] = useState(false)
+  const [projects, setProjects] = useState([])
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.key.toLowerCase() === "k" && (e.metaKey || e.ctrlKey)) {
+        e.preventDefault()
+        setIsOpen(open => !open)
+      }
+    }
+    document.addEventListener("keydown", handleKeyDown)
+    return () => document.removeEventListener("keydown", handleKeyDown)
+  }, [])
+
+  useEffect(() => {
+    if (isOpen) return
+    setSearch("")
+    setResults(EMPTY_RESULTS)
+    setPickingProject(false)
+  }, [isOpen])
+
+  useEffect(() => {
+    if (!isOpen || pickingProject || !debouncedSearch.trim()) return setResults(EMPTY_RESULTS)
+
+    let cancelled = false
+    setLoading(true)
+    api
+      .get(`/api/search?${new URLSearchParams({ q: debouncedSearch })}`)
+      .then(({ ok, data }) => {
+        if (ok && !cancelled) setResults(data)
+      })
+      .catch(e => console.log(e))
+      .finally(() => !cancelled && setLoading(false))
+    return () => {
+      cancelled = true
+    }
+  }, [debouncedSearch, isOpen, pickingProject])
+
+  async function handlePickProject() {
+    setPickingProject(true)
+    setSearch("")
+    try {
+      // Expenses can only be added to the active projects the user contributes to
+      const { ok, data } = await api.get("/api/projects?state=active")
+      if (ok) setProjects(data.filter(project => can(project, "expense.create")))
+    } catch (e) {
+      console.log(e)
+    }
+  }
+
+  function run(path, state) {
+    setIsOpen(false)
+    navigate(path, { state })
+  }
+
+  const hasResults = results.projects.length + results.expenses.length + results.members.length > 0
+
+  return (
+    <>
+      <button type="button" className="flex items-center gap-2 rounded-md border px-3 py-2 text-sm text-gray-500 hover:bg-gray-50" onClick={() => setIsOpen(true)}>
+        <HiMagnifyingGlass className="h-4 w-4" aria-hidden="true" />
+        Search
+        <kbd className="rounded border bg-gray-50 px-1.5 text-xs font-sans">{navigator.platform.startsWith("Mac") ? "⌘K" : "Ctrl K"}</kbd>
+      </button>
+
+      <Modal isOpen={isOpen} onClose={() => setIsOpen(false)} className="max-w-xl">
+        {/* The server already matched the results, cmdk only filters the quick actions and projects listed here */}
+        <Command label="Command palette" shouldFilter={pickingProject || !hasResults} className="p-2">
+          <div className="flex items-center gap-2 border-b px-3 pr-10">
+            <HiMagnifyingGlass className="h-5 w-5 text-gray-400" aria-hidden="true" />
+            <Command.Input
+              autoFocus
+              value={search}
+              onValueChange={setSearch}
+              placeholder={pickingProject ? "Add an expense to..." : "Search projects, expenses and people"}
+              className="w-full border-0 py-3 text-sm focus:outline-none focus:ring-0"
+            />
+          </div>
+          <Command.List className="max-h-96 overflow-y-auto">
+            {loading ? <Command.Loading className="px-3 py-2 text-sm text-gray-500">Searching...</Command.Loading> : null}
+            <Command.Empty className="px-3 py-6 text-center text-sm text-gray-500">No results.</Command.Empty>
+
+            {pickingProject ? (
+              <Command.Group heading="Projects" className={groupClassName}>
+                {projects.map(project => (
+                  <Command.Item
+                    key={project._id}
+                    value={`${project.name} ${project._id}`}
+                    className={itemClassName}
+                    onSelect={() => run(`/projects/${project._id}`, { addExpense: true })}
+                  >
+                    {project.name}
+                  </Command.Item>
+                ))}
+              </Command.Group>
+            ) : (
+              <>
+                {results.projects.length ? (
+                  <Command.Group heading="Projects" className={groupClassName}>
+                    {results.projects.map(project => (
+                      <Command.Item key={project._id} value={`project ${project._id}`} className={itemClassName} onSelect={() => run(`/projects/${project._id}`)}>
+                        <span>
+                          {project.name}
+                          {project.description ? <span className="block text-xs text-gray-500 line-clamp-1">{project.description}</span> : null}
+                        </span>
+                        <span className="text-xs text-gray-500 capitalize">{project.state}</span>
+                      </Command.Item>
+                    ))}
+                  </Command.Group>
+                ) : null}
+
+                {results.expenses.length ? (
+                  <Command.Group heading="Expenses" className={groupClassName}>
+                    {results.expenses.map(expense => (
+                      <Command.Item
+                        key={expense._id}
+                        value={`expense ${expense._id}`}
+                        className={itemClassName}
+                        onSelect={() => run(`/projects/${expense.project._id}?${new URLSearchParams({ search: expense.description })}`)}
+                      >
+                        <span>
+                          {expense.description}
+                          <span className="block text-xs text-gray-500">
+                            {expense.project.name} · {new Date(expense.date).toLocaleDateString()}
+                          </span>
+                        </span>
+                        <span className="text-xs text-gray-500">{formatCurrency(expense.amount, expense.project.currency)}</span>
+                      </Command.Item>
+                    ))}
+                  </Command.Group>
+                ) : null}
+
+                {results.members.length ? (
+                  <Command.Group heading="People" className={groupClassName}>
+                    {results.members.map(member => (
+                      // Opens the expenses they created in the first project shared with them
+                      <Command.Item
+                        key={member._id}
+                        value={`member ${member._id}`}
+                        className={itemClassName}
+                        onSelect={() => run(`/projects/${member.projects[0]._id}?${new URLSearchParams({ createdBy: member._id })}`)}
+                      >
+                        <span>
+                          {member.name || member.email}
+                          {member.name ? <span className="block text-xs text-gray-500">{member.email}</span> : null}
+                        </span>
+                        <span className="text-xs text-gray-500 line-clamp-1">{member.projects.map(project => project.name).join(", ")}</span>
+                      </Command.Item>
+                    ))}
+                  </Command.Group>
+                ) : null}
+
+                <Command.Group heading="Actions" className={groupClassName}>
+                  <Command.Item value="New project" className={itemClassName} onSelect={() => run("/", { createProject: true })}>
+                    New project
+                  </Command.Item>
+                  <Command.Item value="Add expense to..." className={itemClassName} onSelect={handlePickProject}>
+                    Add expense to...
+                  </Command.Item>
+                  <Command.Item value="Approvals" className={itemClassName} onSelect={() => run("/approvals")}>
+                    Go to approvals
+                  </Command.Item>
+                  <Command.Item value="Trash" className={itemClassName} onSelect={() => run("/trash")}>
+                    Go to trash
+                  </Command.Item>
+                </Command.Group>
+              </>
+            )}
+          </Command.List>
+        </Command>
+      </Modal>
+    </>
+  )
+}
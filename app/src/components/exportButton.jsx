@@ -0,0 +1,110 @@
+import React, { useState } from "react"
+import toast from "react-hot-toast"
+
+import Modal from "@/components/modal"
+import api from "@/services/api"
+import { saveDownload } from "@/utils"
+import { EXPENSE_CATEGORIES } from "@/utils/constants"
+
+// Export with a format, date range and category filters. path is an export endpoint of the API.
+export default function ExportButton({ path, filename, label = "Export" }) {
+  const [open, setOpen] = useState(false)
+  const [values, setValues] = useState({ format: "csv", from: "", to: "", categories: [] })
+  const [loading, setLoading] = useState(false)
+
+  const handleChange = field => e => {
+    setValues(prev => ({ ...prev, [field]: e.target.value }))
+  }
+
+  function toggleCategory(category) {
+    setValues(prev => ({
+      ...prev,
+      categories: prev.categories.includes(category) ? prev.categories.filter(c => c !== category) : [...prev.categories, category]
+    }))
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+
+    if (values.from && values.to && values.to < values.from) return toast.error("End date must be after start date")
+
+    try {
+      setLoading(true)
+      const response = await api.download(path, {
+        format: values.format,
+        from: values.from || undefined,
+        to: values.to || undefined,
+        categories: values.categories,
+        locale: navigator.language
+      })
+      await saveDownload(response, `${filename}.${values.format}`)
+      setOpen(false)
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to export")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <>
+      <button type="button" className="text-xs text-primary hover:underline" onClick={() => setOpen(true)}>
+        {label}
+      </button>
+      <Modal isOpen={open} onClose={() => setOpen(false)} className="max-w-md">
+        <div className="p-6">
+          <h2 className="text-lg font-semibold mb-4">{label}</h2>
+          <form className="space-y-4" onSubmit={handleSubmit}>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="export-format">
+                Format
+              </label>
+              <select id="export-format" className="w-full rounded-md border px-3 py-2 text-sm bg-white" value={values.format} onChange={handleChange("format")}>
+                <option value="csv">CSV</option>
+                <option value="xlsx">Excel (XLSX)</option>
+              </select>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="export-from">
+                  From
+                </label>
+                <input id="export-from" type="date" className="w-full rounded-md border px-3 py-2 text-sm" value={values.from} onChange={handleChange("from")} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="export-to">
+                  To
+                </label>
+                <input id="export-to" type="date" className="w-full rounded-md border px-3 py-2 text-sm" value={values.to} onChange={handleChange("to")} />
+              </div>
+            </div>
+
+            <div>
+              <div className="block text-sm font-medium text-gray-700 mb-1">Categories</div>
+              <div className="grid grid-cols-3 gap-2">
+                {EXPENSE_CATEGORIES.map(category => (
+                  <label key={category.value} className="flex items-center gap-2 text-sm">
+                    <input type="checkbox" checked={values.categories.includes(category.value)} onChange={() => toggleCategory(category.value)} />
+                    {category.label}
+                  </label>
+                ))}
+              </div>
+              <p className="mt-1 text-xs text-gray-500">All categories when none is selected.</p>
+            </div>
+
+            <div className="mt-6 flex justify-end gap-2">
+              <button type="button" className="rounded-md border px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50" onClick={() => setOpen(false)} disabled={loading}>
+                Cancel
+              </button>
+              <button type="submit" disabled={loading} className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70">
+                {loading ? "Exporting..." : "Download"}
+              </button>
+            </div>
+          </form>
+        </div>
+      </Modal>
+    </>
+  )
+}
@@ -103,7 +103,7 @@ const FileInput = ({ value, onChange, name, folder, disabled = false }) => {
 
 export default FileInput
 
-function readFileAsync(file) {
+export function readFileAsync(file) {
   return new Promise((resolve, reject) => {
     let reader = new FileReader()
     reader.onload = () => resolve(reader.result)
@@ -0,0 +1,101 @@
+import React, { Fragment, useEffect, useState } from "react"
+import { useNavigate } from "react-router-dom"
+import { Menu, Transition } from "@headlessui/react"
+import toast from "react-hot-toast"
+import { MdNotificationsNone } from "react-icons/md"
+
+import api from "@/services/api"
+import useStore from "@/services/store"
+
+export default function NotificationMenu() {
+  const [notifications, setNotifications] = useState([])
+  const [unread, setUnread] = useState(0)
+  const { organization } = useStore()
+  const navigate = useNavigate()
+
+  async function fetchNotifications() {
+    try {
+      const { ok, data } = await api.get("/api/notifications")
+      if (!ok) return
+      setNotifications(data.notifications)
+      setUnread(data.unread)
+    } catch (e) {
+      console.log(e)
+    }
+  }
+
+  useEffect(() => {
+    fetchNotifications()
+  }, [])
+
+  async function handleOpen(notification) {
+    try {
+      if (!notification.readAt) await api.post(`/api/notifications/${notification._id}/read`)
+      // Links into another organization switch to it first, and reload its data
+      if (notification.link && notification.organization && notification.organization !== organization?._id) {
+        await api.post(`/api/organizations/${notification.organization}/switch`)
+        return window.location.assign(notification.link)
+      }
+      await fetchNotifications()
+    } catch (e) {
+      console.log(e)
+    }
+    if (notification.link) navigate(notification.link)
+  }
+
+  async function handleReadAll() {
+    try {
+      const { ok, error } = await api.post("/api/notifications/read")
+      if (!ok) return toast.error(error || "Failed to mark notifications as read")
+      await fetchNotifications()
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to mark notifications as read")
+    }
+  }
+
+  return (
+    <Menu as="div" className="relative">
+      <Menu.Button className="relative flex items-center rounded-full p-2 text-gray-600 hover:bg-gray-100" aria-label="Notifications">
+        <MdNotificationsNone className="h-6 w-6" />
+        {unread > 0 ? (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] rounded-full bg-red-600 px-1 text-center text-[10px] font-semibold leading-[18px] text-white">
+            {unread > 9 ? "9+" : unread}
+          </span>
+        ) : null}
+      </Menu.Button>
+
+      <Transition
+        as={Fragment}
+        enter="transition ease-out duration-100"
+        enterFrom="transform opacity-0 scale-95"
+        enterTo="transform opacity-100 scale-100"
+        leave="transition ease-in duration-75"
+        leaveFrom="transform opacity-100 scale-100"
+        leaveTo="transform opacity-0 scale-95"
+      >
+        <Menu.Items className="absolute right-0 mt-2 w-80 rounded-md bg-white border p-1 z-10 text-sm">
+          <div className="flex items-center justify-between px-3 py-2">
+            <span className="font-semibold">Notifications</span>
+            {unread > 0 ? (
+              <button type="button" className="text-xs text-primary hover:underline" onClick={handleReadAll}>
+                Mark all as read
+              </button>
+            ) : null}
+          </div>
+          {notifications.length === 0 ? <p className="px-3 py-2 text-gray-500">No notifications.</p> : null}
+          {notifications.map(notification => (
+            <Menu.Item key={notification._id}>
+              {({ active }) => (
+                <button type="button" className={`w-full rounded px-3 py-2 text-left ${active ? "bg-gray-100" : ""}`} onClick={() => handleOpen(notification)}>
+                  <span className={notification.readAt ? "text-gray-600" : "font-medium text-gray-900"}>{notification.message}</span>
+                  <span className="block text-xs text-gray-500">{new Date(notification.createdAt).toLocaleString()}</span>
+                </button>
+              )}
+            </Menu.Item>
+          ))}
+        </Menu.Items>
+      </Transition>
+    </Menu>
+  )
+}
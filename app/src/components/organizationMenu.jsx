@@ -0,0 +1,256 @@
+import React, { Fragment, useEffect, useState } from "react"
+import { Menu, Transition } from "@headlessui/react"
+import toast from "react-hot-toast"
+import { HiCheck, HiChevronDown } from "react-icons/hi"
+
+import Modal from "@/components/modal"
+import useStore from "@/services/store"
+import api from "@/services/api"
+
+// Switches the organization the user works in, and lets owners invite people into it
+export default function OrganizationMenu() {
+  const { organization, setOrganization } = useStore()
+  const [organizations, setOrganizations] = useState([])
+  const [isCreateOpen, setIsCreateOpen] = useState(false)
+  const [isInviteOpen, setIsInviteOpen] = useState(false)
+
+  async function fetchOrganizations() {
+    try {
+      const { ok, data, error } = await api.get("/api/organizations")
+      if (!ok) return toast.error(error || "Failed to load organizations")
+      setOrganizations(data.organizations)
+      setOrganization(data.organizations.find(e => e._id === data.active) || null)
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load organizations")
+    }
+  }
+
+  useEffect(() => {
+    fetchOrganizations()
+  }, [])
+
+  async function handleSwitch(id) {
+    if (id === organization?._id) return
+    try {
+      const { ok, error } = await api.post(`/api/organizations/${id}/switch`)
+      if (!ok) return toast.error(error || "Failed to switch organization")
+      // Every scene shows data of the active organization, start over from the home page
+      window.location.assign("/")
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to switch organization")
+    }
+  }
+
+  if (!organization) return null
+
+  return (
+    <>
+      <Menu as="div" className="relative">
+        <Menu.Button className="flex items-center gap-2 rounded-md border px-3 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50">
+          {organization.name}
+          <HiChevronDown className="h-4 w-4 text-gray-500" aria-hidden="true" />
+        </Menu.Button>
+
+        <Transition
+          as={Fragment}
+          enter="transition ease-out duration-100"
+          enterFrom="transform opacity-0 scale-95"
+          enterTo="transform opacity-100 scale-100"
+          leave="transition ease-in duration-75"
+          leaveFrom="transform opacity-100 scale-100"
+          leaveTo="transform opacity-0 scale-95"
+        >
+          <Menu.Items className="absolute right-0 mt-2 w-64 rounded-md bg-white border p-1 z-10 text-sm">
+            {organizations.map(item => (
+              <Menu.Item key={item._id}>
+                {({ active }) => (
+                  <button type="button" className={`w-full flex items-center justify-between rounded px-3 py-2 text-left ${active ? "bg-gray-100" : ""}`} onClick={() => handleSwitch(item._id)}>
+                    <span>
+                      {item.name}
+                      <span className="block text-xs text-gray-500">
+                        {item.membersCount} member{item.membersCount > 1 ? "s" : ""} · {item.role}
+                      </span>
+                    </span>
+                    {item._id === organization._id ? <HiCheck className="h-4 w-4 text-primary" aria-hidden="true" /> : null}
+                  </button>
+                )}
+              </Menu.Item>
+            ))}
+            <div className="my-1 border-t" />
+            {organization.role === "owner" ? (
+              <Menu.Item>
+                {({ active }) => (
+                  <button type="button" className={`w-full rounded px-3 py-2 text-left ${active ? "bg-gray-100" : ""}`} onClick={() => setIsInviteOpen(true)}>
+                    Invite people
+                  </button>
+                )}
+              </Menu.Item>
+            ) : null}
+            <Menu.Item>
+              {({ active }) => (
+                <button type="button" className={`w-full rounded px-3 py-2 text-left ${active ? "bg-gray-100" : ""}`} onClick={() => setIsCreateOpen(true)}>
+                  New organization
+                </button>
+              )}
+            </Menu.Item>
+          </Menu.Items>
+        </Transition>
+      </Menu>
+
+      <CreateOrganizationModal isOpen={isCreateOpen} onClose={() => setIsCreateOpen(false)} />
+      <InviteModal isOpen={isInviteOpen} onClose={() => setIsInviteOpen(false)} onInvite={fetchOrganizations} />
+    </>
+  )
+}
+
+const CreateOrganizationModal = ({ isOpen, onClose }) => {
+  const [name, setName] = useState("")
+  const [saving, setSaving] = useState(false)
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    if (!name.trim()) return toast.error("Name is required")
+
+    try {
+      setSaving(true)
+      const { ok, error } = await api.post("/api/organizations", { name })
+      if (!ok) return toast.error(error || "Failed to create organization")
+      window.location.assign("/")
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to create organization")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Modal isOpen={isOpen} onClose={saving ? undefined : onClose} className="max-w-lg">
+      <div className="p-6">
+        <h2 className="text-lg font-semibold mb-4">New organization</h2>
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="organization-name">
+              Name
+            </label>
+            <input
+              id="organization-name"
+              type="text"
+              className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+              value={name}
+              onChange={e => setName(e.target.value)}
+            />
+          </div>
+          <div className="mt-6 flex justify-end gap-2">
+            <button type="button" className="rounded-md border px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50" onClick={saving ? undefined : onClose}>
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70">
+              {saving ? "Saving..." : "Create organization"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </Modal>
+  )
+}
+
+const InviteModal = ({ isOpen, onClose, onInvite }) => {
+  const [email, setEmail] = useState("")
+  const [saving, setSaving] = useState(false)
+  const [people, setPeople] = useState({ members: [], invitations: [] })
+
+  async function fetchMembers() {
+    try {
+      const { ok, data, error } = await api.get("/api/organizations/members")
+      if (!ok) return toast.error(error || "Failed to load members")
+      setPeople(data)
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load members")
+    }
+  }
+
+  useEffect(() => {
+    if (isOpen) fetchMembers()
+  }, [isOpen])
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      const { ok, error } = await api.post("/api/organizations/invitations", { email })
+      if (!ok) return toast.error(error || "Failed to send the invitation")
+
+      setEmail("")
+      await Promise.all([fetchMembers(), onInvite()])
+      toast.success("Invitation sent")
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to send the invitation")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  async function handleRevoke(invitation) {
+    if (!window.confirm(`Revoke the invitation of ${invitation.email}?`)) return
+
+    try {
+      const { ok, error } = await api.delete(`/api/organizations/invitations/${invitation._id}`)
+      if (!ok) return toast.error(error || "Failed to revoke the invitation")
+      await fetchMembers()
+      toast.success("Invitation revoked")
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to revoke the invitation")
+    }
+  }
+
+  return (
+    <Modal isOpen={isOpen} onClose={saving ? undefined : onClose} className="max-w-lg">
+      <div className="p-6">
+        <h2 className="text-lg font-semibold mb-4">Invite people</h2>
+        <form className="flex gap-2" onSubmit={handleSubmit}>
+          <input
+            type="email"
+            placeholder="Email address"
+            className="flex-1 rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+            value={email}
+            onChange={e => setEmail(e.target.value)}
+          />
+          <button type="submit" disabled={saving || !email} className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70">
+            {saving ? "Sending..." : "Invite"}
+          </button>
+        </form>
+        <p className="mt-2 text-xs text-gray-500">People receive a link to accept the invitation, or to sign up when they have no account yet. They join once they accept.</p>
+
+        <h3 className="mt-6 mb-2 text-sm font-semibold">Members</h3>
+        <ul className="divide-y text-sm">
+          {people.members.map(member => (
+            <li key={member.user._id} className="flex items-center justify-between py-2">
+              <span>
+                {member.user.name || member.user.email}
+                {member.user.name ? <span className="block text-xs text-gray-500">{member.user.email}</span> : null}
+              </span>
+              <span className="text-xs text-gray-500 capitalize">{member.role}</span>
+            </li>
+          ))}
+          {people.invitations.map(invitation => (
+            <li key={invitation._id} className="flex items-center justify-between py-2">
+              <span className="text-gray-600">
+                {invitation.email}
+                <span className="block text-xs text-gray-500">Invited, expires on {new Date(invitation.expiresAt).toLocaleDateString()}</span>
+              </span>
+              <button type="button" className="text-xs text-red-600 hover:underline" onClick={() => handleRevoke(invitation)}>
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </Modal>
+  )
+}
@@ -10,15 +10,15 @@ export default function Pagination({ total, per_page = 10, currentPage = 1, onNe
       <div className="flex flex-1 items-center justify-between">
         <div>
           <p className="p-3 text-black-90 text-sm md:text-base">
-            {t("showing")}&nbsp;
+            {t("showing", "Showing")}&nbsp;
             <span className="font-medium">{(currentPage - 1) * per_page + 1}</span>&nbsp;
-            {t("to")}&nbsp;
+            {t("to", "to")}&nbsp;
             <span className="font-medium">{Math.min(total, currentPage * per_page)}</span>&nbsp;
-            {t("of")} <span className="font-medium">{total}</span> {t("result", { count: total })}
+            {t("of", "of")} <span className="font-medium">{total}</span> {t("result", { count: total, defaultValue: total > 1 ? "results" : "result" })}
           </p>
         </div>
         <div>
-          <nav className="isolate inline-flex -space-x-px rounded-md shadow-sm ml-3 bg-white" aria-label={t("pagination")}>
+          <nav className="isolate inline-flex -space-x-px rounded-md shadow-sm ml-3 bg-white" aria-label={t("pagination", "Pagination")}>
             <button
               disabled={currentPage <= 1}
               onClick={onPrevious}
@@ -42,6 +42,6 @@ export default function Pagination({ total, per_page = 10, currentPage = 1, onNe
       </div>
     </div>
   ) : (
-    <div className="flex items-center justify-between border-t border-gray-200 bg-white px-4 py-3 md:px-6">{t("no_result")}</div>
+    <div className="flex items-center justify-between border-t border-gray-200 bg-white px-4 py-3 md:px-6">{t("no_result", "No result")}</div>
   )
 }
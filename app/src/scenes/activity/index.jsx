@@ -0,0 +1,16 @@
+import React from "react"
+
+import ActivityLog from "@/components/activityLog"
+
+export default function Activity() {
+  return (
+    <div className="p-8 space-y-6">
+      <div>
+        <h1 className="text-xl font-semibold">Activity</h1>
+        <p className="mt-1 text-sm text-gray-600">Every change made to projects, expenses and users, most recent first.</p>
+      </div>
+
+      <ActivityLog />
+    </div>
+  )
+}
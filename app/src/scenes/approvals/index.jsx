@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from "react"
+import { Link } from "react-router-dom"
+import toast from "react-hot-toast"
+
+import Loader from "@/components/loader"
+import Modal from "@/components/modal"
+import api from "@/services/api"
+import { formatCurrency } from "@/utils"
+
+export default function Approvals() {
+  const [expenses, setExpenses] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [review, setReview] = useState(null)
+
+  async function fetchExpenses() {
+    try {
+      const { ok, data, error } = await api.get("/api/expenses/approvals")
+      if (!ok) return toast.error(error || "Failed to load approval queue")
+      setExpenses(data || [])
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load approval queue")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchExpenses()
+  }, [])
+
+  if (loading) return <Loader />
+
+  return (
+    <div className="p-8 space-y-6">
+      <div>
+        <h1 className="text-xl font-semibold">Approvals</h1>
+        <p className="mt-1 text-sm text-gray-600">Submitted expenses of the projects you review. They count toward the budget once approved.</p>
+      </div>
+
+      <div className="bg-white border rounded-lg p-6">
+        {expenses.length === 0 ? (
+          <p className="text-sm text-gray-500">Nothing to review.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Project</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Description</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Amount</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Category</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Date</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Submitted by</th>
+                  <th className="px-4 py-3" />
+                </tr>
+              </thead>
+              <tbody>
+                {expenses.map(expense => (
+                  <tr key={expense._id} className="border-t hover:bg-gray-50">
+                    <td className="px-4 py-3">
+                      <Link to={`/projects/${expense.project._id}`} className="text-primary hover:underline">
+                        {expense.project.name}
+                      </Link>
+                    </td>
+                    <td className="px-4 py-3 text-gray-800">{expense.description}</td>
+                    <td className="px-4 py-3">
+                      {formatCurrency(expense.amount, expense.project.currency)}
+                      {expense.originalCurrency && expense.originalCurrency !== expense.project.currency ? (
+                        <div className="text-xs text-gray-500">{formatCurrency(expense.originalAmount, expense.originalCurrency)}</div>
+                      ) : null}
+                    </td>
+                    <td className="px-4 py-3 capitalize">{expense.category}</td>
+                    <td className="px-4 py-3 text-xs text-gray-500">{expense.date ? new Date(expense.date).toLocaleDateString() : "-"}</td>
+                    <td className="px-4 py-3 text-xs text-gray-500">
+                      {expense.createdBy?.name || expense.createdBy?.email || "-"}
+                      {expense.submittedAt ? <div>{new Date(expense.submittedAt).toLocaleDateString()}</div> : null}
+                    </td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap space-x-3">
+                      <button type="button" className="text-xs text-green-700 hover:underline" onClick={() => setReview({ expense, decision: "approve" })}>
+                        Approve
+                      </button>
+                      <button type="button" className="text-xs text-red-600 hover:underline" onClick={() => setReview({ expense, decision: "reject" })}>
+                        Reject
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <Modal isOpen={!!review} onClose={() => setReview(null)} className="max-w-lg">
+        {review ? (
+          <ReviewForm
+            expense={review.expense}
+            decision={review.decision}
+            onClose={() => setReview(null)}
+            onReviewed={async () => {
+              setReview(null)
+              await fetchExpenses()
+            }}
+          />
+        ) : null}
+      </Modal>
+    </div>
+  )
+}
+
+const ReviewForm = ({ expense, decision, onClose, onReviewed }) => {
+  const [comment, setComment] = useState("")
+  const [saving, setSaving] = useState(false)
+  const isReject = decision === "reject"
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+
+    if (isReject && !comment.trim()) return toast.error("A reason is required to reject an expense")
+
+    try {
+      setSaving(true)
+      const { ok, error } = await api.post(`/api/expenses/${expense._id}/${decision}`, { comment: comment.trim() })
+      if (!ok) return toast.error(error || "Failed to review expense")
+
+      await onReviewed()
+      toast.success(isReject ? "Expense rejected" : "Expense approved")
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to review expense")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="p-6">
+      <h2 className="text-lg font-semibold mb-1">{isReject ? "Reject expense" : "Approve expense"}</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        {expense.description} · {formatCurrency(expense.amount, expense.project.currency)}
+      </p>
+      <form className="space-y-4" onSubmit={handleSubmit}>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="review-comment">
+            {isReject ? "Reason" : "Comment (optional)"}
+          </label>
+          <textarea
+            id="review-comment"
+            rows={3}
+            className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+          />
+        </div>
+
+        <div className="mt-6 flex justify-end gap-2">
+          <button type="button" className="rounded-md border px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50" onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className={`rounded-md px-4 py-2 text-sm font-medium text-white disabled:opacity-70 ${isReject ? "bg-red-600 hover:bg-red-700" : "bg-primary hover:bg-blue-600"}`}
+          >
+            {saving ? "Saving..." : isReject ? "Reject" : "Approve"}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
@@ -1,15 +1,17 @@
 import React, { useState } from "react"
-import { Link, useNavigate } from "react-router-dom"
+import { Link, useNavigate, useSearchParams } from "react-router-dom"
 import toast from "react-hot-toast"
 
 import LoadingButton from "@/components/loadingButton"
 
 import store from "@/services/store"
 import api from "@/services/api"
-import { EP_Group_ensTrainNet3 } from "@/utils/constants"
 
 export default () => {
-  const [values, setValues] = useState({ name: "", email: "", organisation_name: "Organization A", password: "" })
+  // Invitation emails link here with the invited address, and the signed token of the project or organization invitation
+  const [searchParams] = useSearchParams()
+  const invitedEmail = searchParams.get("email")
+  const [values, setValues] = useState({ name: "", email: invitedEmail || "", organisation_name: "", password: "", invitation: searchParams.get("invitation") || undefined })
 
   const { user, setUser } = store()
 
@@ -49,32 +51,22 @@ export default () => {
             </label>
           </div>
         </div>
-        <div className="mb-[25px]">
-          <div className="flex flex-col-reverse">
-            <select
-              className="input"
-              value={values.organisation_name || ""}
-              onChange={e => {
-                const selectedOption = EP_Group_ensTrainNet3.find(option => option.value === e.target.value)
-                setValues({
-                  ...values,
-                  organisation_name: e.target.value,
-                  organisation_email: selectedOption ? selectedOption.email : ""
-                })
-              }}
-            >
-              {EP_Group_ensTrainNet3.map(option => (
-                <option key={option.value} value={option.value}>
-                  {option.value}
-                </option>
-              ))}
-            </select>
-            {/* <input className="peer signInInputs " name="email" type="email" id="email" value={values.email} onChange={(e) => setValues({ ...values, email: e.target.value })} /> */}
-            <label className="peer-focus:text-[#116eee]" htmlFor="email">
-              Intermediary organisation
-            </label>
+        {invitedEmail ? null : (
+          <div className="mb-[25px]">
+            <div className="flex flex-col-reverse">
+              <input
+                className="peer signInInputs"
+                type="text"
+                id="organisation_name"
+                value={values.organisation_name}
+                onChange={e => setValues({ ...values, organisation_name: e.target.value })}
+              />
+              <label className="peer-focus:text-[#116eee]" htmlFor="organisation_name">
+                Organization name
+              </label>
+            </div>
           </div>
-        </div>
+        )}
         <div className="mb-[25px]">
           <div className="flex flex-col-reverse">
             <input
@@ -0,0 +1,356 @@
+import React, { useEffect, useState } from "react"
+import { useNavigate } from "react-router-dom"
+import toast from "react-hot-toast"
+import FullCalendar from "@fullcalendar/react"
+import dayGridPlugin from "@fullcalendar/daygrid"
+import listPlugin from "@fullcalendar/list"
+import interactionPlugin from "@fullcalendar/interaction"
+
+import Modal from "@/components/modal"
+import api from "@/services/api"
+import useStore from "@/services/store"
+import { can, canEditExpense, formatCurrency, formatDateToYYYYMMDD, validateExpense } from "@/utils"
+import { CURRENCIES, EXPENSE_CATEGORIES } from "@/utils/constants"
+import { LOCKED_STATES } from "@/scenes/home/components/projectState"
+
+// Colors of the expenses by status, expenses without a status predate the approval workflow and are approved
+const STATUS_COLORS = {
+  draft: "#9ca3af",
+  submitted: "#eab308",
+  approved: "#3b82f6",
+  rejected: "#ef4444"
+}
+const DEADLINE_COLOR = "#6b7280"
+
+// Expenses on their date and project start and end dates. A day opens the expense form for that date,
+// and an expense dragged to another day moves its date.
+export default function Calendar() {
+  const { user } = useStore()
+  const navigate = useNavigate()
+  const [projects, setProjects] = useState([])
+  const [expenses, setExpenses] = useState([])
+  const [range, setRange] = useState(null)
+  const [filters, setFilters] = useState({ project: "", category: "" })
+  const [newExpense, setNewExpense] = useState(null)
+
+  async function fetchProjects() {
+    try {
+      const { ok, data, error } = await api.get("/api/projects")
+      if (!ok) return toast.error(error || "Failed to load projects")
+      setProjects(data)
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load projects")
+    }
+  }
+
+  async function fetchExpenses() {
+    if (!range) return
+    const query = new URLSearchParams(Object.entries({ ...range, ...filters }).filter(([, value]) => value))
+
+    try {
+      const { ok, data, error } = await api.get(`/api/expenses/calendar?${query}`)
+      if (!ok) return toast.error(error || "Failed to load expenses")
+      setExpenses(data)
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load expenses")
+    }
+  }
+
+  useEffect(() => {
+    fetchProjects()
+  }, [])
+
+  useEffect(() => {
+    fetchExpenses()
+  }, [range, filters])
+
+  // Expenses can be added to the projects the user contributes to, while their spending is open
+  const openProjects = projects.filter(project => can(project, "expense.create") && !LOCKED_STATES.includes(project.state))
+
+  function canMove(expense) {
+    const project = projects.find(e => e._id === expense.project._id)
+    return !!project && canEditExpense(project, expense, user._id) && !LOCKED_STATES.includes(project.state)
+  }
+
+  const expenseEvents = expenses.map(expense => ({
+    id: expense._id,
+    title: `${expense.description} · ${formatCurrency(expense.amount, expense.project.currency)}`,
+    // Dates are days, the time part would shift them with the time zone
+    start: expense.date.slice(0, 10),
+    allDay: true,
+    editable: canMove(expense),
+    color: STATUS_COLORS[expense.status || "approved"],
+    extendedProps: { expense }
+  }))
+
+  const projectEvents = projects
+    .filter(project => !filters.project || project._id === filters.project)
+    .flatMap(project => [
+      project.startDate ? { id: `${project._id}-start`, title: `${project.name} starts`, start: project.startDate.slice(0, 10), extendedProps: { projectId: project._id } } : null,
+      project.endDate ? { id: `${project._id}-end`, title: `${project.name} ends`, start: project.endDate.slice(0, 10), extendedProps: { projectId: project._id } } : null
+    ])
+    .filter(Boolean)
+    .map(event => ({ ...event, allDay: true, editable: false, display: "list-item", color: DEADLINE_COLOR }))
+
+  function handleDatesSet({ start, end }) {
+    // The end of the range is exclusive, the API takes the last day
+    setRange({ from: formatDateToYYYYMMDD(start), to: formatDateToYYYYMMDD(new Date(end.getTime() - 1)) })
+  }
+
+  function handleDateClick({ dateStr }) {
+    if (openProjects.length === 0) return toast.error("You cannot add expenses to any open project")
+    const project = openProjects.find(e => e._id === filters.project) || openProjects[0]
+    setNewExpense({ projectId: project._id, description: "", amount: "", currency: "", category: filters.category || "other", date: dateStr })
+  }
+
+  async function handleEventDrop({ event, revert }) {
+    const expense = event.extendedProps.expense
+
+    try {
+      const { ok, data, error } = await api.put(`/api/expenses/${expense._id}`, { date: event.startStr })
+      if (!ok) {
+        revert()
+        return toast.error(error || "Failed to move expense")
+      }
+
+      await fetchExpenses()
+      if (data.status === "submitted" && expense.status === "approved") toast.success("Expense moved and sent back for approval")
+      else toast.success(`Expense moved to ${event.start.toLocaleDateString()}`)
+    } catch (e) {
+      console.log(e)
+      revert()
+      toast.error(e?.error || "Failed to move expense")
+    }
+  }
+
+  function handleEventClick({ event }) {
+    const { expense, projectId } = event.extendedProps
+    if (expense) return navigate(`/projects/${expense.project._id}?${new URLSearchParams({ search: expense.description })}`)
+    navigate(`/projects/${projectId}`)
+  }
+
+  return (
+    <div className="p-8 space-y-6">
+      <div className="flex items-end justify-between gap-4">
+        <div>
+          <h1 className="text-xl font-semibold">Calendar</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Expenses on their date, with the start and end dates of the projects. Click a day to add an expense, drag one to change its date.
+          </p>
+        </div>
+        <div className="flex items-end gap-3">
+          <div>
+            <label className="block text-xs text-gray-500 mb-1" htmlFor="calendar-project">
+              Project
+            </label>
+            <select
+              id="calendar-project"
+              className="rounded-md border px-3 py-2 text-sm bg-white"
+              value={filters.project}
+              onChange={e => setFilters({ ...filters, project: e.target.value })}
+            >
+              <option value="">All projects</option>
+              {projects.map(project => (
+                <option key={project._id} value={project._id}>
+                  {project.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1" htmlFor="calendar-category">
+              Category
+            </label>
+            <select
+              id="calendar-category"
+              className="rounded-md border px-3 py-2 text-sm bg-white"
+              value={filters.category}
+              onChange={e => setFilters({ ...filters, category: e.target.value })}
+            >
+              <option value="">All categories</option>
+              {EXPENSE_CATEGORIES.map(category => (
+                <option key={category.value} value={category.value}>
+                  {category.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white border rounded-lg p-6 text-sm">
+        <FullCalendar
+          plugins={[dayGridPlugin, listPlugin, interactionPlugin]}
+          initialView="dayGridMonth"
+          headerToolbar={{ left: "prev,next today", center: "title", right: "dayGridMonth,listMonth" }}
+          buttonText={{ today: "Today", month: "Month", list: "List" }}
+          firstDay={1}
+          height="auto"
+          dayMaxEvents={4}
+          events={[...projectEvents, ...expenseEvents]}
+          datesSet={handleDatesSet}
+          dateClick={handleDateClick}
+          eventDrop={handleEventDrop}
+          eventClick={handleEventClick}
+        />
+      </div>
+
+      <ExpenseModal
+        values={newExpense}
+        projects={openProjects}
+        onChange={setNewExpense}
+        onClose={() => setNewExpense(null)}
+        onCreated={async () => {
+          setNewExpense(null)
+          await fetchExpenses()
+        }}
+      />
+    </div>
+  )
+}
+
+const ExpenseModal = ({ values, projects, onChange, onClose, onCreated }) => {
+  const [saving, setSaving] = useState(false)
+
+  if (!values) return null
+
+  const project = projects.find(e => e._id === values.projectId)
+  const handleChange = field => e => onChange({ ...values, [field]: e.target.value })
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+
+    const validationError = validateExpense(values)
+    if (validationError) return toast.error(validationError)
+
+    try {
+      setSaving(true)
+      const { ok, error } = await api.post("/api/expenses", {
+        projectId: values.projectId,
+        description: values.description.trim(),
+        amount: Number(values.amount),
+        currency: values.currency || undefined,
+        category: values.category,
+        date: values.date
+      })
+      if (!ok) return toast.error(error || "Failed to create expense")
+
+      toast.success("Expense created")
+      await onCreated()
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || e?.code || "Failed to create expense")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Modal isOpen onClose={saving ? undefined : onClose} className="max-w-lg">
+      <div className="p-6">
+        <h2 className="text-lg font-semibold mb-4">New expense</h2>
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="calendar-expense-project">
+              Project
+            </label>
+            <select
+              id="calendar-expense-project"
+              className="w-full rounded-md border px-3 py-2 text-sm bg-white focus:outline-none focus:ring-1 focus:ring-primary"
+              value={values.projectId}
+              onChange={e => onChange({ ...values, projectId: e.target.value, currency: "" })}
+            >
+              {projects.map(option => (
+                <option key={option._id} value={option._id}>
+                  {option.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="calendar-expense-description">
+              Description
+            </label>
+            <input
+              id="calendar-expense-description"
+              type="text"
+              autoFocus
+              className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+              value={values.description}
+              onChange={handleChange("description")}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="calendar-expense-amount">
+                Amount
+              </label>
+              <div className="flex gap-2">
+                <input
+                  id="calendar-expense-amount"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+                  value={values.amount}
+                  onChange={handleChange("amount")}
+                />
+                <select
+                  aria-label="Currency"
+                  className="rounded-md border px-2 py-2 text-sm bg-white focus:outline-none focus:ring-1 focus:ring-primary"
+                  value={values.currency || project?.currency}
+                  onChange={handleChange("currency")}
+                >
+                  {CURRENCIES.map(currency => (
+                    <option key={currency} value={currency}>
+                      {currency}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="calendar-expense-date">
+                Date
+              </label>
+              <input
+                id="calendar-expense-date"
+                type="date"
+                className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+                value={values.date}
+                onChange={handleChange("date")}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="calendar-expense-category">
+              Category
+            </label>
+            <select
+              id="calendar-expense-category"
+              className="w-full rounded-md border px-3 py-2 text-sm bg-white focus:outline-none focus:ring-1 focus:ring-primary"
+              value={values.category}
+              onChange={handleChange("category")}
+            >
+              {EXPENSE_CATEGORIES.map(category => (
+                <option key={category.value} value={category.value}>
+                  {category.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="mt-6 flex justify-end gap-2">
+            <button type="button" className="rounded-md border px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50" onClick={saving ? undefined : onClose}>
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70">
+              {saving ? "Saving..." : "Add expense"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </Modal>
+  )
+}
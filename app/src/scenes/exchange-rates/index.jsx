@@ -0,0 +1,204 @@
+import React, { useEffect, useRef, useState } from "react"
+import toast from "react-hot-toast"
+
+import Loader from "@/components/loader"
+import api from "@/services/api"
+import useStore from "@/services/store"
+import { CURRENCIES } from "@/utils/constants"
+
+export default function ExchangeRates() {
+  const { user } = useStore()
+  const [rates, setRates] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [values, setValues] = useState({ from: "USD", to: "EUR", rate: "", date: "" })
+  const [saving, setSaving] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const inputRef = useRef(null)
+
+  const isAdmin = user.role === "admin"
+
+  async function fetchRates() {
+    try {
+      const { ok, data, error } = await api.post("/api/exchange-rates/search", {})
+      if (!ok) return toast.error(error || "Failed to load exchange rates")
+      setRates(data || [])
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load exchange rates")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchRates()
+  }, [])
+
+  if (loading) return <Loader />
+
+  const handleChange = field => e => {
+    setValues(prev => ({ ...prev, [field]: e.target.value }))
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault()
+
+    const rateNumber = Number(values.rate)
+    if (!Number.isFinite(rateNumber) || rateNumber <= 0) return toast.error("Rate must be a positive number")
+    if (!values.date) return toast.error("Date is required")
+    if (values.from === values.to) return toast.error("Currencies must be different")
+
+    try {
+      setSaving(true)
+      const { ok, error } = await api.post("/api/exchange-rates", { ...values, rate: rateNumber })
+      if (!ok) return toast.error(error || "Failed to create exchange rate")
+
+      setValues(prev => ({ ...prev, rate: "" }))
+      await fetchRates()
+      toast.success("Exchange rate added")
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to create exchange rate")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  async function handleImport(e) {
+    const file = e.target.files[0]
+    e.target.value = ""
+    if (!file) return
+
+    try {
+      setImporting(true)
+      const content = await file.text()
+      const { ok, data, error } = await api.post("/api/exchange-rates/import", { content })
+      if (!ok) return toast.error(error || "Failed to import exchange rates")
+
+      await fetchRates()
+      toast.success(`${data.imported} rate(s) imported`)
+      if (data.errors.length) toast.error(data.errors.map(({ line, error }) => `Line ${line}: ${error}`).join("\n"))
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to import exchange rates")
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  async function handleDelete(rateId) {
+    if (!window.confirm("Delete this exchange rate?")) return
+
+    try {
+      const { ok, error } = await api.delete(`/api/exchange-rates/${rateId}`)
+      if (!ok) return toast.error(error || "Failed to delete exchange rate")
+
+      await fetchRates()
+      toast.success("Exchange rate deleted")
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to delete exchange rate")
+    }
+  }
+
+  return (
+    <div className="p-8 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold mb-1">Exchange rates</h1>
+          <p className="text-sm text-gray-500">Expenses are converted into their project currency with the latest rate known at the expense date.</p>
+        </div>
+        {isAdmin ? (
+          <>
+            <input ref={inputRef} type="file" accept=".csv,text/csv" className="hidden" onChange={handleImport} />
+            <button
+              type="button"
+              disabled={importing}
+              className="rounded-md border bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-70"
+              onClick={() => inputRef.current.click()}
+            >
+              {importing ? "Importing..." : "Import CSV"}
+            </button>
+          </>
+        ) : null}
+      </div>
+
+      {isAdmin ? (
+        <form className="bg-white border rounded-lg p-6 grid grid-cols-1 gap-3 md:grid-cols-5 items-end" onSubmit={handleCreate}>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="rate-from">
+              From
+            </label>
+            <select id="rate-from" className="w-full rounded-md border px-3 py-2 text-sm bg-white" value={values.from} onChange={handleChange("from")}>
+              {CURRENCIES.map(currency => (
+                <option key={currency} value={currency}>
+                  {currency}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="rate-to">
+              To
+            </label>
+            <select id="rate-to" className="w-full rounded-md border px-3 py-2 text-sm bg-white" value={values.to} onChange={handleChange("to")}>
+              {CURRENCIES.map(currency => (
+                <option key={currency} value={currency}>
+                  {currency}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="rate-value">
+              Rate
+            </label>
+            <input id="rate-value" type="number" min="0" step="0.000001" className="w-full rounded-md border px-3 py-2 text-sm" value={values.rate} onChange={handleChange("rate")} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="rate-date">
+              Valid from
+            </label>
+            <input id="rate-date" type="date" className="w-full rounded-md border px-3 py-2 text-sm" value={values.date} onChange={handleChange("date")} />
+          </div>
+          <button type="submit" disabled={saving} className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70">
+            {saving ? "Saving..." : "Add rate"}
+          </button>
+        </form>
+      ) : null}
+
+      {rates.length === 0 ? (
+        <div className="text-sm text-gray-500">No exchange rates yet.</div>
+      ) : (
+        <div className="overflow-x-auto bg-white rounded-lg border">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Valid from</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Conversion</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody>
+              {rates.map(rate => (
+                <tr key={rate._id} className="border-t hover:bg-gray-50">
+                  <td className="px-4 py-3 text-xs text-gray-500">{new Date(rate.date).toLocaleDateString()}</td>
+                  <td className="px-4 py-3">
+                    1 {rate.from} = {rate.rate} {rate.to}
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    {isAdmin ? (
+                      <button type="button" className="text-xs text-red-600 hover:underline" onClick={() => handleDelete(rate._id)}>
+                        Delete
+                      </button>
+                    ) : null}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
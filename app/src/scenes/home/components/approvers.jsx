@@ -0,0 +1,85 @@
+import React, { useState } from "react"
+import toast from "react-hot-toast"
+
+import api from "@/services/api"
+
+import { getMemberRole } from "./members"
+
+export default function Approvers({ project, canEdit, onChange }) {
+  const [editing, setEditing] = useState(false)
+  const [selected, setSelected] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  // The owner and the managers always review, approvers are picked among the contributors
+  const managers = (project.members || []).filter(member => getMemberRole(project, member._id) === "manager")
+  const candidates = (project.members || []).filter(member => getMemberRole(project, member._id) === "contributor")
+  const approvers = candidates.filter(member => (project.approvers || []).includes(member._id))
+  const reviewers = [...managers, ...approvers]
+
+  function toggle(memberId) {
+    setSelected(prev => (prev.includes(memberId) ? prev.filter(id => id !== memberId) : [...prev, memberId]))
+  }
+
+  async function handleSave(e) {
+    e.preventDefault()
+
+    try {
+      setSaving(true)
+      const { ok, error } = await api.put(`/api/projects/${project._id}`, { approvers: selected })
+      if (!ok) return toast.error(error || "Failed to update approvers")
+
+      setEditing(false)
+      await onChange()
+      toast.success("Approvers updated")
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to update approvers")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="bg-white border rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold">Approvers</h2>
+        {canEdit && !editing && candidates.length > 0 ? (
+          <button
+            type="button"
+            className="text-xs text-primary hover:underline"
+            onClick={() => {
+              setSelected(approvers.map(member => member._id))
+              setEditing(true)
+            }}
+          >
+            Edit approvers
+          </button>
+        ) : null}
+      </div>
+
+      {editing ? (
+        <form className="space-y-2" onSubmit={handleSave}>
+          {candidates.map(member => (
+            <label key={member._id} className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={selected.includes(member._id)} onChange={() => toggle(member._id)} />
+              {member.name || member.email}
+            </label>
+          ))}
+          <div className="flex justify-end gap-2 pt-2">
+            <button type="button" className="rounded-md border px-3 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50" onClick={() => setEditing(false)} disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="rounded-md bg-primary px-3 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70">
+              {saving ? "Saving..." : "Save"}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <p className="text-sm text-gray-600">
+          Submitted expenses are reviewed by {project.createdBy?.name || project.createdBy?.email || "the owner"}
+          {reviewers.length ? `, ${reviewers.map(member => member.name || member.email).join(", ")}` : ""}.
+        </p>
+      )}
+    </div>
+  )
+}
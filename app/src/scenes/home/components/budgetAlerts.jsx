@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from "react"
+import toast from "react-hot-toast"
+
+import api from "@/services/api"
+import { formatCurrency } from "@/utils"
+
+export default function BudgetAlerts({ project, canEdit, onChange }) {
+  const [alerts, setAlerts] = useState([])
+  const [editing, setEditing] = useState(false)
+  const [thresholds, setThresholds] = useState("")
+  const [saving, setSaving] = useState(false)
+
+  async function fetchAlerts() {
+    try {
+      const { ok, data, error } = await api.get(`/api/projects/${project._id}/alerts`)
+      if (!ok) return toast.error(error || "Failed to load budget alerts")
+      setAlerts(data || [])
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load budget alerts")
+    }
+  }
+
+  useEffect(() => {
+    fetchAlerts()
+  }, [project._id])
+
+  async function handleSave(e) {
+    e.preventDefault()
+
+    const values = thresholds
+      .split(",")
+      .map(value => value.trim())
+      .filter(Boolean)
+      .map(Number)
+    if (values.some(value => !Number.isFinite(value) || value <= 0)) return toast.error("Thresholds must be positive percentages")
+
+    try {
+      setSaving(true)
+      const { ok, error } = await api.put(`/api/projects/${project._id}`, { alertThresholds: values })
+      if (!ok) return toast.error(error || "Failed to update alert thresholds")
+
+      setEditing(false)
+      await onChange()
+      toast.success("Alert thresholds updated")
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to update alert thresholds")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="bg-white border rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold">Budget alerts</h2>
+        {canEdit && !editing ? (
+          <button
+            type="button"
+            className="text-xs text-primary hover:underline"
+            onClick={() => {
+              setThresholds(project.alertThresholds.join(", "))
+              setEditing(true)
+            }}
+          >
+            Edit thresholds
+          </button>
+        ) : null}
+      </div>
+
+      {editing ? (
+        <form className="flex items-end gap-2 mb-4" onSubmit={handleSave}>
+          <div className="flex-1">
+            <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="alert-thresholds">
+              Thresholds in % of the budget, separated by commas
+            </label>
+            <input
+              id="alert-thresholds"
+              type="text"
+              placeholder="50, 80, 100, 120"
+              className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+              value={thresholds}
+              onChange={e => setThresholds(e.target.value)}
+            />
+          </div>
+          <button type="button" className="rounded-md border px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50" onClick={() => setEditing(false)} disabled={saving}>
+            Cancel
+          </button>
+          <button type="submit" disabled={saving} className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70">
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </form>
+      ) : (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {project.alertThresholds.length === 0 ? <span className="text-sm text-gray-500">No alert thresholds.</span> : null}
+          {project.alertThresholds.map(threshold => {
+            const isTriggered = project.triggeredThresholds.includes(threshold)
+            return (
+              <span
+                key={threshold}
+                className={`inline-flex items-center rounded-full px-2 py-1 text-xs font-medium ${isTriggered ? "bg-red-100 text-red-700" : "bg-gray-100 text-gray-700"}`}
+              >
+                {threshold}%{isTriggered ? " reached" : ""}
+              </span>
+            )
+          })}
+        </div>
+      )}
+
+      {alerts.length === 0 ? (
+        <p className="text-sm text-gray-500">No alert sent yet.</p>
+      ) : (
+        <ul className="divide-y text-sm">
+          {alerts.map(alert => (
+            <li key={alert._id} className="py-2 flex items-center justify-between gap-4">
+              <div>
+                <span className="font-medium">{alert.threshold}% threshold reached</span>
+                <span className="text-gray-500">
+                  {" "}
+                  · {formatCurrency(alert.totalSpent, project.currency)} spent of {formatCurrency(alert.budget, project.currency)}
+                </span>
+                <div className="text-xs text-gray-500">{alert.recipients.length ? `Sent to ${alert.recipients.join(", ")}` : "No recipient"}</div>
+              </div>
+              <span className="text-xs text-gray-500 whitespace-nowrap">{new Date(alert.createdAt).toLocaleString()}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
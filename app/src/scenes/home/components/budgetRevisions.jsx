@@ -0,0 +1,156 @@
+import React, { useEffect, useState } from "react"
+import toast from "react-hot-toast"
+
+import api from "@/services/api"
+import { formatCurrency } from "@/utils"
+
+export default function BudgetRevisions({ project, canEdit, onChange }) {
+  const [revisions, setRevisions] = useState([])
+  const [editing, setEditing] = useState(false)
+  const [values, setValues] = useState({ budget: "", reason: "" })
+  const [saving, setSaving] = useState(false)
+
+  async function fetchRevisions() {
+    try {
+      const { ok, data, error } = await api.get(`/api/projects/${project._id}/budget-revisions`)
+      if (!ok) return toast.error(error || "Failed to load budget history")
+      setRevisions(data || [])
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load budget history")
+    }
+  }
+
+  useEffect(() => {
+    fetchRevisions()
+  }, [project._id])
+
+  const handleChange = field => e => {
+    setValues(prev => ({ ...prev, [field]: e.target.value }))
+  }
+
+  async function handleSave(e) {
+    e.preventDefault()
+
+    const budgetNumber = Number(values.budget)
+    if (!Number.isFinite(budgetNumber) || budgetNumber < 0) return toast.error("Budget must be a positive number")
+    if (budgetNumber === project.budget) return toast.error("The budget is unchanged")
+    if (!values.reason.trim()) return toast.error("A reason is required to change the budget")
+
+    try {
+      setSaving(true)
+      const { ok, error } = await api.put(`/api/projects/${project._id}`, { budget: budgetNumber, budgetReason: values.reason.trim() })
+      if (!ok) return toast.error(error || "Failed to change the budget")
+
+      setEditing(false)
+      await onChange()
+      toast.success("Budget changed")
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to change the budget")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const originalBudget = project.budgetStatus?.originalBudget ?? project.budget
+  const budgetChange = project.budget - originalBudget
+
+  return (
+    <div className="bg-white border rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold">Budget history</h2>
+        {canEdit && !editing ? (
+          <button
+            type="button"
+            className="text-xs text-primary hover:underline"
+            onClick={() => {
+              setValues({ budget: project.budget, reason: "" })
+              setEditing(true)
+            }}
+          >
+            Change budget
+          </button>
+        ) : null}
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 text-sm mb-4">
+        <div>
+          <div className="text-xs text-gray-500">Original budget</div>
+          <div className="font-medium">{formatCurrency(originalBudget, project.currency)}</div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">Current budget</div>
+          <div className="font-medium">{formatCurrency(project.budget, project.currency)}</div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">Change</div>
+          <div className={`font-medium ${budgetChange > 0 ? "text-orange-600" : ""}`}>
+            {budgetChange > 0 ? "+" : ""}
+            {formatCurrency(budgetChange, project.currency)}
+            {originalBudget ? ` (${budgetChange > 0 ? "+" : ""}${Math.round((budgetChange / originalBudget) * 100)}%)` : ""}
+          </div>
+        </div>
+      </div>
+
+      {editing ? (
+        <form className="grid grid-cols-1 gap-3 mb-4 md:grid-cols-3" onSubmit={handleSave}>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="revision-budget">
+              New budget ({project.currency})
+            </label>
+            <input
+              id="revision-budget"
+              type="number"
+              min="0"
+              step="0.01"
+              className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+              value={values.budget}
+              onChange={handleChange("budget")}
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="revision-reason">
+              Reason
+            </label>
+            <input
+              id="revision-reason"
+              type="text"
+              placeholder="e.g. Client added a mobile app to the scope"
+              className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+              value={values.reason}
+              onChange={handleChange("reason")}
+            />
+          </div>
+          <div className="md:col-span-3 flex justify-end gap-2">
+            <button type="button" className="rounded-md border px-3 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50" onClick={() => setEditing(false)} disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="rounded-md bg-primary px-3 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70">
+              {saving ? "Saving..." : "Save"}
+            </button>
+          </div>
+        </form>
+      ) : null}
+
+      {revisions.length === 0 ? (
+        <p className="text-sm text-gray-500">The budget has not changed since the project was created.</p>
+      ) : (
+        <ol className="relative border-l border-gray-200 ml-2">
+          {revisions.map(revision => (
+            <li key={revision._id} className="mb-4 ml-4">
+              <div className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white bg-primary" />
+              <div className="text-xs text-gray-500">
+                {new Date(revision.createdAt).toLocaleString()} · {revision.changedBy?.name || revision.changedBy?.email || "-"}
+              </div>
+              <div className="text-sm font-medium">
+                {formatCurrency(revision.previousBudget, project.currency)} → {formatCurrency(revision.newBudget, project.currency)}
+              </div>
+              <div className="text-sm text-gray-600">{revision.reason}</div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,132 @@
+import React, { useState } from "react"
+import toast from "react-hot-toast"
+
+import api from "@/services/api"
+import { formatCurrency } from "@/utils"
+import { EXPENSE_CATEGORIES } from "@/utils/constants"
+
+export default function CategoryBudgets({ project, canEdit, onChange }) {
+  const [editing, setEditing] = useState(false)
+  const [values, setValues] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  const lines = project.budgetStatus?.categories || []
+
+  function handleStartEditing() {
+    const initialValues = {}
+    EXPENSE_CATEGORIES.forEach(({ value }) => {
+      initialValues[value] = project.categoryBudgets?.[value] ?? ""
+    })
+    setValues(initialValues)
+    setEditing(true)
+  }
+
+  async function handleSave(e) {
+    e.preventDefault()
+
+    const invalid = Object.values(values).some(value => value !== "" && (!Number.isFinite(Number(value)) || Number(value) < 0))
+    if (invalid) return toast.error("Budget lines must be positive numbers")
+
+    try {
+      setSaving(true)
+      const { ok, error } = await api.put(`/api/projects/${project._id}`, { categoryBudgets: values })
+      if (!ok) return toast.error(error || "Failed to update budget lines")
+
+      setEditing(false)
+      await onChange()
+      toast.success("Budget lines updated")
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to update budget lines")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (editing) {
+    return (
+      <form className="mt-6 border-t pt-4" onSubmit={handleSave}>
+        <h2 className="text-sm font-semibold mb-3">Budget by category</h2>
+        <div className="grid grid-cols-2 gap-3 md:grid-cols-3">
+          {EXPENSE_CATEGORIES.map(({ value, label }) => (
+            <div key={value}>
+              <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor={`category-budget-${value}`}>
+                {label} ({project.currency})
+              </label>
+              <input
+                id={`category-budget-${value}`}
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="No budget line"
+                className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+                value={values[value]}
+                onChange={e => setValues(prev => ({ ...prev, [value]: e.target.value }))}
+              />
+            </div>
+          ))}
+        </div>
+        <div className="mt-4 flex justify-end gap-2">
+          <button type="button" className="rounded-md border px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50" onClick={() => setEditing(false)} disabled={saving}>
+            Cancel
+          </button>
+          <button type="submit" disabled={saving} className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70">
+            {saving ? "Saving..." : "Save budget lines"}
+          </button>
+        </div>
+      </form>
+    )
+  }
+
+  return (
+    <div className="mt-6 border-t pt-4">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-semibold">Budget by category</h2>
+        {canEdit ? (
+          <button type="button" className="text-xs text-primary hover:underline" onClick={handleStartEditing}>
+            Edit budget lines
+          </button>
+        ) : null}
+      </div>
+
+      {lines.length === 0 ? (
+        <p className="text-sm text-gray-500">No category budgets or expenses yet.</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">Category</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">Allocated</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">Spent</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">Remaining</th>
+              <th className="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map(line => (
+              <tr key={line.category} className="border-t">
+                <td className="px-4 py-2 capitalize">{line.category}</td>
+                <td className="px-4 py-2">{line.allocated === null ? "-" : formatCurrency(line.allocated, project.currency)}</td>
+                <td className="px-4 py-2">{formatCurrency(line.spent, project.currency)}</td>
+                <td className="px-4 py-2">{line.allocated === null ? "-" : formatCurrency(line.remaining, project.currency)}</td>
+                <td className="px-4 py-2">
+                  {line.allocated === null ? (
+                    <span className="text-xs text-gray-400">No budget line</span>
+                  ) : (
+                    <span
+                      className={`inline-flex items-center rounded-full px-2 py-1 text-xs font-medium ${
+                        line.isOverBudget ? "bg-red-100 text-red-700" : "bg-green-100 text-green-700"
+                      }`}
+                    >
+                      {line.isOverBudget ? "Over budget" : `${line.percentage ?? 0}%`}
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
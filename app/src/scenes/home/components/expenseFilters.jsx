@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from "react"
+import { useDebounce } from "use-debounce"
+
+import { EXPENSE_CATEGORIES } from "@/utils/constants"
+
+const FILTER_FIELDS = ["search", "from", "to", "category", "createdBy", "minAmount", "maxAmount"]
+
+export function hasFilters(filters) {
+  return FILTER_FIELDS.some(field => filters[field])
+}
+
+// Filters of the expense list. They live in the URL, `filters` is the parsed query string and
+// `onChange` receives the filters to change. The text search waits for the user to stop typing.
+export default function ExpenseFilters({ project, filters, onChange }) {
+  const [search, setSearch] = useState(filters.search || "")
+  const [debouncedSearch] = useDebounce(search, 400)
+
+  useEffect(() => {
+    if (debouncedSearch !== (filters.search || "")) onChange({ search: debouncedSearch })
+  }, [debouncedSearch])
+
+  // Keeps the input in sync when the URL changes on its own, e.g. going back in the history
+  useEffect(() => {
+    setSearch(filters.search || "")
+  }, [filters.search])
+
+  const handleChange = field => e => onChange({ [field]: e.target.value })
+
+  return (
+    <div className="flex flex-wrap items-end gap-3 mb-4">
+      <div className="flex-1 min-w-[180px]">
+        <label className="block text-xs text-gray-500 mb-1" htmlFor="expenses-search">
+          Search
+        </label>
+        <input
+          id="expenses-search"
+          type="search"
+          placeholder="Description"
+          className="w-full rounded-md border px-3 py-2 text-sm"
+          value={search}
+          onChange={e => setSearch(e.target.value)}
+        />
+      </div>
+      <div>
+        <label className="block text-xs text-gray-500 mb-1" htmlFor="expenses-category">
+          Category
+        </label>
+        <select id="expenses-category" className="rounded-md border px-3 py-2 text-sm bg-white" value={filters.category || ""} onChange={handleChange("category")}>
+          <option value="">All categories</option>
+          {EXPENSE_CATEGORIES.map(category => (
+            <option key={category.value} value={category.value}>
+              {category.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs text-gray-500 mb-1" htmlFor="expenses-created-by">
+          Created by
+        </label>
+        <select id="expenses-created-by" className="rounded-md border px-3 py-2 text-sm bg-white" value={filters.createdBy || ""} onChange={handleChange("createdBy")}>
+          <option value="">Anyone</option>
+          {(project.members || []).map(member => (
+            <option key={member._id} value={member._id}>
+              {member.name || member.email}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs text-gray-500 mb-1" htmlFor="expenses-from">
+          From
+        </label>
+        <input id="expenses-from" type="date" className="rounded-md border px-3 py-2 text-sm" value={filters.from || ""} onChange={handleChange("from")} />
+      </div>
+      <div>
+        <label className="block text-xs text-gray-500 mb-1" htmlFor="expenses-to">
+          To
+        </label>
+        <input id="expenses-to" type="date" className="rounded-md border px-3 py-2 text-sm" value={filters.to || ""} onChange={handleChange("to")} />
+      </div>
+      <div>
+        <label className="block text-xs text-gray-500 mb-1" htmlFor="expenses-min-amount">
+          Amount ({project.currency})
+        </label>
+        <div className="flex items-center gap-1">
+          <input
+            id="expenses-min-amount"
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="Min"
+            className="w-24 rounded-md border px-3 py-2 text-sm"
+            value={filters.minAmount || ""}
+            onChange={handleChange("minAmount")}
+          />
+          <input
+            aria-label="Maximum amount"
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="Max"
+            className="w-24 rounded-md border px-3 py-2 text-sm"
+            value={filters.maxAmount || ""}
+            onChange={handleChange("maxAmount")}
+          />
+        </div>
+      </div>
+      {hasFilters(filters) ? (
+        <button type="button" className="py-2 text-xs text-primary hover:underline" onClick={() => onChange(Object.fromEntries(FILTER_FIELDS.map(field => [field, ""])))}>
+          Clear filters
+        </button>
+      ) : null}
+    </div>
+  )
+}
@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from "react"
+import toast from "react-hot-toast"
+
+import api from "@/services/api"
+import { formatCurrency } from "@/utils"
+
+export default function Forecast({ project }) {
+  const [forecast, setForecast] = useState(null)
+
+  async function fetchForecast() {
+    try {
+      const { ok, data, error } = await api.get(`/api/projects/${project._id}/forecast`)
+      if (!ok) return toast.error(error || "Failed to load forecast")
+      setForecast(data)
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load forecast")
+    }
+  }
+
+  useEffect(() => {
+    fetchForecast()
+  }, [project._id])
+
+  if (!forecast) return null
+
+  const formatDate = date => (date ? new Date(date).toLocaleDateString() : "-")
+
+  return (
+    <div className="bg-white border rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold">Forecast</h2>
+        {forecast.exhaustedBeforeEnd ? (
+          <span className="inline-flex items-center rounded-full px-3 py-1 text-xs font-medium bg-red-100 text-red-700">Budget runs out before the end date</span>
+        ) : null}
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 text-sm md:grid-cols-4 mb-6">
+        <div>
+          <div className="text-xs text-gray-500">Burn rate</div>
+          <div className="font-medium">{formatCurrency(forecast.dailyBurnRate, project.currency)} / day</div>
+          <div className="text-xs text-gray-500">{formatCurrency(forecast.weeklyBurnRate, project.currency)} / week</div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">Projected at end date</div>
+          <div className={`font-medium ${forecast.willExceedBudget ? "text-red-600" : ""}`}>
+            {forecast.projectedAtEnd === null ? "No end date" : formatCurrency(forecast.projectedAtEnd, project.currency)}
+          </div>
+          {forecast.projectedBand ? (
+            <div className="text-xs text-gray-500">
+              {formatCurrency(forecast.projectedBand.low, project.currency)} – {formatCurrency(forecast.projectedBand.high, project.currency)}
+            </div>
+          ) : null}
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">{forecast.totalSpent > forecast.budget ? "Budget exhausted on" : "Budget exhausted around"}</div>
+          <div className="font-medium">{forecast.exhaustedAt ? formatDate(forecast.exhaustedAt) : "Not at the current pace"}</div>
+          {forecast.exhaustionBand ? (
+            <div className="text-xs text-gray-500">
+              {formatDate(forecast.exhaustionBand.earliest)} – {forecast.exhaustionBand.latest ? formatDate(forecast.exhaustionBand.latest) : "never"}
+            </div>
+          ) : null}
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">End date</div>
+          <div className="font-medium">{formatDate(project.endDate)}</div>
+        </div>
+      </div>
+
+      <BurnDownChart series={forecast.series} budget={forecast.budget} />
+    </div>
+  )
+}
+
+const WIDTH = 600
+const HEIGHT = 200
+const PADDING = 8
+
+const BurnDownChart = ({ series, budget }) => {
+  if (series.length < 2) return null
+
+  const values = series.flatMap(point => [point.actual, point.projected, point.ideal]).filter(value => value !== null)
+  const minValue = Math.min(0, ...values)
+  const maxValue = Math.max(budget, ...values)
+  const firstDate = new Date(series[0].date).getTime()
+  const lastDate = new Date(series[series.length - 1].date).getTime()
+
+  const x = date => PADDING + ((new Date(date).getTime() - firstDate) / (lastDate - firstDate || 1)) * (WIDTH - 2 * PADDING)
+  const y = value => PADDING + ((maxValue - value) / (maxValue - minValue || 1)) * (HEIGHT - 2 * PADDING)
+  const line = field =>
+    series
+      .filter(point => point[field] !== null)
+      .map(point => `${x(point.date)},${y(point[field])}`)
+      .join(" ")
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-48">
+        <line x1={PADDING} x2={WIDTH - PADDING} y1={y(0)} y2={y(0)} className="stroke-gray-300" strokeWidth="1" />
+        <polyline points={line("ideal")} fill="none" className="stroke-gray-400" strokeWidth="2" strokeDasharray="4 4" />
+        <polyline points={line("projected")} fill="none" className="stroke-orange-400" strokeWidth="2" strokeDasharray="6 3" />
+        <polyline points={line("actual")} fill="none" className="stroke-blue-500" strokeWidth="2" />
+      </svg>
+      <div className="mt-2 flex gap-4 text-xs text-gray-500">
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-0.5 bg-blue-500" /> Actual remaining
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-0.5 bg-orange-400" /> Projected
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-0.5 bg-gray-400" /> Ideal
+        </span>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,239 @@
+import React, { useState } from "react"
+import toast from "react-hot-toast"
+
+import Modal from "@/components/modal"
+import { Stepper } from "@/components/stepper"
+import api from "@/services/api"
+import { formatCurrency } from "@/utils"
+
+import step1 from "@/assets/illustrations/import-member/step-1.png"
+import step2 from "@/assets/illustrations/import-member/step-2.png"
+import step3 from "@/assets/illustrations/import-member/step-3.png"
+
+const FIELDS = [
+  { value: "description", label: "Description" },
+  { value: "amount", label: "Amount" },
+  { value: "category", label: "Category" },
+  { value: "date", label: "Date" }
+]
+
+const STEPS = [
+  { title: "Upload a CSV file", illustration: step1 },
+  { title: "Map the columns", illustration: step2 },
+  { title: "Check and import", illustration: step3 }
+]
+
+export default function ImportExpenses({ project, onImported }) {
+  const [open, setOpen] = useState(false)
+
+  return (
+    <>
+      <button type="button" className="text-xs text-primary hover:underline" onClick={() => setOpen(true)}>
+        Import CSV
+      </button>
+      <Modal isOpen={open} onClose={() => setOpen(false)} className="max-w-3xl">
+        {open ? (
+          <ImportWizard
+            project={project}
+            onClose={() => setOpen(false)}
+            onImported={async () => {
+              setOpen(false)
+              await onImported()
+            }}
+          />
+        ) : null}
+      </Modal>
+    </>
+  )
+}
+
+const ImportWizard = ({ project, onClose, onImported }) => {
+  const [step, setStep] = useState(1)
+  const [content, setContent] = useState("")
+  const [headers, setHeaders] = useState([])
+  const [mapping, setMapping] = useState({})
+  const [rows, setRows] = useState([])
+  const [truncated, setTruncated] = useState(false)
+  const [loading, setLoading] = useState(false)
+
+  async function preview(fileContent, columnMapping) {
+    const { ok, data, error } = await api.post("/api/expenses/import/preview", { projectId: project._id, content: fileContent, mapping: columnMapping })
+    if (!ok) throw new Error(error || "Failed to read the file")
+    return data
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files[0]
+    e.target.value = ""
+    if (!file) return
+
+    try {
+      setLoading(true)
+      const fileContent = await file.text()
+      const data = await preview(fileContent)
+      if (!data.headers.length) return toast.error("The file is empty")
+
+      setContent(fileContent)
+      setHeaders(data.headers)
+      setMapping(data.mapping)
+      setStep(2)
+    } catch (e) {
+      console.log(e)
+      toast.error(e.message || "Failed to read the file")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function handlePreview() {
+    try {
+      setLoading(true)
+      const data = await preview(content, mapping)
+      setRows(data.rows)
+      setTruncated(data.truncated)
+      setStep(3)
+    } catch (e) {
+      console.log(e)
+      toast.error(e.message || "Failed to read the file")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function handleImport() {
+    try {
+      setLoading(true)
+      const { ok, data, error } = await api.post("/api/expenses/import", { projectId: project._id, content, mapping })
+      if (!ok) return toast.error(error || "Failed to import expenses")
+
+      toast.success(`${data.imported} expense(s) imported`)
+      if (data.truncated) toast.error(`Only the first ${data.maxRows} rows of the file were read, split it to import the rest`)
+      await onImported()
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to import expenses")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const validCount = rows.filter(row => !row.errors.length).length
+  const { title, illustration } = STEPS[step - 1]
+
+  return (
+    <div className="p-6">
+      <Stepper currentStep={step} totalStep={STEPS.length} parentClassName="max-w-xs mb-6" />
+
+      <div className="flex items-center gap-4 mb-6">
+        <img src={illustration} alt="" className="w-24 h-auto" />
+        <div>
+          <h2 className="text-lg font-semibold">{title}</h2>
+          {step === 1 ? (
+            <p className="text-sm text-gray-600">
+              One expense per line, with a header line. Amounts are in {project.currency}, dates as YYYY-MM-DD or DD/MM/YYYY.
+            </p>
+          ) : null}
+          {step === 3 ? (
+            <p className="text-sm text-gray-600">
+              {validCount} of {rows.length} row(s) are valid. Rows with errors are skipped.
+              {truncated ? " Only the first rows of the file are imported, split it to import the rest." : ""}
+            </p>
+          ) : null}
+        </div>
+      </div>
+
+      {step === 1 ? (
+        <label className="flex flex-col items-center justify-center h-32 rounded-md border-2 border-dashed text-sm text-gray-600 cursor-pointer hover:bg-gray-50">
+          {loading ? "Reading..." : "Choose a CSV file"}
+          <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleFile} disabled={loading} />
+        </label>
+      ) : null}
+
+      {step === 2 ? (
+        <div className="grid grid-cols-2 gap-3">
+          {FIELDS.map(field => (
+            <div key={field.value}>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor={`import-${field.value}`}>
+                {field.label}
+              </label>
+              <select
+                id={`import-${field.value}`}
+                className="w-full rounded-md border px-3 py-2 text-sm bg-white"
+                value={mapping[field.value] ?? ""}
+                onChange={e => setMapping(prev => ({ ...prev, [field.value]: e.target.value === "" ? null : Number(e.target.value) }))}
+              >
+                <option value="">{field.value === "category" ? "None (Other)" : "None"}</option>
+                {headers.map((header, index) => (
+                  <option key={index} value={index}>
+                    {header || `Column ${index + 1}`}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      {step === 3 ? (
+        <div className="max-h-80 overflow-auto border rounded-md">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Line</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Description</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Amount</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Category</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Date</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.line} className={`border-t ${row.errors.length ? "bg-red-50" : ""}`}>
+                  <td className="px-3 py-2 text-xs text-gray-500">{row.line}</td>
+                  <td className="px-3 py-2">
+                    {row.values.description || "-"}
+                    {row.errors.length ? <div className="text-xs text-red-600">{row.errors.join(", ")}</div> : null}
+                  </td>
+                  <td className="px-3 py-2">{row.values.amount ? formatCurrency(row.values.amount, project.currency) : "-"}</td>
+                  <td className="px-3 py-2 capitalize">{row.values.category}</td>
+                  <td className="px-3 py-2 text-xs text-gray-500">{row.values.date ? new Date(row.values.date).toLocaleDateString() : "-"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+
+      <div className="mt-6 flex justify-between">
+        <button
+          type="button"
+          className="rounded-md border px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+          onClick={() => (step === 1 ? onClose() : setStep(step - 1))}
+          disabled={loading}
+        >
+          {step === 1 ? "Cancel" : "Back"}
+        </button>
+        {step === 2 ? (
+          <button
+            type="button"
+            disabled={loading}
+            className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70"
+            onClick={handlePreview}
+          >
+            {loading ? "Checking..." : "Preview"}
+          </button>
+        ) : null}
+        {step === 3 ? (
+          <button
+            type="button"
+            disabled={loading || validCount === 0}
+            className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70"
+            onClick={handleImport}
+          >
+            {loading ? "Importing..." : `Import ${validCount} expense(s)`}
+          </button>
+        ) : null}
+      </div>
+    </div>
+  )
+}
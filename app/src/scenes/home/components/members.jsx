@@ -0,0 +1,382 @@
+import React, { useEffect, useState } from "react"
+import { useNavigate } from "react-router-dom"
+import toast from "react-hot-toast"
+import { useDebounce } from "use-debounce"
+
+import api from "@/services/api"
+import useStore from "@/services/store"
+import MultiSelect from "@/components/MultiSelect"
+import { can, formatCurrency } from "@/utils"
+import { PROJECT_ROLES } from "@/utils/constants"
+
+// Members without a role are contributors
+export function getMemberRole(project, memberId) {
+  if (memberId === project.createdBy?._id) return "owner"
+  return (project.roles || []).find(entry => entry.user === memberId)?.role || "contributor"
+}
+
+function MemberAvatar({ member }) {
+  if (member.avatar) return <img className="h-8 w-8 rounded-full border object-cover" src={member.avatar} alt="" />
+  const initials = (member.name || member.email || "?")
+    .split(/[\s@.]+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0])
+    .join("")
+  return <span className="h-8 w-8 rounded-full border bg-white flex items-center justify-center uppercase font-bold text-gray-800 text-xs">{initials}</span>
+}
+
+// Picks people of the organization to add to the project, searching them on the server as the user types
+function AddMembers({ project, onChange }) {
+  const [search, setSearch] = useState("")
+  const [debouncedSearch] = useDebounce(search, 300)
+  const [users, setUsers] = useState([])
+  const [selected, setSelected] = useState([])
+  const [role, setRole] = useState("contributor")
+  const [adding, setAdding] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    api
+      .post("/user/search", { search: debouncedSearch, per_page: 20 })
+      .then(({ ok, data }) => {
+        if (ok && !cancelled) setUsers(data.users)
+      })
+      .catch(e => console.log(e))
+    return () => {
+      cancelled = true
+    }
+  }, [debouncedSearch])
+
+  const memberIds = (project.members || []).map(member => member._id)
+  const options = users.filter(e => !memberIds.includes(e._id)).map(e => ({ value: e._id, label: e.name ? `${e.name} (${e.email})` : e.email }))
+
+  async function handleAdd() {
+    try {
+      setAdding(true)
+      for (const option of selected) {
+        const { ok, error } = await api.post(`/api/projects/${project._id}/members`, { userId: option.value, role })
+        if (!ok) return toast.error(error || `Failed to add ${option.label}`)
+      }
+      toast.success(selected.length > 1 ? `${selected.length} members added` : "Member added")
+      setSelected([])
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to add the member")
+    } finally {
+      setAdding(false)
+      await onChange()
+    }
+  }
+
+  return (
+    <div className="mt-4 flex gap-2">
+      <div className="flex-1">
+        <MultiSelect id="add-members" options={options} values={selected} onSelectedChange={setSelected} onSearch={setSearch} placeholder="Add members" />
+      </div>
+      <select
+        aria-label="Role"
+        className="rounded-md border px-2 py-2 text-sm bg-white focus:outline-none focus:ring-1 focus:ring-primary"
+        value={role}
+        onChange={e => setRole(e.target.value)}
+      >
+        {PROJECT_ROLES.filter(e => e.value !== "owner").map(option => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        disabled={adding || selected.length === 0}
+        className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70"
+        onClick={handleAdd}
+      >
+        {adding ? "Adding..." : "Add"}
+      </button>
+    </div>
+  )
+}
+
+export default function Members({ project, canEdit, onChange }) {
+  const { user } = useStore()
+  const navigate = useNavigate()
+  const [saving, setSaving] = useState(null)
+  const [invitations, setInvitations] = useState([])
+  const [inviteValues, setInviteValues] = useState({ email: "", role: "contributor" })
+  const [inviting, setInviting] = useState(false)
+
+  async function fetchInvitations() {
+    try {
+      const { ok, data, error } = await api.get(`/api/projects/${project._id}/invitations`)
+      if (!ok) return toast.error(error || "Failed to load invitations")
+      setInvitations(data)
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load invitations")
+    }
+  }
+
+  useEffect(() => {
+    if (canEdit) fetchInvitations()
+  }, [project._id, canEdit])
+
+  async function handleInvite(e) {
+    e.preventDefault()
+
+    try {
+      setInviting(true)
+      const { ok, data, error } = await api.post(`/api/projects/${project._id}/invitations`, inviteValues)
+      if (!ok) return toast.error(error || "Failed to send the invitation")
+
+      setInviteValues({ email: "", role: inviteValues.role })
+      if (data.joined) await onChange()
+      await fetchInvitations()
+      toast.success(data.joined ? "Added to the project" : "Invitation sent")
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to send the invitation")
+    } finally {
+      setInviting(false)
+    }
+  }
+
+  async function handleRevoke(invitation) {
+    if (!window.confirm(`Revoke the invitation of ${invitation.email}?`)) return
+
+    try {
+      const { ok, error } = await api.delete(`/api/projects/${project._id}/invitations/${invitation._id}`)
+      if (!ok) return toast.error(error || "Failed to revoke the invitation")
+
+      await fetchInvitations()
+      toast.success("Invitation revoked")
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to revoke the invitation")
+    }
+  }
+
+  async function handleRoleChange(member, role) {
+    try {
+      setSaving(member._id)
+      const { ok, error } = await api.put(`/api/projects/${project._id}/members/${member._id}`, { role })
+      if (!ok) return toast.error(error || "Failed to change the role")
+
+      await onChange()
+      toast.success(`${member.name || member.email} is now ${PROJECT_ROLES.find(e => e.value === role).label.toLowerCase()}`)
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to change the role")
+    } finally {
+      setSaving(null)
+    }
+  }
+
+  async function handleRemove(member) {
+    if (!window.confirm(`Remove ${member.name || member.email} from the project? The expenses they created stay on the project.`)) return
+
+    try {
+      setSaving(member._id)
+      const { ok, error } = await api.delete(`/api/projects/${project._id}/members/${member._id}`)
+      if (!ok) return toast.error(error || "Failed to remove the member")
+
+      await onChange()
+      toast.success(`${member.name || member.email} removed from the project`)
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to remove the member")
+    } finally {
+      setSaving(null)
+    }
+  }
+
+  async function handleLeave() {
+    if (!window.confirm("Leave this project? You will no longer see it, the expenses you created stay on it.")) return
+
+    try {
+      const { ok, error } = await api.post(`/api/projects/${project._id}/leave`)
+      if (!ok) return toast.error(error || "Failed to leave the project")
+
+      toast.success("You left the project")
+      navigate("/")
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to leave the project")
+    }
+  }
+
+  async function handleTransfer(member) {
+    if (!window.confirm(`Transfer the ownership of this project to ${member.name || member.email}? It changes hands once they accept, and you stay on as a manager.`)) return
+
+    try {
+      setSaving(member._id)
+      const { ok, error } = await api.post(`/api/projects/${project._id}/ownership-transfer`, { userId: member._id })
+      if (!ok) return toast.error(error || "Failed to transfer the project")
+
+      await onChange()
+      toast.success(`Waiting for ${member.name || member.email} to accept the ownership`)
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to transfer the project")
+    } finally {
+      setSaving(null)
+    }
+  }
+
+  async function handleTransferAnswer(accept) {
+    if (accept && !window.confirm("Become the owner of this project?")) return
+
+    try {
+      const { ok, error } = accept ? await api.post(`/api/projects/${project._id}/ownership-transfer/accept`) : await api.delete(`/api/projects/${project._id}/ownership-transfer`)
+      if (!ok) return toast.error(error || "Failed to answer the transfer")
+
+      await onChange()
+      toast.success(accept ? "You are now the owner of the project" : "Transfer cancelled")
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to answer the transfer")
+    }
+  }
+
+  const isOwner = project.createdBy?._id === user._id
+  const transferTo = (project.members || []).find(member => member._id === project.ownershipTransfer?.to)
+  const spentByMember = project.budgetStatus?.spentByMember || {}
+  const totalSpent = project.budgetStatus?.totalSpent || 0
+
+  return (
+    <div className="bg-white border rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold">Members</h2>
+        {isOwner ? null : (
+          <button type="button" className="text-xs text-red-600 hover:underline" onClick={handleLeave}>
+            Leave project
+          </button>
+        )}
+      </div>
+
+      {transferTo?._id === user._id ? (
+        <div className="mb-4 flex items-center justify-between rounded-md bg-blue-50 px-4 py-3 text-sm text-blue-800">
+          <span>{project.createdBy?.name || project.createdBy?.email} wants to transfer the ownership of this project to you.</span>
+          <span className="flex gap-3">
+            <button type="button" className="text-xs font-medium text-primary hover:underline" onClick={() => handleTransferAnswer(true)}>
+              Accept
+            </button>
+            <button type="button" className="text-xs text-gray-600 hover:underline" onClick={() => handleTransferAnswer(false)}>
+              Decline
+            </button>
+          </span>
+        </div>
+      ) : transferTo && isOwner ? (
+        <div className="mb-4 flex items-center justify-between rounded-md bg-gray-50 px-4 py-3 text-sm text-gray-600">
+          <span>Waiting for {transferTo.name || transferTo.email} to accept the ownership of this project.</span>
+          <button type="button" className="text-xs text-gray-600 hover:underline" onClick={() => handleTransferAnswer(false)}>
+            Cancel transfer
+          </button>
+        </div>
+      ) : null}
+
+      <ul className="divide-y text-sm">
+        {(project.members || []).map(member => {
+          const role = getMemberRole(project, member._id)
+          const spent = spentByMember[member._id] || 0
+          const share = totalSpent ? Math.round((spent / totalSpent) * 100) : 0
+          return (
+            <li key={member._id} className="flex items-center justify-between gap-4 py-2">
+              <span className="flex min-w-0 flex-1 items-center gap-3">
+                <MemberAvatar member={member} />
+                <span className="min-w-0">
+                  {member.name || member.email}
+                  {member.name ? <span className="block text-xs text-gray-500">{member.email}</span> : null}
+                </span>
+              </span>
+              <span className="w-32 text-xs text-gray-500" title={`${share}% of the approved spend`}>
+                {formatCurrency(spent, project.currency)} · {share}%
+                <span className="mt-1 block h-1.5 rounded-full bg-gray-100">
+                  <span className="block h-1.5 rounded-full bg-primary" style={{ width: `${share}%` }} />
+                </span>
+              </span>
+              {canEdit && role !== "owner" ? (
+                <span className="flex items-center gap-3">
+                  <select
+                    aria-label="Role"
+                    className="rounded-md border px-2 py-1 text-xs bg-white focus:outline-none focus:ring-1 focus:ring-primary"
+                    value={role}
+                    disabled={saving === member._id}
+                    onChange={e => handleRoleChange(member, e.target.value)}
+                  >
+                    {PROJECT_ROLES.filter(e => e.value !== "owner").map(option => (
+                      <option key={option.value} value={option.value} title={option.description}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                  {can(project, "project.transfer") && !transferTo ? (
+                    <button type="button" className="text-xs text-primary hover:underline" disabled={saving === member._id} onClick={() => handleTransfer(member)}>
+                      Make owner
+                    </button>
+                  ) : null}
+                  <button type="button" className="text-xs text-red-600 hover:underline" disabled={saving === member._id} onClick={() => handleRemove(member)}>
+                    Remove
+                  </button>
+                </span>
+              ) : (
+                <span className="text-xs text-gray-500" title={PROJECT_ROLES.find(e => e.value === role)?.description}>
+                  {PROJECT_ROLES.find(e => e.value === role)?.label}
+                </span>
+              )}
+            </li>
+          )
+        })}
+        {invitations.map(invitation => (
+          <li key={invitation._id} className="flex items-center justify-between py-2">
+            <span className="text-gray-600">
+              {invitation.email}
+              <span className="block text-xs text-gray-500">
+                Invited as {PROJECT_ROLES.find(e => e.value === invitation.role)?.label.toLowerCase()}, expires on {new Date(invitation.expiresAt).toLocaleDateString()}
+              </span>
+            </span>
+            <span className="flex items-center gap-3">
+              <span className="inline-flex items-center rounded-full px-2 py-1 text-xs font-medium bg-yellow-100 text-yellow-800">Pending</span>
+              <button type="button" className="text-xs text-red-600 hover:underline" onClick={() => handleRevoke(invitation)}>
+                Revoke
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {canEdit ? <AddMembers project={project} onChange={onChange} /> : null}
+
+      {canEdit ? (
+        <form className="mt-4 flex gap-2" onSubmit={handleInvite}>
+          <input
+            type="email"
+            placeholder="Invite by email"
+            className="flex-1 rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+            value={inviteValues.email}
+            onChange={e => setInviteValues({ ...inviteValues, email: e.target.value })}
+          />
+          <select
+            aria-label="Role"
+            className="rounded-md border px-2 py-2 text-sm bg-white focus:outline-none focus:ring-1 focus:ring-primary"
+            value={inviteValues.role}
+            onChange={e => setInviteValues({ ...inviteValues, role: e.target.value })}
+          >
+            {PROJECT_ROLES.filter(e => e.value !== "owner").map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={inviting || !inviteValues.email}
+            className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70"
+          >
+            {inviting ? "Sending..." : "Invite"}
+          </button>
+        </form>
+      ) : null}
+    </div>
+  )
+}
@@ -0,0 +1,270 @@
+import React, { useEffect, useState } from "react"
+import { Link } from "react-router-dom"
+import toast from "react-hot-toast"
+
+import api from "@/services/api"
+import { formatCurrency } from "@/utils"
+import { CURRENCIES, EXPENSE_CATEGORIES, PROJECT_STATES } from "@/utils/constants"
+
+const SECTIONS = ["summary", "monthly", "categories", "over-budget", "largest-expenses"]
+
+// Spend across every project the user can access, from the dashboard aggregation endpoints
+export default function PortfolioDashboard() {
+  const [filters, setFilters] = useState({ from: "", to: "", state: "", currency: "EUR" })
+  const [data, setData] = useState(null)
+  const [missingRates, setMissingRates] = useState([])
+
+  async function fetchDashboard() {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value))
+
+    try {
+      const responses = await Promise.all(SECTIONS.map(section => api.get(`/api/dashboard/${section}?${query}`)))
+      const failed = responses.find(response => !response.ok)
+      if (failed) return toast.error(failed.error || "Failed to load the dashboard")
+
+      setData(Object.fromEntries(SECTIONS.map((section, index) => [section, responses[index].data])))
+      setMissingRates(responses[0].missingRates)
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load the dashboard")
+    }
+  }
+
+  useEffect(() => {
+    fetchDashboard()
+  }, [filters])
+
+  const handleChange = field => e => setFilters(prev => ({ ...prev, [field]: e.target.value }))
+  const { currency } = filters
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label className="block text-xs text-gray-500 mb-1" htmlFor="dashboard-from">
+            From
+          </label>
+          <input id="dashboard-from" type="date" className="rounded-md border px-3 py-2 text-sm" value={filters.from} onChange={handleChange("from")} />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1" htmlFor="dashboard-to">
+            To
+          </label>
+          <input id="dashboard-to" type="date" className="rounded-md border px-3 py-2 text-sm" value={filters.to} onChange={handleChange("to")} />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1" htmlFor="dashboard-state">
+            State
+          </label>
+          <select id="dashboard-state" className="rounded-md border px-3 py-2 text-sm bg-white" value={filters.state} onChange={handleChange("state")}>
+            <option value="">All states</option>
+            {PROJECT_STATES.map(state => (
+              <option key={state.value} value={state.value}>
+                {state.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1" htmlFor="dashboard-currency">
+            Currency
+          </label>
+          <select id="dashboard-currency" className="rounded-md border px-3 py-2 text-sm bg-white" value={filters.currency} onChange={handleChange("currency")}>
+            {CURRENCIES.map(code => (
+              <option key={code} value={code}>
+                {code}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {missingRates.length ? (
+        <p className="rounded-md bg-orange-50 px-4 py-3 text-sm text-orange-800">
+          Projects in {missingRates.join(", ")} are left out: no exchange rate into {currency} is known.
+        </p>
+      ) : null}
+
+      {!data ? null : (
+        <>
+          <Summary summary={data.summary} currency={currency} />
+          <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+            <MonthlySpend series={data.monthly} currency={currency} />
+            <CategorySpend categories={data.categories} currency={currency} />
+            <OverBudgetProjects projects={data["over-budget"]} />
+            <LargestExpenses expenses={data["largest-expenses"]} currency={currency} />
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+const Summary = ({ summary, currency }) => {
+  const percentage = summary.totalBudget ? Math.round((summary.totalSpent / summary.totalBudget) * 100) : 0
+
+  return (
+    <div className="bg-white border rounded-lg p-6">
+      <div className="grid grid-cols-2 gap-4 text-sm md:grid-cols-4 mb-4">
+        <div>
+          <div className="text-xs text-gray-500">Total budget</div>
+          <div className="font-medium">{formatCurrency(summary.totalBudget, currency)}</div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">Total spent</div>
+          <div className={`font-medium ${summary.totalSpent > summary.totalBudget ? "text-red-600" : ""}`}>{formatCurrency(summary.totalSpent, currency)}</div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">Remaining</div>
+          <div className="font-medium">{formatCurrency(Math.max(0, summary.totalBudget - summary.totalSpent), currency)}</div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">Projects</div>
+          <div className="font-medium">{summary.projectsCount}</div>
+          <div className="text-xs text-gray-500">
+            {PROJECT_STATES.filter(state => summary.byState[state.value])
+              .map(state => `${summary.byState[state.value]} ${state.label.toLowerCase()}`)
+              .join(", ")}
+          </div>
+        </div>
+      </div>
+      <div className="h-2 rounded-full bg-gray-100">
+        <div className={`h-2 rounded-full ${percentage > 100 ? "bg-red-500" : "bg-primary"}`} style={{ width: `${Math.min(100, percentage)}%` }} />
+      </div>
+      <div className="mt-1 text-xs text-gray-500">{percentage}% of the budget spent</div>
+    </div>
+  )
+}
+
+const WIDTH = 600
+const HEIGHT = 200
+const PADDING = 8
+
+const MonthlySpend = ({ series, currency }) => {
+  const maxValue = Math.max(0, ...series.map(point => point.total))
+  const barWidth = (WIDTH - 2 * PADDING) / Math.max(series.length, 1)
+
+  return (
+    <div className="bg-white border rounded-lg p-6">
+      <h2 className="text-sm font-semibold mb-4">Spend by month</h2>
+      {series.length === 0 ? (
+        <p className="text-sm text-gray-500">No spend in this period.</p>
+      ) : (
+        <>
+          <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-48">
+            {series.map((point, index) => {
+              const height = maxValue ? (point.total / maxValue) * (HEIGHT - 2 * PADDING) : 0
+              return (
+                <rect
+                  key={point.month}
+                  x={PADDING + index * barWidth + barWidth * 0.1}
+                  y={HEIGHT - PADDING - height}
+                  width={barWidth * 0.8}
+                  height={height}
+                  className="fill-blue-500"
+                >
+                  <title>
+                    {point.month}: {formatCurrency(point.total, currency)}
+                  </title>
+                </rect>
+              )
+            })}
+            <line x1={PADDING} x2={WIDTH - PADDING} y1={HEIGHT - PADDING} y2={HEIGHT - PADDING} className="stroke-gray-300" strokeWidth="1" />
+          </svg>
+          <div className="mt-2 flex justify-between text-xs text-gray-500">
+            <span>{series[0].month}</span>
+            <span>Highest: {formatCurrency(maxValue, currency)}</span>
+            <span>{series[series.length - 1].month}</span>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+const CategorySpend = ({ categories, currency }) => {
+  const total = categories.reduce((sum, line) => sum + line.total, 0)
+
+  return (
+    <div className="bg-white border rounded-lg p-6">
+      <h2 className="text-sm font-semibold mb-4">Spend by category</h2>
+      {categories.length === 0 ? (
+        <p className="text-sm text-gray-500">No spend in this period.</p>
+      ) : (
+        <ul className="space-y-3 text-sm">
+          {categories.map(line => {
+            const share = total ? Math.round((line.total / total) * 100) : 0
+            return (
+              <li key={line.category}>
+                <div className="flex justify-between">
+                  <span>{EXPENSE_CATEGORIES.find(e => e.value === line.category)?.label || line.category}</span>
+                  <span className="text-gray-500">
+                    {formatCurrency(line.total, currency)} · {share}%
+                  </span>
+                </div>
+                <div className="mt-1 h-1.5 rounded-full bg-gray-100">
+                  <div className="h-1.5 rounded-full bg-primary" style={{ width: `${share}%` }} />
+                </div>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+const OverBudgetProjects = ({ projects }) => (
+  <div className="bg-white border rounded-lg p-6">
+    <h2 className="text-sm font-semibold mb-4">Over budget projects</h2>
+    {projects.length === 0 ? (
+      <p className="text-sm text-gray-500">No project is over its budget.</p>
+    ) : (
+      <ul className="divide-y text-sm">
+        {projects.map(project => (
+          <li key={project._id} className="flex items-center justify-between py-2">
+            <Link to={`/projects/${project._id}`} className="font-medium hover:underline">
+              {project.name}
+            </Link>
+            <span className="text-right">
+              <span className="text-red-600">+ {formatCurrency(project.overBy, project.currency)}</span>
+              <span className="block text-xs text-gray-500">
+                {formatCurrency(project.totalSpent, project.currency)} of {formatCurrency(project.budget, project.currency)}
+                {project.percentage === null ? null : ` (${project.percentage}%)`}
+              </span>
+            </span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+)
+
+const LargestExpenses = ({ expenses, currency }) => (
+  <div className="bg-white border rounded-lg p-6">
+    <h2 className="text-sm font-semibold mb-4">Largest expenses</h2>
+    {expenses.length === 0 ? (
+      <p className="text-sm text-gray-500">No spend in this period.</p>
+    ) : (
+      <ul className="divide-y text-sm">
+        {expenses.map(expense => (
+          <li key={expense._id} className="flex items-center justify-between py-2">
+            <span>
+              {expense.description}
+              <span className="block text-xs text-gray-500">
+                <Link to={`/projects/${expense.project._id}`} className="hover:underline">
+                  {expense.project.name}
+                </Link>{" "}
+                · {new Date(expense.date).toLocaleDateString()} · {expense.createdBy?.name || expense.createdBy?.email || "-"}
+              </span>
+            </span>
+            <span className="text-right">
+              {formatCurrency(expense.convertedAmount, currency)}
+              {expense.project.currency !== currency ? <span className="block text-xs text-gray-500">{formatCurrency(expense.amount, expense.project.currency)}</span> : null}
+            </span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+)
@@ -0,0 +1,60 @@
+import React, { useState } from "react"
+import toast from "react-hot-toast"
+
+import api from "@/services/api"
+import { PROJECT_STATES, PROJECT_TRANSITIONS } from "@/utils/constants"
+
+const STATE_STYLES = {
+  planning: "bg-blue-100 text-blue-700",
+  active: "bg-green-100 text-green-700",
+  on_hold: "bg-yellow-100 text-yellow-800",
+  closed: "bg-gray-100 text-gray-700"
+}
+
+// Expenses cannot be changed in these states
+export const LOCKED_STATES = ["on_hold", "closed"]
+
+export const ProjectStateBadge = ({ project }) => {
+  const state = project.state || "active"
+  const label = PROJECT_STATES.find(e => e.value === state)?.label || state
+
+  return (
+    <span className="inline-flex items-center gap-1">
+      <span className={`inline-flex items-center rounded-full px-2 py-1 text-xs font-medium ${STATE_STYLES[state]}`}>{label}</span>
+      {project.isOverdue ? <span className="inline-flex items-center rounded-full px-2 py-1 text-xs font-medium bg-red-100 text-red-700">Overdue</span> : null}
+    </span>
+  )
+}
+
+// Buttons moving the project to the states it can go to, for its owner
+export const ProjectStateActions = ({ project, onChange }) => {
+  const [saving, setSaving] = useState(false)
+
+  async function handleTransition(transition) {
+    if (transition.value === "closed" && !window.confirm("Close this project? Its expenses can no longer be changed until it is reopened.")) return
+
+    try {
+      setSaving(true)
+      const { ok, error } = await api.post(`/api/projects/${project._id}/state`, { state: transition.value })
+      if (!ok) return toast.error(error || "Failed to change the project state")
+
+      await onChange()
+      toast.success(`Project ${PROJECT_STATES.find(e => e.value === transition.value).label.toLowerCase()}`)
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to change the project state")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-3">
+      {PROJECT_TRANSITIONS[project.state || "active"].map(transition => (
+        <button key={transition.value} type="button" disabled={saving} className="text-xs text-primary hover:underline disabled:opacity-50" onClick={() => handleTransition(transition)}>
+          {transition.label}
+        </button>
+      ))}
+    </div>
+  )
+}
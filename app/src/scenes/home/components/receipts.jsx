@@ -0,0 +1,85 @@
+import React, { useRef, useState } from "react"
+import toast from "react-hot-toast"
+import { AiFillFilePdf } from "react-icons/ai"
+import { HiX } from "react-icons/hi"
+
+import { readFileAsync } from "@/components/file-input"
+import api from "@/services/api"
+
+// Uploads receipts through /file, the same path as FileInput, and returns them as { url, name }
+export async function uploadReceipts(fileList) {
+  const files = []
+  for (const file of fileList) {
+    const rawBody = await readFileAsync(file)
+    files.push({ rawBody, name: file.name })
+  }
+
+  const { ok, data } = await api.post("/file", { files, folder: "/receipts" })
+  if (!ok) throw new Error("Failed to upload receipts")
+
+  return data.map((url, index) => ({ url, name: files[index].name }))
+}
+
+const isPdf = receipt => /\.pdf$/i.test(receipt.name || receipt.url)
+
+export const ReceiptThumbnails = ({ receipts, onRemove }) => {
+  if (!receipts?.length) return null
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {receipts.map(receipt => (
+        <div key={receipt.url} className="relative group">
+          <a href={receipt.url} target="_blank" rel="noreferrer" title={receipt.name}>
+            {isPdf(receipt) ? (
+              <div className="w-10 h-10 rounded border bg-gray-100 flex items-center justify-center text-red-600">
+                <AiFillFilePdf size={24} />
+              </div>
+            ) : (
+              <img className="w-10 h-10 rounded border object-cover" src={receipt.url} alt={receipt.name || "Receipt"} />
+            )}
+          </a>
+          {onRemove ? (
+            <button
+              type="button"
+              aria-label="Remove receipt"
+              className="absolute -top-1 -right-1 hidden group-hover:flex w-4 h-4 items-center justify-center rounded-full bg-white border text-gray-600 hover:text-red-600"
+              onClick={() => onRemove(receipt)}
+            >
+              <HiX size={10} />
+            </button>
+          ) : null}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export const ReceiptUploadButton = ({ onUploaded, label = "Attach receipt" }) => {
+  const [uploading, setUploading] = useState(false)
+  const inputRef = useRef(null)
+
+  async function handleFileChange(e) {
+    const fileList = [...e.target.files]
+    e.target.value = ""
+    if (!fileList.length) return
+
+    try {
+      setUploading(true)
+      await onUploaded(await uploadReceipts(fileList))
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to upload receipts")
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  return (
+    <>
+      <input ref={inputRef} type="file" accept="image/*,application/pdf" multiple className="hidden" onChange={handleFileChange} />
+      <button type="button" className="text-xs text-primary hover:underline disabled:opacity-70" disabled={uploading} onClick={() => inputRef.current.click()}>
+        {uploading ? "Uploading..." : label}
+      </button>
+    </>
+  )
+}
@@ -0,0 +1,282 @@
+import React, { useEffect, useState } from "react"
+import toast from "react-hot-toast"
+
+import Modal from "@/components/modal"
+import api from "@/services/api"
+import useStore from "@/services/store"
+import { canEditExpense, formatCurrency, formatDateToYYYYMMDD } from "@/utils"
+import { CURRENCIES, EXPENSE_CATEGORIES, FREQUENCIES } from "@/utils/constants"
+
+export default function RecurringExpenses({ project, canAdd }) {
+  const { user } = useStore()
+  const [recurringExpenses, setRecurringExpenses] = useState([])
+  const [editing, setEditing] = useState(null)
+
+  async function fetchRecurringExpenses() {
+    try {
+      const { ok, data, error } = await api.get(`/api/recurring-expenses/project/${project._id}`)
+      if (!ok) return toast.error(error || "Failed to load recurring expenses")
+      setRecurringExpenses(data || [])
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load recurring expenses")
+    }
+  }
+
+  useEffect(() => {
+    fetchRecurringExpenses()
+  }, [project._id])
+
+  async function handleTogglePause(recurringExpense) {
+    try {
+      const { ok, error } = await api.put(`/api/recurring-expenses/${recurringExpense._id}`, { paused: !recurringExpense.paused })
+      if (!ok) return toast.error(error || "Failed to update recurring expense")
+
+      await fetchRecurringExpenses()
+      toast.success(recurringExpense.paused ? "Recurring expense resumed" : "Recurring expense paused")
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to update recurring expense")
+    }
+  }
+
+  async function handleDelete(recurringExpenseId) {
+    if (!window.confirm("Delete this recurring expense? Expenses already created are kept.")) return
+
+    try {
+      const { ok, error } = await api.delete(`/api/recurring-expenses/${recurringExpenseId}`)
+      if (!ok) return toast.error(error || "Failed to delete recurring expense")
+
+      await fetchRecurringExpenses()
+      toast.success("Recurring expense deleted")
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to delete recurring expense")
+    }
+  }
+
+  return (
+    <div className="bg-white border rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-semibold">Recurring expenses</h2>
+        {canAdd ? (
+          <button type="button" className="text-xs text-primary hover:underline" onClick={() => setEditing({})}>
+            New recurring expense
+          </button>
+        ) : null}
+      </div>
+
+      {recurringExpenses.length === 0 ? (
+        <p className="text-sm text-gray-500">No recurring expenses. Use them for subscriptions, hosting or retainers.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Description</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Amount</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Frequency</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Upcoming</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody>
+              {recurringExpenses.map(recurringExpense => (
+                <tr key={recurringExpense._id} className="border-t hover:bg-gray-50">
+                  <td className="px-4 py-3 text-gray-800">
+                    {recurringExpense.description}
+                    <div className="text-xs text-gray-500 capitalize">{recurringExpense.category}</div>
+                  </td>
+                  <td className="px-4 py-3">{formatCurrency(recurringExpense.amount, recurringExpense.currency)}</td>
+                  <td className="px-4 py-3 capitalize">{recurringExpense.frequency}</td>
+                  <td className="px-4 py-3 text-xs text-gray-500">
+                    {recurringExpense.paused ? (
+                      <span className="inline-flex items-center rounded-full px-2 py-1 text-xs font-medium bg-gray-100 text-gray-700">Paused</span>
+                    ) : recurringExpense.upcomingOccurrences.length === 0 ? (
+                      "Ended"
+                    ) : (
+                      recurringExpense.upcomingOccurrences.map(date => new Date(date).toLocaleDateString()).join(", ")
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-right whitespace-nowrap space-x-3">
+                    {canEditExpense(project, recurringExpense, user._id) ? (
+                      <>
+                        <button type="button" className="text-xs text-primary hover:underline" onClick={() => handleTogglePause(recurringExpense)}>
+                          {recurringExpense.paused ? "Resume" : "Pause"}
+                        </button>
+                        <button type="button" className="text-xs text-primary hover:underline" onClick={() => setEditing(recurringExpense)}>
+                          Edit
+                        </button>
+                        <button type="button" className="text-xs text-red-600 hover:underline" onClick={() => handleDelete(recurringExpense._id)}>
+                          Delete
+                        </button>
+                      </>
+                    ) : null}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <Modal isOpen={!!editing} onClose={() => setEditing(null)} className="max-w-lg">
+        {editing ? (
+          <RecurringExpenseForm
+            project={project}
+            recurringExpense={editing}
+            onClose={() => setEditing(null)}
+            onSaved={async () => {
+              setEditing(null)
+              await fetchRecurringExpenses()
+            }}
+          />
+        ) : null}
+      </Modal>
+    </div>
+  )
+}
+
+const RecurringExpenseForm = ({ project, recurringExpense, onClose, onSaved }) => {
+  const [values, setValues] = useState({
+    description: recurringExpense.description || "",
+    amount: recurringExpense.amount || "",
+    currency: recurringExpense.currency || project.currency,
+    category: recurringExpense.category || "other",
+    frequency: recurringExpense.frequency || "monthly",
+    startDate: recurringExpense.startDate ? formatDateToYYYYMMDD(recurringExpense.startDate) : formatDateToYYYYMMDD(new Date()),
+    endDate: recurringExpense.endDate ? formatDateToYYYYMMDD(recurringExpense.endDate) : ""
+  })
+  const [saving, setSaving] = useState(false)
+
+  const handleChange = field => e => {
+    setValues(prev => ({ ...prev, [field]: e.target.value }))
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+
+    if (!values.description.trim()) return toast.error("Description is required")
+    const amountNumber = Number(values.amount)
+    if (!Number.isFinite(amountNumber) || amountNumber <= 0) return toast.error("Amount must be a positive number")
+    if (values.endDate && values.endDate < values.startDate) return toast.error("End date must be after start date")
+
+    const payload = { ...values, description: values.description.trim(), amount: amountNumber, endDate: values.endDate || null }
+
+    try {
+      setSaving(true)
+      const { ok, error } = recurringExpense._id
+        ? await api.put(`/api/recurring-expenses/${recurringExpense._id}`, payload)
+        : await api.post("/api/recurring-expenses", { ...payload, projectId: project._id })
+      if (!ok) return toast.error(error || "Failed to save recurring expense")
+
+      await onSaved()
+      toast.success("Recurring expense saved")
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to save recurring expense")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="p-6">
+      <h2 className="text-lg font-semibold mb-4">{recurringExpense._id ? "Edit recurring expense" : "New recurring expense"}</h2>
+      <form className="space-y-4" onSubmit={handleSubmit}>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="recurring-description">
+            Description
+          </label>
+          <input
+            id="recurring-description"
+            type="text"
+            className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+            value={values.description}
+            onChange={handleChange("description")}
+          />
+        </div>
+
+        <div className="grid grid-cols-3 gap-3">
+          <div className="col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="recurring-amount">
+              Amount
+            </label>
+            <input
+              id="recurring-amount"
+              type="number"
+              min="0"
+              step="0.01"
+              className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+              value={values.amount}
+              onChange={handleChange("amount")}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="recurring-currency">
+              Currency
+            </label>
+            <select id="recurring-currency" className="w-full rounded-md border px-3 py-2 text-sm bg-white" value={values.currency} onChange={handleChange("currency")}>
+              {CURRENCIES.map(currency => (
+                <option key={currency} value={currency}>
+                  {currency}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="recurring-category">
+              Category
+            </label>
+            <select id="recurring-category" className="w-full rounded-md border px-3 py-2 text-sm bg-white" value={values.category} onChange={handleChange("category")}>
+              {EXPENSE_CATEGORIES.map(category => (
+                <option key={category.value} value={category.value}>
+                  {category.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="recurring-frequency">
+              Frequency
+            </label>
+            <select id="recurring-frequency" className="w-full rounded-md border px-3 py-2 text-sm bg-white" value={values.frequency} onChange={handleChange("frequency")}>
+              {FREQUENCIES.map(frequency => (
+                <option key={frequency.value} value={frequency.value}>
+                  {frequency.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="recurring-start-date">
+              Start date
+            </label>
+            <input id="recurring-start-date" type="date" className="w-full rounded-md border px-3 py-2 text-sm" value={values.startDate} onChange={handleChange("startDate")} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="recurring-end-date">
+              End date (optional)
+            </label>
+            <input id="recurring-end-date" type="date" className="w-full rounded-md border px-3 py-2 text-sm" value={values.endDate} onChange={handleChange("endDate")} />
+          </div>
+        </div>
+
+        <div className="mt-6 flex justify-end gap-2">
+          <button type="button" className="rounded-md border px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50" onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+          <button type="submit" disabled={saving} className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70">
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
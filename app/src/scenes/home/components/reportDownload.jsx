@@ -0,0 +1,60 @@
+import React, { useState } from "react"
+
+import Modal from "@/components/modal"
+import { apiURL } from "@/config"
+
+// The report is a plain link: the API authenticates it with the session cookie
+export default function ReportDownload({ project }) {
+  const [open, setOpen] = useState(false)
+  const [values, setValues] = useState({ from: "", to: "" })
+
+  const handleChange = field => e => {
+    setValues(prev => ({ ...prev, [field]: e.target.value }))
+  }
+
+  const query = new URLSearchParams(Object.entries(values).filter(([, value]) => value)).toString()
+  const href = `${apiURL}/api/projects/${project._id}/report.pdf${query ? `?${query}` : ""}`
+  const isInvalid = values.from && values.to && values.to < values.from
+
+  return (
+    <>
+      <button type="button" className="text-xs text-primary hover:underline" onClick={() => setOpen(true)}>
+        Download PDF report
+      </button>
+      <Modal isOpen={open} onClose={() => setOpen(false)} className="max-w-md">
+        <div className="p-6">
+          <h2 className="text-lg font-semibold mb-1">Budget report</h2>
+          <p className="text-sm text-gray-600 mb-4">Leave the dates empty to report on the whole project.</p>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="report-from">
+                From
+              </label>
+              <input id="report-from" type="date" className="w-full rounded-md border px-3 py-2 text-sm" value={values.from} onChange={handleChange("from")} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="report-to">
+                To
+              </label>
+              <input id="report-to" type="date" className="w-full rounded-md border px-3 py-2 text-sm" value={values.to} onChange={handleChange("to")} />
+            </div>
+          </div>
+          {isInvalid ? <p className="mt-2 text-xs text-red-600">End date must be after start date</p> : null}
+
+          <div className="mt-6 flex justify-end gap-2">
+            <button type="button" className="rounded-md border px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50" onClick={() => setOpen(false)}>
+              Cancel
+            </button>
+            <a
+              href={isInvalid ? undefined : href}
+              onClick={() => setOpen(false)}
+              className={`rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 ${isInvalid ? "pointer-events-none opacity-70" : ""}`}
+            >
+              Download
+            </a>
+          </div>
+        </div>
+      </Modal>
+    </>
+  )
+}
@@ -1,23 +1,35 @@
 import React, { useEffect, useState } from "react"
-import { Link } from "react-router-dom"
+import { Link, useLocation, useNavigate } from "react-router-dom"
 import toast from "react-hot-toast"
+import { MdOutlineDashboard, MdOutlineTableRows } from "react-icons/md"
 
+import ExportButton from "@/components/exportButton"
 import Loader from "@/components/loader"
 import Modal from "@/components/modal"
+import Tab from "@/components/tab"
 import api from "@/services/api"
+import { can, formatCurrency } from "@/utils"
+import { CURRENCIES, PROJECT_STATES } from "@/utils/constants"
+
+import PortfolioDashboard from "./components/portfolioDashboard"
+import { ProjectStateBadge } from "./components/projectState"
 
 export default function Home() {
+  const location = useLocation()
+  const navigate = useNavigate()
   const [projects, setProjects] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState("")
   const [isCreateOpen, setIsCreateOpen] = useState(false)
-  const [createValues, setCreateValues] = useState({ name: "", budget: "", description: "" })
+  const [stateFilter, setStateFilter] = useState("")
+  const [createValues, setCreateValues] = useState({ name: "", budget: "", currency: "EUR", state: "active", startDate: "", endDate: "", description: "" })
   const [saving, setSaving] = useState(false)
+  const [tab, setTab] = useState("projects")
 
   async function fetchProjects() {
     try {
       setLoading(true)
-      const { ok, data, error } = await api.get("/api/projects")
+      const { ok, data, error } = await api.get(stateFilter ? `/api/projects?state=${stateFilter}` : "/api/projects")
       if (!ok) {
         setError(error || "Failed to load projects")
         return
@@ -34,7 +46,14 @@ export default function Home() {
 
   useEffect(() => {
     fetchProjects()
-  }, [])
+  }, [stateFilter])
+
+  // The "New project" action of the command palette lands here
+  useEffect(() => {
+    if (!location.state?.createProject) return
+    setIsCreateOpen(true)
+    navigate(location.pathname, { replace: true, state: null })
+  }, [location.state])
 
   useEffect(() => {
     if (!error) return
@@ -61,9 +80,18 @@ export default function Home() {
       return
     }
 
+    if (createValues.startDate && createValues.endDate && createValues.endDate < createValues.startDate) {
+      toast.error("End date must be after start date")
+      return
+    }
+
     const payload = {
       name: createValues.name.trim(),
       budget: budgetNumber,
+      currency: createValues.currency,
+      state: createValues.state,
+      startDate: createValues.startDate || undefined,
+      endDate: createValues.endDate || undefined,
       description: createValues.description.trim() || undefined
     }
 
@@ -76,7 +104,7 @@ export default function Home() {
       }
 
       setIsCreateOpen(false)
-      setCreateValues({ name: "", budget: "", description: "" })
+      setCreateValues({ name: "", budget: "", currency: "EUR", state: "active", startDate: "", endDate: "", description: "" })
       await fetchProjects()
       toast.success("Project created")
     } catch (e) {
@@ -89,7 +117,7 @@ export default function Home() {
   }
 
   async function handleDeleteProject(projectId) {
-    if (!window.confirm("Delete this project and all its expenses?")) return
+    if (!window.confirm("Move this project and its expenses to the trash?")) return
 
     try {
       const { ok, error: apiError } = await api.delete(`/api/projects/${projectId}`)
@@ -99,7 +127,7 @@ export default function Home() {
       }
 
       await fetchProjects()
-      toast.success("Project deleted")
+      toast.success("Project moved to the trash")
     } catch (e) {
       console.log(e)
       const message = e?.error || e?.code || "Failed to delete project"
@@ -114,26 +142,55 @@ export default function Home() {
           <h1 className="text-2xl font-semibold mb-1">Projects</h1>
           <p className="text-sm text-gray-500">Track budgets and expenses per project.</p>
         </div>
-        <button
-          type="button"
-          className="inline-flex items-center rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600"
-          onClick={() => setIsCreateOpen(true)}
-        >
-          New project
-        </button>
+        <div className="flex items-center gap-4">
+          {tab === "projects" ? (
+            <>
+              <select
+                aria-label="State"
+                className="rounded-md border px-3 py-2 text-sm bg-white focus:outline-none focus:ring-1 focus:ring-primary"
+                value={stateFilter}
+                onChange={e => setStateFilter(e.target.value)}
+              >
+                <option value="">All states</option>
+                {PROJECT_STATES.map(state => (
+                  <option key={state.value} value={state.value}>
+                    {state.label}
+                  </option>
+                ))}
+              </select>
+              {projects.length > 0 ? <ExportButton path="/api/projects/export" filename="projects" label="Export projects" /> : null}
+            </>
+          ) : null}
+          <button
+            type="button"
+            className="inline-flex items-center rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600"
+            onClick={() => setIsCreateOpen(true)}
+          >
+            New project
+          </button>
+        </div>
+      </div>
+
+      <div className="border-b flex mb-6">
+        <Tab title="Projects" Icon={MdOutlineTableRows} active={tab === "projects"} onClick={() => setTab("projects")} />
+        <Tab title="Dashboard" Icon={MdOutlineDashboard} active={tab === "dashboard"} onClick={() => setTab("dashboard")} />
       </div>
 
-      {projects.length === 0 ? (
-        <div className="text-sm text-gray-500">No projects yet. Start by creating one.</div>
+      {tab === "dashboard" ? (
+        <PortfolioDashboard />
+      ) : projects.length === 0 ? (
+        <div className="text-sm text-gray-500">{stateFilter ? "No projects in this state." : "No projects yet. Start by creating one."}</div>
       ) : (
         <div className="overflow-x-auto bg-white rounded-lg border">
           <table className="min-w-full text-sm">
             <thead className="bg-gray-50">
               <tr>
                 <th className="px-4 py-3 text-left font-medium text-gray-500">Name</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">State</th>
                 <th className="px-4 py-3 text-left font-medium text-gray-500">Budget</th>
                 <th className="px-4 py-3 text-left font-medium text-gray-500">Spent</th>
                 <th className="px-4 py-3 text-left font-medium text-gray-500">Remaining</th>
+                <th className="px-4 py-3 text-left font-medium text-gray-500">Projected at end</th>
                 <th className="px-4 py-3 text-left font-medium text-gray-500">Status</th>
                 <th className="px-4 py-3 text-left font-medium text-gray-500">Last update</th>
                 <th className="px-4 py-3" />
@@ -145,6 +202,7 @@ export default function Home() {
                 const totalSpent = status?.totalSpent || 0
                 const remaining = Math.max(0, (project.budget || 0) - totalSpent)
                 const isOverBudget = !!status?.isOverBudget
+                const hasCategoryOverrun = !!status?.overBudgetCategories?.length
 
                 return (
                   <tr key={project._id} className="border-t hover:bg-gray-50">
@@ -153,29 +211,38 @@ export default function Home() {
                         {project.name}
                       </Link>
                     </td>
-                    <td className="px-4 py-3 text-sm">{formatCurrency(project.budget)}</td>
-                    <td className="px-4 py-3 text-sm">{formatCurrency(totalSpent)}</td>
-                    <td className="px-4 py-3 text-sm">{formatCurrency(remaining)}</td>
+                    <td className="px-4 py-3">
+                      <ProjectStateBadge project={project} />
+                    </td>
+                    <td className="px-4 py-3 text-sm">{formatCurrency(project.budget, project.currency)}</td>
+                    <td className="px-4 py-3 text-sm">
+                      {formatCurrency(totalSpent, project.currency)}
+                      {status?.pendingSpent ? (
+                        <div className="text-xs text-gray-500">+ {formatCurrency(status.pendingSpent, project.currency)} pending</div>
+                      ) : null}
+                    </td>
+                    <td className="px-4 py-3 text-sm">{formatCurrency(remaining, project.currency)}</td>
+                    <td className={`px-4 py-3 text-sm ${status?.projectedAtEnd > project.budget ? "text-red-600" : ""}`}>
+                      {status?.projectedAtEnd === null || status?.projectedAtEnd === undefined ? "-" : formatCurrency(status.projectedAtEnd, project.currency)}
+                    </td>
                     <td className="px-4 py-3">
                       <span
                         className={`inline-flex items-center rounded-full px-2 py-1 text-xs font-medium ${
-                          isOverBudget ? "bg-red-100 text-red-700" : "bg-green-100 text-green-700"
+                          isOverBudget ? "bg-red-100 text-red-700" : hasCategoryOverrun ? "bg-orange-100 text-orange-700" : "bg-green-100 text-green-700"
                         }`}
                       >
-                        {isOverBudget ? "Over budget" : "OK"}
+                        {isOverBudget ? "Over budget" : hasCategoryOverrun ? "Category over budget" : "OK"}
                       </span>
                     </td>
                     <td className="px-4 py-3 text-xs text-gray-500">
                       {project.updatedAt ? new Date(project.updatedAt).toLocaleDateString() : "-"}
                     </td>
                     <td className="px-4 py-3 text-right">
-                      <button
-                        type="button"
-                        className="text-xs text-red-600 hover:underline"
-                        onClick={() => handleDeleteProject(project._id)}
-                      >
-                        Delete
-                      </button>
+                      {can(project, "project.delete") ? (
+                        <button type="button" className="text-xs text-red-600 hover:underline" onClick={() => handleDeleteProject(project._id)}>
+                          Delete
+                        </button>
+                      ) : null}
                     </td>
                   </tr>
                 )
@@ -202,19 +269,80 @@ export default function Home() {
               />
             </div>
 
+            <div className="grid grid-cols-3 gap-3">
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="project-budget">
+                  Budget
+                </label>
+                <input
+                  id="project-budget"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+                  value={createValues.budget}
+                  onChange={handleChange("budget")}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="project-currency">
+                  Currency
+                </label>
+                <select
+                  id="project-currency"
+                  className="w-full rounded-md border px-3 py-2 text-sm bg-white focus:outline-none focus:ring-1 focus:ring-primary"
+                  value={createValues.currency}
+                  onChange={handleChange("currency")}
+                >
+                  {CURRENCIES.map(currency => (
+                    <option key={currency} value={currency}>
+                      {currency}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="project-budget">
-                Budget (EUR)
+              <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="project-state">
+                State
               </label>
-              <input
-                id="project-budget"
-                type="number"
-                min="0"
-                step="0.01"
-                className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
-                value={createValues.budget}
-                onChange={handleChange("budget")}
-              />
+              <select
+                id="project-state"
+                className="w-full rounded-md border px-3 py-2 text-sm bg-white focus:outline-none focus:ring-1 focus:ring-primary"
+                value={createValues.state}
+                onChange={handleChange("state")}
+              >
+                <option value="planning">Planning</option>
+                <option value="active">Active</option>
+              </select>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="project-start-date">
+                  Start date
+                </label>
+                <input
+                  id="project-start-date"
+                  type="date"
+                  className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+                  value={createValues.startDate}
+                  onChange={handleChange("startDate")}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="project-end-date">
+                  End date (optional)
+                </label>
+                <input
+                  id="project-end-date"
+                  type="date"
+                  className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+                  value={createValues.endDate}
+                  onChange={handleChange("endDate")}
+                />
+              </div>
             </div>
 
             <div>
@@ -255,13 +383,3 @@ export default function Home() {
     </div>
   )
 }
-
-function formatCurrency(value) {
-  if (value === undefined || value === null) return "-"
-  if (Number.isNaN(Number(value))) return "-"
-  try {
-    return Number(value).toLocaleString("fr-FR", { style: "currency", currency: "EUR" })
-  } catch (e) {
-    return `${value}`
-  }
-}
@@ -1,26 +1,80 @@
 import React, { useEffect, useState } from "react"
-import { Link, useParams } from "react-router-dom"
+import { Link, useLocation, useNavigate, useParams } from "react-router-dom"
 import toast from "react-hot-toast"
+import queryString from "query-string"
+import { HiChevronDown, HiChevronUp } from "react-icons/hi2"
+import { MdHistory, MdOutlineDashboard } from "react-icons/md"
 
+import ActivityLog from "@/components/activityLog"
+import ExportButton from "@/components/exportButton"
 import Loader from "@/components/loader"
+import Pagination from "@/components/pagination"
+import Tab from "@/components/tab"
 import api from "@/services/api"
+import useStore from "@/services/store"
+import { can, canEditExpense, formatCurrency, formatDateToYYYYMMDD, validateExpense } from "@/utils"
+import { CURRENCIES, EXPENSE_CATEGORIES } from "@/utils/constants"
+
+import Approvers from "./components/approvers"
+import BudgetAlerts from "./components/budgetAlerts"
+import BudgetRevisions from "./components/budgetRevisions"
+import CategoryBudgets from "./components/categoryBudgets"
+import ExpenseFilters, { hasFilters } from "./components/expenseFilters"
+import Forecast from "./components/forecast"
+import ImportExpenses from "./components/importExpenses"
+import Members from "./components/members"
+import { LOCKED_STATES, ProjectStateActions, ProjectStateBadge } from "./components/projectState"
+import { ReceiptThumbnails, ReceiptUploadButton } from "./components/receipts"
+import RecurringExpenses from "./components/recurringExpenses"
+import ReportDownload from "./components/reportDownload"
+
+const EXPENSES_PER_PAGE = 50
 
 export default function ProjectDetails() {
   const { id } = useParams()
+  const { user } = useStore()
+  const location = useLocation()
+  const navigate = useNavigate()
   const [project, setProject] = useState(null)
   const [expenses, setExpenses] = useState([])
+  const [expensesTotal, setExpensesTotal] = useState(0)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState("")
-  const [expenseValues, setExpenseValues] = useState({ description: "", amount: "", category: "other", date: "" })
+  const [expenseValues, setExpenseValues] = useState({ description: "", amount: "", currency: "", category: "other", date: "", receipts: [] })
   const [savingExpense, setSavingExpense] = useState(false)
+  const [editing, setEditing] = useState(null)
+  const [tab, setTab] = useState("overview")
+
+  // Filters, sort and page of the expense list are kept in the query string, so a filtered list can be shared
+  const expenseQuery = queryString.parse(location.search)
+  const page = Math.max(parseInt(expenseQuery.page) || 1, 1)
+
+  function setExpenseQuery(changes) {
+    // Changing the filters or the sort starts over from the first page
+    const search = queryString.stringify({ ...expenseQuery, page: undefined, ...changes }, { skipEmptyString: true, skipNull: true })
+    navigate({ search }, { replace: !("page" in changes) })
+  }
+
+  function getExpensesPath() {
+    return `/api/expenses/project/${id}?${queryString.stringify({ ...expenseQuery, page, per_page: EXPENSES_PER_PAGE })}`
+  }
+
+  async function fetchExpenses() {
+    try {
+      const { ok, data, error: apiError } = await api.get(getExpensesPath())
+      if (!ok) return toast.error(apiError || "Failed to load expenses")
+      setExpenses(data.expenses)
+      setExpensesTotal(data.total)
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load expenses")
+    }
+  }
 
   async function fetchData() {
     try {
       setLoading(true)
-      const [projectRes, expensesRes] = await Promise.all([
-        api.get(`/api/projects/${id}`),
-        api.get(`/api/expenses/project/${id}`)
-      ])
+      const [projectRes, expensesRes] = await Promise.all([api.get(`/api/projects/${id}`), api.get(getExpensesPath())])
 
       if (!projectRes.ok) {
         setError(projectRes.error || "Failed to load project")
@@ -34,11 +88,14 @@ export default function ProjectDetails() {
       if (!expensesRes.ok) {
         setError(expensesRes.error || "Failed to load expenses")
         setExpenses([])
-        return
+        setExpensesTotal(0)
+        return projectRes.data
       }
 
-      setExpenses(expensesRes.data || [])
+      setExpenses(expensesRes.data.expenses)
+      setExpensesTotal(expensesRes.data.total)
       setError("")
+      return projectRes.data
     } catch (e) {
       console.log(e)
       setError("Failed to load project")
@@ -53,6 +110,18 @@ export default function ProjectDetails() {
     fetchData()
   }, [id])
 
+  useEffect(() => {
+    if (!loading) fetchExpenses()
+  }, [location.search])
+
+  // The "Add expense to..." action of the command palette lands on the creation form
+  useEffect(() => {
+    if (loading || !location.state?.addExpense) return
+    if (tab !== "overview") return setTab("overview")
+    document.getElementById("expense-description")?.focus()
+    navigate({ search: location.search }, { replace: true, state: null })
+  }, [loading, location.state, tab])
+
   useEffect(() => {
     if (!error) return
     toast.error(error)
@@ -66,24 +135,24 @@ export default function ProjectDetails() {
 
   async function handleCreateExpense(e) {
     e.preventDefault()
+    // The "Save as draft" button submits the form too
+    const draft = e.nativeEvent.submitter?.name === "draft"
 
-    if (!expenseValues.description.trim() || !expenseValues.amount || !expenseValues.category) {
-      toast.error("Description, amount and category are required")
-      return
-    }
-
-    const amountNumber = Number(expenseValues.amount)
-    if (!Number.isFinite(amountNumber) || amountNumber <= 0) {
-      toast.error("Amount must be a positive number")
+    const validationError = validateExpense(expenseValues)
+    if (validationError) {
+      toast.error(validationError)
       return
     }
 
     const payload = {
       description: expenseValues.description.trim(),
-      amount: amountNumber,
+      amount: Number(expenseValues.amount),
+      currency: expenseValues.currency || undefined,
       category: expenseValues.category,
       date: expenseValues.date || undefined,
-      projectId: id
+      receipts: expenseValues.receipts,
+      projectId: id,
+      draft
     }
 
     try {
@@ -94,9 +163,9 @@ export default function ProjectDetails() {
         return
       }
 
-      setExpenseValues({ description: "", amount: "", category: "other", date: "" })
+      setExpenseValues({ description: "", amount: "", currency: "", category: "other", date: "", receipts: [] })
       await fetchData()
-      toast.success("Expense created")
+      toast.success(draft ? "Draft saved" : "Expense created")
     } catch (e) {
       console.log(e)
       const message = e?.error || e?.code || "Failed to create expense"
@@ -106,8 +175,99 @@ export default function ProjectDetails() {
     }
   }
 
+  async function handleSubmitExpense(expenseId) {
+    try {
+      const { ok, error: apiError } = await api.post(`/api/expenses/${expenseId}/submit`)
+      if (!ok) {
+        toast.error(apiError || "Failed to submit expense")
+        return
+      }
+
+      await fetchData()
+      toast.success("Expense submitted for approval")
+    } catch (e) {
+      console.log(e)
+      const message = e?.error || e?.code || "Failed to submit expense"
+      toast.error(message)
+    }
+  }
+
+  async function handleUpdateReceipts(expense, receipts) {
+    try {
+      const { ok, error: apiError } = await api.put(`/api/expenses/${expense._id}`, { receipts })
+      if (!ok) {
+        toast.error(apiError || "Failed to update receipts")
+        return
+      }
+
+      await fetchData()
+      toast.success("Receipts updated")
+    } catch (e) {
+      console.log(e)
+      const message = e?.error || e?.code || "Failed to update receipts"
+      toast.error(message)
+    }
+  }
+
+  function handleEditExpense(expense) {
+    setEditing({
+      id: expense._id,
+      description: expense.description,
+      // The amount is edited as paid, in its original currency
+      amount: String(expense.originalAmount ?? expense.amount),
+      category: expense.category,
+      date: expense.date ? formatDateToYYYYMMDD(expense.date) : ""
+    })
+  }
+
+  async function handleSaveExpense(expense) {
+    const validationError = validateExpense(editing)
+    if (validationError) {
+      toast.error(validationError)
+      return
+    }
+
+    // Only the fields changed are sent, an unchanged amount must not send an approved expense back to review
+    const payload = {}
+    if (editing.description.trim() !== expense.description) payload.description = editing.description.trim()
+    if (Number(editing.amount) !== (expense.originalAmount ?? expense.amount)) payload.amount = Number(editing.amount)
+    if (editing.category !== expense.category) payload.category = editing.category
+    if (editing.date && editing.date !== (expense.date ? formatDateToYYYYMMDD(expense.date) : "")) payload.date = editing.date
+    if (Object.keys(payload).length === 0) return setEditing(null)
+
+    try {
+      setSavingExpense(true)
+      const { ok, data, code, error: apiError } = await api.put(`/api/expenses/${expense._id}`, payload)
+      if (!ok) {
+        toast.error(apiError || "Failed to update expense")
+        // The role of the user may have changed since the page was loaded, show the expenses as they are now
+        if (code === "FORBIDDEN") {
+          setEditing(null)
+          await fetchData()
+        }
+        return
+      }
+
+      setEditing(null)
+      const wasOverBudget = !!project.budgetStatus?.isOverBudget
+      const updatedProject = await fetchData()
+      if (data.status === "submitted" && expense.status === "approved") toast.success("Expense updated and sent back for approval")
+      else toast.success("Expense updated")
+      // The spend changed, tell right away when the budget is now exceeded
+      if (payload.amount !== undefined && !wasOverBudget && updatedProject?.budgetStatus?.isOverBudget) {
+        toast.error(`${updatedProject.name} is now over budget`)
+      }
+    } catch (e) {
+      console.log(e)
+      const message = e?.error || e?.code || "Failed to update expense"
+      toast.error(message)
+    } finally {
+      setSavingExpense(false)
+    }
+  }
+
   async function handleDeleteExpense(expenseId) {
-    if (!window.confirm("Delete this expense?")) return
+    if (!window.confirm("Move this expense to the trash?")) return
 
     try {
       const { ok, error: apiError } = await api.delete(`/api/expenses/${expenseId}`)
@@ -117,7 +277,7 @@ export default function ProjectDetails() {
       }
 
       await fetchData()
-      toast.success("Expense deleted")
+      toast.success("Expense moved to the trash")
     } catch (e) {
       console.log(e)
       const message = e?.error || e?.code || "Failed to delete expense"
@@ -140,6 +300,12 @@ export default function ProjectDetails() {
   const totalSpent = status?.totalSpent || 0
   const remaining = Math.max(0, (project.budget || 0) - totalSpent)
   const isOverBudget = !!status?.isOverBudget
+  const overBudgetCategories = status?.overBudgetCategories || []
+  const pendingSpent = status?.pendingSpent || 0
+  const pendingCount = status?.pendingCount || 0
+  const canReview = can(project, "expense.review") || (project.approvers || []).includes(user._id)
+  const canAddExpenses = can(project, "expense.create")
+  const isLocked = LOCKED_STATES.includes(project.state)
 
   return (
     <div className="p-8 space-y-6">
@@ -150,160 +316,386 @@ export default function ProjectDetails() {
       <div className="bg-white border rounded-lg p-6">
         <div className="flex items-center justify-between mb-4">
           <div>
-            <h1 className="text-xl font-semibold">{project.name}</h1>
+            <div className="flex items-center gap-3">
+              <h1 className="text-xl font-semibold">{project.name}</h1>
+              <ProjectStateBadge project={project} />
+            </div>
             {project.description ? <p className="mt-1 text-sm text-gray-600">{project.description}</p> : null}
+            {can(project, "project.state") ? (
+              <div className="mt-2">
+                <ProjectStateActions project={project} onChange={fetchData} />
+              </div>
+            ) : null}
+          </div>
+          <div className="flex flex-col items-end gap-1">
+            <span
+              className={`inline-flex items-center rounded-full px-3 py-1 text-xs font-medium ${
+                isOverBudget ? "bg-red-100 text-red-700" : "bg-green-100 text-green-700"
+              }`}
+            >
+              {isOverBudget ? "Over budget" : "Within budget"}
+            </span>
+            {overBudgetCategories.length > 0 ? (
+              <span className="text-xs text-orange-600 capitalize">Over budget on {overBudgetCategories.join(", ")}</span>
+            ) : null}
+            <ReportDownload project={project} />
           </div>
-          <span
-            className={`inline-flex items-center rounded-full px-3 py-1 text-xs font-medium ${
-              isOverBudget ? "bg-red-100 text-red-700" : "bg-green-100 text-green-700"
-            }`}
-          >
-            {isOverBudget ? "Over budget" : "Within budget"}
-          </span>
         </div>
 
-        <div className="grid grid-cols-1 gap-4 text-sm md:grid-cols-3">
+        <div className="grid grid-cols-1 gap-4 text-sm md:grid-cols-4">
           <div>
             <div className="text-xs text-gray-500">Budget</div>
-            <div className="font-medium">{formatCurrency(project.budget)}</div>
+            <div className="font-medium">{formatCurrency(project.budget, project.currency)}</div>
           </div>
           <div>
             <div className="text-xs text-gray-500">Total spent</div>
-            <div className="font-medium">{formatCurrency(totalSpent)}</div>
+            <div className="font-medium">{formatCurrency(totalSpent, project.currency)}</div>
           </div>
           <div>
             <div className="text-xs text-gray-500">Remaining</div>
-            <div className="font-medium">{formatCurrency(remaining)}</div>
+            <div className="font-medium">{formatCurrency(remaining, project.currency)}</div>
+          </div>
+          <div>
+            <div className="text-xs text-gray-500">Pending approval</div>
+            <div className="font-medium">{formatCurrency(pendingSpent, project.currency)}</div>
+            {pendingCount > 0 && canReview ? (
+              <Link to="/approvals" className="text-xs text-primary hover:underline">
+                Review {pendingCount} expense(s)
+              </Link>
+            ) : null}
           </div>
         </div>
+
+        <CategoryBudgets project={project} canEdit={can(project, "project.update")} onChange={fetchData} />
       </div>
 
-      <div className="bg-white border rounded-lg p-6">
-        <div className="flex items-center justify-between mb-4">
-          <h2 className="text-sm font-semibold">Expenses</h2>
-        </div>
+      <div className="border-b flex">
+        <Tab title="Overview" Icon={MdOutlineDashboard} active={tab === "overview"} onClick={() => setTab("overview")} />
+        {can(project, "project.activity") ? <Tab title="Activity" Icon={MdHistory} active={tab === "activity"} onClick={() => setTab("activity")} /> : null}
+      </div>
 
-        <form className="grid grid-cols-1 gap-3 mb-6 md:grid-cols-4" onSubmit={handleCreateExpense}>
-          <div className="md:col-span-2">
-            <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="expense-description">
-              Description
-            </label>
-            <input
-              id="expense-description"
-              type="text"
-              className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
-              value={expenseValues.description}
-              onChange={handleExpenseChange("description")}
-            />
-          </div>
-          <div>
-            <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="expense-amount">
-              Amount (EUR)
-            </label>
-            <input
-              id="expense-amount"
-              type="number"
-              min="0"
-              step="0.01"
-              className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
-              value={expenseValues.amount}
-              onChange={handleExpenseChange("amount")}
-            />
-          </div>
-          <div>
-            <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="expense-category">
-              Category
-            </label>
-            <select
-              id="expense-category"
-              className="w-full rounded-md border px-3 py-2 text-sm bg-white focus:outline-none focus:ring-1 focus:ring-primary"
-              value={expenseValues.category}
-              onChange={handleExpenseChange("category")}
-            >
-              <option value="marketing">Marketing</option>
-              <option value="development">Development</option>
-              <option value="design">Design</option>
-              <option value="operations">Operations</option>
-              <option value="hr">HR</option>
-              <option value="other">Other</option>
-            </select>
-          </div>
-          <div>
-            <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="expense-date">
-              Date
-            </label>
-            <input
-              id="expense-date"
-              type="date"
-              className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
-              value={expenseValues.date}
-              onChange={handleExpenseChange("date")}
-            />
-          </div>
-          <div className="md:col-span-4 flex justify-end">
-            <button
-              type="submit"
-              disabled={savingExpense}
-              className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70"
-            >
-              {savingExpense ? "Saving..." : "Add expense"}
-            </button>
-          </div>
-        </form>
-
-        {expenses.length === 0 ? (
-          <p className="text-sm text-gray-500">No expenses yet for this project.</p>
-        ) : (
-          <div className="overflow-x-auto">
-            <table className="min-w-full text-sm">
-              <thead className="bg-gray-50">
-                <tr>
-                  <th className="px-4 py-3 text-left font-medium text-gray-500">Description</th>
-                  <th className="px-4 py-3 text-left font-medium text-gray-500">Amount</th>
-                  <th className="px-4 py-3 text-left font-medium text-gray-500">Category</th>
-                  <th className="px-4 py-3 text-left font-medium text-gray-500">Date</th>
-                  <th className="px-4 py-3 text-left font-medium text-gray-500">Created by</th>
-                  <th className="px-4 py-3" />
-                </tr>
-              </thead>
-              <tbody>
-                {expenses.map(expense => (
-                  <tr key={expense._id} className="border-t hover:bg-gray-50">
-                    <td className="px-4 py-3 text-sm text-gray-800">{expense.description}</td>
-                    <td className="px-4 py-3 text-sm">{formatCurrency(expense.amount)}</td>
-                    <td className="px-4 py-3 text-sm capitalize">{expense.category}</td>
-                    <td className="px-4 py-3 text-xs text-gray-500">
-                      {expense.date ? new Date(expense.date).toLocaleDateString() : "-"}
-                    </td>
-                    <td className="px-4 py-3 text-xs text-gray-500">
-                      {expense.createdBy?.name || expense.createdBy?.email || "-"}
-                    </td>
-                    <td className="px-4 py-3 text-right">
-                      <button
-                        type="button"
-                        className="text-xs text-red-600 hover:underline"
-                        onClick={() => handleDeleteExpense(expense._id)}
-                      >
-                        Delete
-                      </button>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
+      {tab === "activity" ? (
+        <ActivityLog project={project} actors={project.members || []} />
+      ) : (
+        <>
+          <BudgetRevisions project={project} canEdit={can(project, "project.update")} onChange={fetchData} />
+
+          <Forecast project={project} />
+
+          <BudgetAlerts project={project} canEdit={can(project, "project.update")} onChange={fetchData} />
+
+          <Members project={project} canEdit={can(project, "project.members")} onChange={fetchData} />
+
+          <Approvers project={project} canEdit={can(project, "project.members")} onChange={fetchData} />
+
+          <RecurringExpenses project={project} canAdd={canAddExpenses && !isLocked} />
+
+          <div className="bg-white border rounded-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-sm font-semibold">Expenses</h2>
+              <div className="flex items-center gap-4">
+                <ExportButton path={`/api/expenses/export/project/${project._id}`} filename="expenses" label="Export expenses" />
+                {isLocked || !canAddExpenses ? null : <ImportExpenses project={project} onImported={fetchData} />}
+              </div>
+            </div>
+
+            {isLocked ? (
+              <p className="mb-6 rounded-md bg-gray-50 px-4 py-3 text-sm text-gray-600">
+                Expenses cannot be added or changed while the project is {project.state === "closed" ? "closed" : "on hold"}.
+              </p>
+            ) : !canAddExpenses ? (
+              <p className="mb-6 rounded-md bg-gray-50 px-4 py-3 text-sm text-gray-600">You can read this project but not add expenses to it.</p>
+            ) : (
+              <form className="grid grid-cols-1 gap-3 mb-6 md:grid-cols-4" onSubmit={handleCreateExpense}>
+                <div className="md:col-span-2">
+                  <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="expense-description">
+                    Description
+                  </label>
+                  <input
+                    id="expense-description"
+                    type="text"
+                    className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+                    value={expenseValues.description}
+                    onChange={handleExpenseChange("description")}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="expense-amount">
+                    Amount
+                  </label>
+                  <div className="flex gap-2">
+                    <input
+                      id="expense-amount"
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+                      value={expenseValues.amount}
+                      onChange={handleExpenseChange("amount")}
+                    />
+                    <select
+                      aria-label="Currency"
+                      className="rounded-md border px-2 py-2 text-sm bg-white focus:outline-none focus:ring-1 focus:ring-primary"
+                      value={expenseValues.currency || project.currency}
+                      onChange={handleExpenseChange("currency")}
+                    >
+                      {CURRENCIES.map(currency => (
+                        <option key={currency} value={currency}>
+                          {currency}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="expense-category">
+                    Category
+                  </label>
+                  <select
+                    id="expense-category"
+                    className="w-full rounded-md border px-3 py-2 text-sm bg-white focus:outline-none focus:ring-1 focus:ring-primary"
+                    value={expenseValues.category}
+                    onChange={handleExpenseChange("category")}
+                  >
+                    {EXPENSE_CATEGORIES.map(category => (
+                      <option key={category.value} value={category.value}>
+                        {category.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1" htmlFor="expense-date">
+                    Date
+                  </label>
+                  <input
+                    id="expense-date"
+                    type="date"
+                    className="w-full rounded-md border px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+                    value={expenseValues.date}
+                    onChange={handleExpenseChange("date")}
+                  />
+                </div>
+                <div className="md:col-span-2 flex items-center gap-3">
+                  <ReceiptUploadButton
+                    label="Attach receipts"
+                    onUploaded={uploaded => setExpenseValues(prev => ({ ...prev, receipts: [...prev.receipts, ...uploaded] }))}
+                  />
+                  <ReceiptThumbnails
+                    receipts={expenseValues.receipts}
+                    onRemove={receipt => setExpenseValues(prev => ({ ...prev, receipts: prev.receipts.filter(r => r.url !== receipt.url) }))}
+                  />
+                </div>
+                <div className="md:col-span-2 flex justify-end gap-2">
+                  <button
+                    type="submit"
+                    name="draft"
+                    disabled={savingExpense}
+                    className="rounded-md border px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-70"
+                  >
+                    Save as draft
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={savingExpense}
+                    className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70"
+                  >
+                    {savingExpense ? "Saving..." : canReview ? "Add expense" : "Submit expense"}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            <ExpenseFilters project={project} filters={expenseQuery} onChange={setExpenseQuery} />
+
+            {expensesTotal === 0 ? (
+              <p className="text-sm text-gray-500">{hasFilters(expenseQuery) ? "No expenses match these filters." : "No expenses yet for this project."}</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <SortableHeader field="description" label="Description" query={expenseQuery} onSort={setExpenseQuery} />
+                      <SortableHeader field="amount" label="Amount" query={expenseQuery} onSort={setExpenseQuery} />
+                      <SortableHeader field="category" label="Category" query={expenseQuery} onSort={setExpenseQuery} />
+                      <SortableHeader field="date" label="Date" query={expenseQuery} onSort={setExpenseQuery} />
+                      <th className="px-4 py-3 text-left font-medium text-gray-500">Created by</th>
+                      <th className="px-4 py-3 text-left font-medium text-gray-500">Status</th>
+                      <th className="px-4 py-3 text-left font-medium text-gray-500">Receipts</th>
+                      <th className="px-4 py-3" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {expenses.map(expense => (
+                      <tr key={expense._id} className="border-t hover:bg-gray-50">
+                        {editing?.id === expense._id ? (
+                          <>
+                            <td className="px-4 py-3">
+                              <input
+                                aria-label="Description"
+                                type="text"
+                                className="w-full rounded-md border px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+                                value={editing.description}
+                                onChange={e => setEditing({ ...editing, description: e.target.value })}
+                              />
+                            </td>
+                            <td className="px-4 py-3">
+                              <div className="flex items-center gap-1">
+                                <input
+                                  aria-label="Amount"
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  className="w-24 rounded-md border px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+                                  value={editing.amount}
+                                  onChange={e => setEditing({ ...editing, amount: e.target.value })}
+                                />
+                                <span className="text-xs text-gray-500">{expense.originalCurrency || project.currency}</span>
+                              </div>
+                            </td>
+                            <td className="px-4 py-3">
+                              <select
+                                aria-label="Category"
+                                className="rounded-md border px-2 py-1 text-sm bg-white focus:outline-none focus:ring-1 focus:ring-primary"
+                                value={editing.category}
+                                onChange={e => setEditing({ ...editing, category: e.target.value })}
+                              >
+                                {EXPENSE_CATEGORIES.map(category => (
+                                  <option key={category.value} value={category.value}>
+                                    {category.label}
+                                  </option>
+                                ))}
+                              </select>
+                            </td>
+                            <td className="px-4 py-3">
+                              <input
+                                aria-label="Date"
+                                type="date"
+                                className="rounded-md border px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-primary"
+                                value={editing.date}
+                                onChange={e => setEditing({ ...editing, date: e.target.value })}
+                              />
+                            </td>
+                          </>
+                        ) : (
+                          <>
+                            <td className="px-4 py-3 text-sm text-gray-800">{expense.description}</td>
+                            <td className="px-4 py-3 text-sm">
+                              {formatCurrency(expense.amount, project.currency)}
+                              {expense.originalCurrency && expense.originalCurrency !== project.currency ? (
+                                <div className="text-xs text-gray-500">{formatCurrency(expense.originalAmount, expense.originalCurrency)}</div>
+                              ) : null}
+                            </td>
+                            <td className="px-4 py-3 text-sm capitalize">{expense.category}</td>
+                            <td className="px-4 py-3 text-xs text-gray-500">{expense.date ? new Date(expense.date).toLocaleDateString() : "-"}</td>
+                          </>
+                        )}
+                        <td className="px-4 py-3 text-xs text-gray-500">
+                          {expense.createdBy?.name || expense.createdBy?.email || "-"}
+                        </td>
+                        <td className="px-4 py-3 text-xs">
+                          <ExpenseStatus expense={expense} />
+                        </td>
+                        <td className="px-4 py-3">
+                          {canEditExpense(project, expense, user._id) && !isLocked ? (
+                            <div className="space-y-1">
+                              <ReceiptThumbnails
+                                receipts={expense.receipts}
+                                onRemove={receipt => handleUpdateReceipts(expense, expense.receipts.filter(r => r.url !== receipt.url))}
+                              />
+                              <ReceiptUploadButton onUploaded={uploaded => handleUpdateReceipts(expense, [...expense.receipts, ...uploaded])} />
+                            </div>
+                          ) : (
+                            <ReceiptThumbnails receipts={expense.receipts} />
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-right whitespace-nowrap space-x-3">
+                          {isLocked ? null : editing?.id === expense._id ? (
+                            <>
+                              <button type="button" className="text-xs text-primary hover:underline disabled:opacity-70" disabled={savingExpense} onClick={() => handleSaveExpense(expense)}>
+                                {savingExpense ? "Saving..." : "Save"}
+                              </button>
+                              <button type="button" className="text-xs text-gray-600 hover:underline" disabled={savingExpense} onClick={() => setEditing(null)}>
+                                Cancel
+                              </button>
+                            </>
+                          ) : (
+                            <>
+                              {["draft", "rejected"].includes(expense.status) && expense.createdBy?._id === user._id && canAddExpenses ? (
+                                <button type="button" className="text-xs text-primary hover:underline" onClick={() => handleSubmitExpense(expense._id)}>
+                                  Submit
+                                </button>
+                              ) : null}
+                              {canEditExpense(project, expense, user._id) ? (
+                                <>
+                                  <button type="button" className="text-xs text-primary hover:underline" onClick={() => handleEditExpense(expense)}>
+                                    Edit
+                                  </button>
+                                  <button type="button" className="text-xs text-red-600 hover:underline" onClick={() => handleDeleteExpense(expense._id)}>
+                                    Delete
+                                  </button>
+                                </>
+                              ) : null}
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <Pagination
+                  total={expensesTotal}
+                  per_page={EXPENSES_PER_PAGE}
+                  currentPage={page}
+                  onPrevious={() => setExpenseQuery({ page: page - 1 })}
+                  onNext={() => setExpenseQuery({ page: page + 1 })}
+                />
+              </div>
+            )}
           </div>
-        )}
-      </div>
+        </>
+      )}
     </div>
   )
 }
 
-function formatCurrency(value) {
-  if (value === undefined || value === null) return "-"
-  if (Number.isNaN(Number(value))) return "-"
-  try {
-    return Number(value).toLocaleString("fr-FR", { style: "currency", currency: "EUR" })
-  } catch (e) {
-    return `${value}`
-  }
+// Column header sorting the expenses on its field, the expenses are listed by most recent date by default
+const SortableHeader = ({ field, label, query, onSort }) => {
+  const sort = query.sort || "date"
+  const order = query.order || "desc"
+  const isActive = sort === field
+
+  return (
+    <th className="px-4 py-3 text-left font-medium text-gray-500">
+      <button
+        type="button"
+        className={`inline-flex items-center gap-1 hover:text-gray-800 ${isActive ? "text-gray-800" : ""}`}
+        onClick={() => onSort({ sort: field, order: isActive && order === "desc" ? "asc" : "desc" })}
+      >
+        {label}
+        {isActive ? order === "asc" ? <HiChevronUp className="h-3 w-3" /> : <HiChevronDown className="h-3 w-3" /> : null}
+      </button>
+    </th>
+  )
+}
+
+const STATUS_STYLES = {
+  draft: "bg-gray-100 text-gray-700",
+  submitted: "bg-yellow-100 text-yellow-800",
+  approved: "bg-green-100 text-green-700",
+  rejected: "bg-red-100 text-red-700"
+}
+
+const ExpenseStatus = ({ expense }) => {
+  // Expenses created before the approval workflow have no status and count as approved
+  const status = expense.status || "approved"
+  const reviewer = expense.reviewedBy?.name || expense.reviewedBy?.email
+
+  return (
+    <div>
+      <span className={`inline-flex items-center rounded-full px-2 py-1 text-xs font-medium capitalize ${STATUS_STYLES[status]}`}>{status}</span>
+      {reviewer && ["approved", "rejected"].includes(status) ? <div className="mt-1 text-gray-500">by {reviewer}</div> : null}
+      {expense.reviewComment ? <div className="mt-1 text-gray-500 italic">{expense.reviewComment}</div> : null}
+    </div>
+  )
 }
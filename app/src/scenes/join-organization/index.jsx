@@ -0,0 +1,62 @@
+import React, { useState } from "react"
+import { useNavigate, useSearchParams } from "react-router-dom"
+import toast from "react-hot-toast"
+
+import useStore from "@/services/store"
+import api from "@/services/api"
+
+// Invitation emails sent to people who already have an account link here with the signed token of the invitation.
+// Nobody joins an organization without accepting it.
+export default function JoinOrganization() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get("invitation")
+  const { user } = useStore()
+  const navigate = useNavigate()
+  const [saving, setSaving] = useState(false)
+
+  async function handleAccept() {
+    try {
+      setSaving(true)
+      const { ok, data, error } = await api.post("/api/organizations/invitations/accept", { token })
+      if (!ok) return toast.error(error || "Failed to accept the invitation")
+      toast.success(`You joined ${data.name}`)
+      // Every scene shows data of the active organization, start over from the home page
+      window.location.assign("/")
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to accept the invitation")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="p-8">
+      <div className="max-w-lg bg-white border rounded-lg p-6">
+        <h1 className="text-xl font-semibold">Join an organization</h1>
+        {token ? (
+          <>
+            <p className="mt-2 text-sm text-gray-600">
+              You were invited to join an organization as {user.email}. Once you accept, you work in it and see the projects shared with you there.
+            </p>
+            <div className="mt-6 flex justify-end gap-2">
+              <button type="button" className="rounded-md border px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50" onClick={() => navigate("/")}>
+                Not now
+              </button>
+              <button
+                type="button"
+                disabled={saving}
+                className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70"
+                onClick={handleAccept}
+              >
+                {saving ? "Joining..." : "Accept the invitation"}
+              </button>
+            </div>
+          </>
+        ) : (
+          <p className="mt-2 text-sm text-gray-600">This link has no invitation. Open the link of the invitation email again.</p>
+        )}
+      </div>
+    </div>
+  )
+}
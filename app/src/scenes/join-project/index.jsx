@@ -0,0 +1,62 @@
+import React, { useState } from "react"
+import { useNavigate, useSearchParams } from "react-router-dom"
+import toast from "react-hot-toast"
+
+import useStore from "@/services/store"
+import api from "@/services/api"
+
+// Project invitation emails sent to people with an account outside the organization of the project link here
+// with the signed token of the invitation. They join the project and its organization once they accept.
+export default function JoinProject() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get("invitation")
+  const { user } = useStore()
+  const navigate = useNavigate()
+  const [saving, setSaving] = useState(false)
+
+  async function handleAccept() {
+    try {
+      setSaving(true)
+      const { ok, data, error } = await api.post("/api/projects/invitations/accept", { token })
+      if (!ok) return toast.error(error || "Failed to accept the invitation")
+      toast.success(`You joined ${data.name}`)
+      // The project belongs to the organization now active, reload the app in it
+      window.location.assign(`/projects/${data._id}`)
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to accept the invitation")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="p-8">
+      <div className="max-w-lg bg-white border rounded-lg p-6">
+        <h1 className="text-xl font-semibold">Join a project</h1>
+        {token ? (
+          <>
+            <p className="mt-2 text-sm text-gray-600">
+              You were invited to join a project as {user.email}. Once you accept, you also join the organization of the project and work in it.
+            </p>
+            <div className="mt-6 flex justify-end gap-2">
+              <button type="button" className="rounded-md border px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50" onClick={() => navigate("/")}>
+                Not now
+              </button>
+              <button
+                type="button"
+                disabled={saving}
+                className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-blue-600 disabled:opacity-70"
+                onClick={handleAccept}
+              >
+                {saving ? "Joining..." : "Accept the invitation"}
+              </button>
+            </div>
+          </>
+        ) : (
+          <p className="mt-2 text-sm text-gray-600">This link has no invitation. Open the link of the invitation email again.</p>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from "react"
+import { Link } from "react-router-dom"
+import toast from "react-hot-toast"
+
+import Loader from "@/components/loader"
+import api from "@/services/api"
+import { formatCurrency } from "@/utils"
+
+export default function Trash() {
+  const [trash, setTrash] = useState({ projects: [], expenses: [], retentionDays: 0 })
+  const [loading, setLoading] = useState(true)
+  const [restoring, setRestoring] = useState(null)
+
+  async function fetchTrash() {
+    try {
+      const { ok, data, error } = await api.get("/api/trash")
+      if (!ok) return toast.error(error || "Failed to load the trash")
+      setTrash(data)
+    } catch (e) {
+      console.log(e)
+      toast.error("Failed to load the trash")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchTrash()
+  }, [])
+
+  async function handleRestore(path, id, message) {
+    try {
+      setRestoring(id)
+      const { ok, error } = await api.post(`${path}/${id}/restore`)
+      if (!ok) return toast.error(error || "Failed to restore")
+
+      await fetchTrash()
+      toast.success(message)
+    } catch (e) {
+      console.log(e)
+      toast.error(e?.error || "Failed to restore")
+    } finally {
+      setRestoring(null)
+    }
+  }
+
+  if (loading) return <Loader />
+
+  return (
+    <div className="p-8 space-y-6">
+      <div>
+        <h1 className="text-xl font-semibold">Trash</h1>
+        <p className="mt-1 text-sm text-gray-600">Deleted projects and expenses can be restored for {trash.retentionDays} days, then they are deleted for good.</p>
+      </div>
+
+      <div className="bg-white border rounded-lg p-6">
+        <h2 className="text-sm font-semibold mb-4">Projects</h2>
+        {trash.projects.length === 0 ? (
+          <p className="text-sm text-gray-500">No deleted projects.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Name</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Budget</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Deleted</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Deleted for good on</th>
+                  <th className="px-4 py-3" />
+                </tr>
+              </thead>
+              <tbody>
+                {trash.projects.map(project => (
+                  <tr key={project._id} className="border-t hover:bg-gray-50">
+                    <td className="px-4 py-3 font-medium text-gray-800">{project.name}</td>
+                    <td className="px-4 py-3">{formatCurrency(project.budget, project.currency)}</td>
+                    <td className="px-4 py-3 text-xs text-gray-500">
+                      {new Date(project.deletedAt).toLocaleDateString()}
+                      {project.deletedBy ? ` by ${project.deletedBy.name || project.deletedBy.email}` : null}
+                    </td>
+                    <td className="px-4 py-3 text-xs text-gray-500">{new Date(project.purgeAt).toLocaleDateString()}</td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        type="button"
+                        className="text-xs text-primary hover:underline disabled:opacity-50"
+                        disabled={restoring === project._id}
+                        onClick={() => handleRestore("/api/projects", project._id, "Project restored with its expenses")}
+                      >
+                        Restore
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white border rounded-lg p-6">
+        <h2 className="text-sm font-semibold mb-4">Expenses</h2>
+        {trash.expenses.length === 0 ? (
+          <p className="text-sm text-gray-500">No deleted expenses.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Project</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Description</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Amount</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Deleted</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Deleted for good on</th>
+                  <th className="px-4 py-3" />
+                </tr>
+              </thead>
+              <tbody>
+                {trash.expenses.map(expense => (
+                  <tr key={expense._id} className="border-t hover:bg-gray-50">
+                    <td className="px-4 py-3">
+                      <Link to={`/projects/${expense.project._id}`} className="text-primary hover:underline">
+                        {expense.project.name}
+                      </Link>
+                    </td>
+                    <td className="px-4 py-3 text-gray-800">
+                      {expense.description}
+                      <div className="text-xs text-gray-500 capitalize">{expense.category}</div>
+                    </td>
+                    <td className="px-4 py-3">{formatCurrency(expense.amount, expense.project.currency)}</td>
+                    <td className="px-4 py-3 text-xs text-gray-500">
+                      {new Date(expense.deletedAt).toLocaleDateString()}
+                      {expense.deletedBy ? ` by ${expense.deletedBy.name || expense.deletedBy.email}` : null}
+                    </td>
+                    <td className="px-4 py-3 text-xs text-gray-500">{new Date(expense.purgeAt).toLocaleDateString()}</td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        type="button"
+                        className="text-xs text-primary hover:underline disabled:opacity-50"
+                        disabled={restoring === expense._id}
+                        onClick={() => handleRestore("/api/expenses", expense._id, "Expense restored")}
+                      >
+                        Restore
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -16,3 +16,91 @@ export const EP_Group_ensTrainNet3 = [
     email: "partners@educationpartnerc.com"
   }
 ]
+
+export const EXPENSE_CATEGORIES = [
+  { value: "marketing", label: "Marketing" },
+  { value: "development", label: "Development" },
+  { value: "design", label: "Design" },
+  { value: "operations", label: "Operations" },
+  { value: "hr", label: "HR" },
+  { value: "other", label: "Other" }
+]
+
+export const CURRENCIES = ["EUR", "USD", "GBP", "CHF"]
+
+export const FREQUENCIES = [
+  { value: "weekly", label: "Weekly" },
+  { value: "monthly", label: "Monthly" },
+  { value: "quarterly", label: "Quarterly" },
+  { value: "yearly", label: "Yearly" }
+]
+
+export const PROJECT_STATES = [
+  { value: "planning", label: "Planning" },
+  { value: "active", label: "Active" },
+  { value: "on_hold", label: "On hold" },
+  { value: "closed", label: "Closed" }
+]
+
+// Same transitions as the API, with the label of the action that leads to each state
+export const PROJECT_TRANSITIONS = {
+  planning: [
+    { value: "active", label: "Start" },
+    { value: "closed", label: "Close" }
+  ],
+  active: [
+    { value: "on_hold", label: "Put on hold" },
+    { value: "closed", label: "Close" }
+  ],
+  on_hold: [
+    { value: "active", label: "Resume" },
+    { value: "closed", label: "Close" }
+  ],
+  closed: [{ value: "active", label: "Reopen" }]
+}
+
+// The owner is the creator of the project, the other members get one of the other roles
+export const PROJECT_ROLES = [
+  { value: "owner", label: "Owner", description: "Everything, including members and deleting the project" },
+  { value: "manager", label: "Manager", description: "Edits the budget, approves and changes all expenses" },
+  { value: "contributor", label: "Contributor", description: "Adds expenses and changes their own" },
+  { value: "viewer", label: "Viewer", description: "Reads the project and its expenses" }
+]
+
+export const AUDIT_ACTIONS = [
+  { value: "project.create", label: "Created the project" },
+  { value: "project.update", label: "Updated the project" },
+  { value: "project.add_member", label: "Added a member" },
+  { value: "project.member_role", label: "Changed the role of a member" },
+  { value: "project.invite", label: "Invited someone" },
+  { value: "project.revoke_invitation", label: "Revoked an invitation" },
+  { value: "project.accept_invitation", label: "Accepted an invitation" },
+  { value: "project.remove_member", label: "Removed a member" },
+  { value: "project.leave", label: "Left the project" },
+  { value: "project.transfer_request", label: "Offered the ownership" },
+  { value: "project.transfer_accept", label: "Accepted the ownership" },
+  { value: "project.transfer_cancel", label: "Cancelled an ownership transfer" },
+  { value: "project.state", label: "Changed the state of the project" },
+  { value: "project.delete", label: "Deleted the project" },
+  { value: "project.restore", label: "Restored the project" },
+  { value: "expense.create", label: "Created an expense" },
+  { value: "expense.import", label: "Imported expenses" },
+  { value: "expense.update", label: "Updated an expense" },
+  { value: "expense.delete", label: "Deleted an expense" },
+  { value: "expense.restore", label: "Restored an expense" },
+  { value: "expense.submit", label: "Submitted an expense" },
+  { value: "expense.approve", label: "Approved an expense" },
+  { value: "expense.reject", label: "Rejected an expense" },
+  { value: "user.signup", label: "Signed up" },
+  { value: "user.signin", label: "Signed in" },
+  { value: "user.create", label: "Created a user" },
+  { value: "user.update", label: "Updated a user" },
+  { value: "user.delete", label: "Deleted a user" },
+  { value: "user.forgot_password", label: "Requested a password reset" },
+  { value: "user.password_reset", label: "Reset their password" },
+  { value: "user.password_change", label: "Changed their password" },
+  { value: "organization.create", label: "Created an organization" },
+  { value: "organization.invite", label: "Invited into an organization" },
+  { value: "organization.revoke_invitation", label: "Revoked an organization invitation" },
+  { value: "organization.accept_invitation", label: "Joined an organization" }
+]
@@ -13,3 +13,74 @@ export function formatDateToYYYYMMDD(isoDateString) {
   const formattedDay = day < 10 ? `0${day}` : day
   return `${year}-${formattedMonth}-${formattedDay}`
 }
+
+/** Format an amount as a currency string.
+ * @param {number} value - The amount
+ * @param {string} [currency="EUR"] - The ISO currency code
+ * @returns {string} - The formatted amount, or "-" when it is not a number
+ * @example
+ * formatCurrency(1234.5, "USD") // '1 234,50 $US'
+ */
+export function formatCurrency(value, currency = "EUR") {
+  if (value === undefined || value === null) return "-"
+  if (Number.isNaN(Number(value))) return "-"
+  try {
+    return Number(value).toLocaleString("fr-FR", { style: "currency", currency })
+  } catch (e) {
+    return `${value}`
+  }
+}
+
+/** Check what the current user can do in a project, from the permissions sent by the API with the project.
+ * @param {object} project - The project from GET /api/projects or /api/projects/:id
+ * @param {string} permission - The permission, e.g. "project.update" or "expense.create"
+ * @returns {boolean}
+ * @example
+ * can(project, "project.delete") // true for the owner only
+ */
+export function can(project, permission) {
+  return (project?.permissions || []).includes(permission)
+}
+
+/** Check whether the current user can change or delete an expense: their own if they can add expenses, the others' if they manage them.
+ * @param {object} project - The project of the expense
+ * @param {object} expense - The expense, with its creator populated or not
+ * @param {string} userId - The id of the current user
+ * @returns {boolean}
+ */
+export function canEditExpense(project, expense, userId) {
+  const own = (expense.createdBy?._id || expense.createdBy) === userId
+  return can(project, own ? "expense.create" : "expense.manage")
+}
+
+/** Check the values of an expense form, with the rules of the API.
+ * @param {object} values - The form values, with description, amount and category
+ * @returns {string} - The error to show, or "" when the values are valid
+ * @example
+ * validateExpense({ description: "Taxi", amount: "-3", category: "other" }) // 'Amount must be a positive number'
+ */
+export function validateExpense(values) {
+  if (!values.description.trim() || !values.amount || !values.category) return "Description, amount and category are required"
+  const amountNumber = Number(values.amount)
+  if (!Number.isFinite(amountNumber) || amountNumber <= 0) return "Amount must be a positive number"
+  return ""
+}
+
+/** Save a file response from api.download() on the user's computer.
+ * @param {Response} response - The fetch response of the file
+ * @param {string} fallbackFilename - The file name to use when the response does not give one
+ * @example
+ * saveDownload(await api.download("/api/projects/export", { format: "csv" }), "projects.csv")
+ */
+export async function saveDownload(response, fallbackFilename) {
+  const disposition = response.headers.get("Content-Disposition") || ""
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackFilename
+  const url = URL.createObjectURL(await response.blob())
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}